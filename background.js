@@ -0,0 +1,383 @@
+// Background service worker: keyboard shortcuts and context menus that work
+// without opening the popup
+importScripts('db.js', 'images.js', 'sounds.js', 'reactions.js', 'sharing.js', 'stickers.js', 'rules.js');
+importScripts(...OVERLAY_SCRIPTS);
+
+// ===== SHARED REACTIONS =====
+
+startSharing();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.sharingSettings) {
+    startSharing();
+  }
+});
+
+function shareReactionSafely(reaction) {
+  shareReaction(reaction).catch(error => {
+    console.error('Error sharing reaction:', error);
+  });
+}
+
+// Reactions fired here go straight to the relay; the popup reports its own by message
+addReactionListener(shareReactionSafely);
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'reaction-fired') {
+    shareReactionSafely(message.reaction);
+  } else if (message.type === 'get-sharing-status') {
+    sendResponse({ status: sharing.status });
+  } else if (message.type === 'origin-element-picked' && sender.tab) {
+    saveOriginSelector(sender.tab.url, message.selector).catch(error => {
+      console.error('Error saving picked element:', error);
+    });
+  }
+});
+
+// ===== STICKERS =====
+
+// Pages ask for their stickers when they load, and report the ones the user edits
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (!sender.tab) return;
+
+  if (message.type === 'restore-stickers') {
+    showStickersInTab(sender.tab.id, sender.tab.url, { restore: true }).catch(error => {
+      console.error('Error restoring stickers:', error);
+    });
+  } else if (message.type === 'sticker-changed') {
+    saveStickerChange(message.change, sender.tab.url).catch(error => {
+      console.error('Error saving sticker:', error);
+    });
+  } else if (message.type === 'sticker-removed') {
+    removePageSticker(message.id, sender.tab.url).catch(error => {
+      console.error('Error removing sticker:', error);
+    });
+  }
+});
+
+chrome.tabs.onActivated.addListener(() => syncSharingRoom());
+chrome.windows.onFocusChanged.addListener(() => syncSharingRoom());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) {
+    syncSharingRoom();
+  }
+});
+
+// ===== RULES =====
+
+// triggers.js reports rules whose trigger matched; cooldowns are kept here so they hold
+// across tabs. The map of when each rule last fired, by id, is checked and updated with
+// nothing awaited in between, so two quick triggers can't both pass; session storage only
+// restores it after the service worker is stopped.
+const ruleFiredAt = new Map();
+const ruleFiredAtLoaded = chrome.storage.session.get('ruleFiredAt').then(data => {
+  Object.entries(data.ruleFiredAt || {}).forEach(([id, time]) => {
+    if (!ruleFiredAt.has(id)) ruleFiredAt.set(id, time);
+  });
+}).catch(error => {
+  console.error('Error loading rule cooldowns:', error);
+});
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.type === 'rule-triggered' && sender.tab) {
+    handleRuleTriggered(message.ruleId, sender.tab).catch(error => {
+      console.error('Error firing rule:', message.ruleId, error);
+    });
+  }
+});
+
+async function handleRuleTriggered(ruleId, tab) {
+  const [rules] = await Promise.all([getReactionRules(), ruleFiredAtLoaded]);
+  const rule = rules.find(item => item.id === ruleId);
+  if (!rule || !rule.enabled || !ruleAppliesToPage(rule, tab.url)) return;
+
+  const now = Date.now();
+  if (now - (ruleFiredAt.get(rule.id) || 0) < rule.cooldown * 1000) return;
+  ruleFiredAt.set(rule.id, now);
+  await chrome.storage.session.set({ ruleFiredAt: Object.fromEntries(ruleFiredAt) });
+
+  await fireEmoji(rule.emoji, rule.animation || undefined, { tabId: tab.id, record: false });
+}
+
+// ===== SPEC ANIMATIONS =====
+
+// User-defined animations have to be registered before menus list them
+let specAnimationsLoaded = loadSpecAnimations().catch(error => {
+  console.error('Error loading spec animations:', error);
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.animationSpecsVersion) {
+    specAnimationsLoaded = loadSpecAnimations().catch(error => {
+      console.error('Error loading spec animations:', error);
+    });
+    rebuildContextMenus();
+  }
+});
+
+chrome.runtime.onInstalled.addListener(rebuildContextMenus);
+chrome.runtime.onStartup.addListener(rebuildContextMenus);
+
+// The "React here" submenu lists favorites, shortcuts, recent emojis and animations
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.favoriteEmojis || changes.shortcutSlots || changes.recentReactions || changes.selectedAnimation) {
+    rebuildContextMenus();
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === 'save-custom-emoji') {
+    saveImageFromPage(info.srcUrl, tab).catch(error => {
+      console.error('Error saving image as custom emoji:', error);
+    });
+  } else if (String(info.menuItemId).startsWith('react:')) {
+    handleReactMenuClick(info, tab).catch(error => {
+      console.error('Error firing reaction from context menu:', error);
+    });
+  }
+});
+
+chrome.commands.onCommand.addListener((command) => {
+  handleCommand(command).catch(error => {
+    console.error('Error handling command:', command, error);
+  });
+});
+
+async function handleCommand(command) {
+  if (command === 'fire-last-used') {
+    const data = await chrome.storage.local.get('lastReaction');
+    if (data.lastReaction) {
+      await fireEmoji(data.lastReaction);
+    }
+    return;
+  }
+
+  if (command === 'cycle-animation') {
+    await cycleAnimation();
+    return;
+  }
+
+  const favoriteMatch = command.match(/^fire-favorite-(\d+)$/);
+  if (favoriteMatch) {
+    const slots = await getShortcutSlots();
+    const slot = slots[Number(favoriteMatch[1]) - 1];
+    if (slot && slot.emoji) {
+      await fireEmoji(slot.emoji, slot.animation || undefined);
+    }
+  }
+}
+
+// Switch to the next registered animation and flash its name on the toolbar badge
+async function cycleAnimation() {
+  await specAnimationsLoaded;
+  const animations = EmojiOverlay.listAnimations();
+  const current = await getSelectedAnimation();
+  const index = animations.findIndex(animation => animation.name === current);
+  const next = animations[(index + 1) % animations.length];
+
+  await chrome.storage.local.set({ selectedAnimation: next.name });
+
+  chrome.action.setTitle({ title: `Emoji Overlay: ${next.label}` });
+  chrome.action.setBadgeText({ text: next.label.slice(0, 4) });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 1500);
+}
+
+// ===== CONTEXT MENUS =====
+
+const REACT_CONTEXTS = ['page', 'selection', 'link', 'image', 'video'];
+
+// Rebuilds are chained so overlapping storage changes can't create duplicate ids
+let contextMenuBuild = Promise.resolve();
+
+function rebuildContextMenus() {
+  contextMenuBuild = contextMenuBuild
+    .then(buildContextMenus)
+    .catch(error => console.error('Error building context menus:', error));
+  return contextMenuBuild;
+}
+
+async function buildContextMenus() {
+  await specAnimationsLoaded;
+  await chrome.contextMenus.removeAll();
+
+  chrome.contextMenus.create({
+    id: 'save-custom-emoji',
+    title: 'Save image as custom emoji',
+    contexts: ['image']
+  });
+
+  chrome.contextMenus.create({
+    id: 'react',
+    title: 'React here',
+    contexts: REACT_CONTEXTS
+  });
+
+  const [favorites, slots, recent, selectedAnimation] = await Promise.all([
+    getFavoriteEmojis(),
+    getShortcutSlots(),
+    getRecentReactions(),
+    getSelectedAnimation()
+  ]);
+  const animations = EmojiOverlay.listAnimations();
+
+  // Ids carry the list and index; the click handler reads the entry back from storage
+  const addEmojiSection = async (title, section, entries) => {
+    chrome.contextMenus.create({ id: `react:${section}`, parentId: 'react', title, enabled: false, contexts: REACT_CONTEXTS });
+
+    let count = 0;
+    for (const [index, entry] of entries.entries()) {
+      if (!entry.emoji) continue;
+      // Menu titles can't show images, so image emojis are listed by name
+      const label = await getEmojiRefLabel(entry.emoji);
+      if (!label) continue; // Deleted custom emoji
+
+      const animation = animations.find(item => item.name === entry.animation);
+      chrome.contextMenus.create({
+        id: `react:${section}:${index}`,
+        parentId: 'react',
+        title: animation ? `${label} (${animation.label})` : label,
+        contexts: REACT_CONTEXTS
+      });
+      count++;
+    }
+
+    if (count === 0) {
+      chrome.contextMenus.create({ id: `react:${section}:empty`, parentId: 'react', title: 'None yet', enabled: false, contexts: REACT_CONTEXTS });
+    }
+  };
+
+  await addEmojiSection('Favorites', 'favorite', favorites.map(ref => ({ emoji: ref, animation: null })));
+  await addEmojiSection('Shortcuts', 'shortcut', slots);
+  await addEmojiSection('Recent', 'recent', recent.map(ref => ({ emoji: ref, animation: null })));
+
+  chrome.contextMenus.create({ id: 'react:separator', parentId: 'react', type: 'separator', contexts: REACT_CONTEXTS });
+  chrome.contextMenus.create({ id: 'react:animations', parentId: 'react', title: 'Animation', contexts: REACT_CONTEXTS });
+  animations.forEach(({ name, label }) => {
+    chrome.contextMenus.create({
+      id: `react:animation:${name}`,
+      parentId: 'react:animations',
+      title: label,
+      type: 'radio',
+      checked: name === selectedAnimation,
+      contexts: REACT_CONTEXTS
+    });
+  });
+}
+
+// Runs in the page: the center of the selected text, or where the context menu was opened
+function getContextMenuOrigin(useSelection) {
+  const selection = window.getSelection();
+  if (useSelection && selection && selection.rangeCount > 0) {
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    if (rect.width > 0 || rect.height > 0) {
+      return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+  }
+  return globalThis.emojiOverlayContextPoint || null;
+}
+
+async function handleReactMenuClick(info, tab) {
+  const [, section, value] = info.menuItemId.split(':');
+
+  if (section === 'animation') {
+    await chrome.storage.local.set({ selectedAnimation: value });
+    return;
+  }
+
+  let entry;
+  if (section === 'favorite') {
+    const ref = (await getFavoriteEmojis())[Number(value)];
+    entry = ref && { emoji: ref, animation: null };
+  } else if (section === 'shortcut') {
+    entry = (await getShortcutSlots())[Number(value)];
+  } else if (section === 'recent') {
+    const ref = (await getRecentReactions())[Number(value)];
+    entry = ref && { emoji: ref, animation: null };
+  }
+  if (!entry || !entry.emoji) return;
+
+  // The overlay is drawn in the top frame, so only use the point if the menu was opened there
+  let origin = null;
+  if (info.frameId === 0) {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: getContextMenuOrigin,
+      args: [Boolean(info.selectionText)]
+    });
+    origin = injection.result;
+  }
+
+  await fireEmoji(entry.emoji, entry.animation || undefined, { tabId: tab.id, origin: origin || undefined });
+}
+
+// ===== SAVE IMAGE FROM PAGE =====
+
+// Run alert/confirm/prompt in the page, since the service worker has no UI of its own
+async function showPageDialog(tabId, dialogType, ...dialogArgs) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (type, args) => window[type](...args),
+    args: [dialogType, dialogArgs]
+  });
+  return injection.result;
+}
+
+// Suggest a name from the image's file name, e.g. ".../party-parrot.gif" -> "party parrot"
+function getDefaultImageName(srcUrl) {
+  try {
+    const fileName = decodeURIComponent(new URL(srcUrl).pathname.split('/').pop());
+    const name = fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+    return name || 'Custom Emoji';
+  } catch (error) {
+    return 'Custom Emoji';
+  }
+}
+
+// Download a page image, validate and process it like an upload, ask for a name and store it
+async function saveImageFromPage(srcUrl, tab) {
+  let blob;
+  try {
+    const response = await fetch(srcUrl);
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+    blob = await response.blob();
+  } catch (error) {
+    console.error('Failed to download image:', srcUrl, error);
+    await showPageDialog(tab.id, 'alert', 'Could not download this image.');
+    return;
+  }
+
+  const validation = validateImageFile(blob);
+  if (!validation.valid) {
+    await showPageDialog(tab.id, 'alert', validation.message);
+    return;
+  }
+
+  if (validation.large) {
+    if (!await showPageDialog(tab.id, 'confirm', 'This file is quite large (>5MB). Continue?')) {
+      return;
+    }
+  }
+
+  // Trim and scale down like uploads; SVGs can't be rasterized here and are rejected
+  try {
+    blob = await processImage(blob, await getImageSettings());
+  } catch (error) {
+    await showPageDialog(tab.id, 'alert', error.message);
+    return;
+  }
+
+  const name = await showPageDialog(tab.id, 'prompt', 'Name your emoji', getDefaultImageName(srcUrl));
+  if (name === null) return; // Cancelled
+
+  try {
+    await saveImage(blob, `custom_${Date.now()}`, name.trim() || 'Custom Emoji');
+  } catch (error) {
+    const message = error.message.includes('quota')
+      ? 'Storage quota exceeded. Please delete some custom images first.'
+      : 'Error saving image: ' + error.message;
+    await showPageDialog(tab.id, 'alert', message);
+  }
+}
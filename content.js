@@ -1,10 +1,29 @@
-chrome.runtime.onMessage.addListener((message) => {
-  if (message.type === 'emoji') {
-    const overlay = document.createElement('div');
-    overlay.textContent = message.emoji;
-    overlay.className = 'emoji-overlay';
-    document.body.appendChild(overlay);
-    setTimeout(() => overlay.remove(), 2000);
-  }
-});
+// Remember where the page's context menu was opened, so reactions fired from the
+// "React here" menu can start at that point instead of the viewport center, and where
+// the mouse was last, for the "Mouse pointer" reaction origin.
+// Scripts injected with chrome.scripting share this isolated world and read it back.
+document.addEventListener('contextmenu', (event) => {
+  globalThis.emojiOverlayContextPoint = { x: event.clientX, y: event.clientY };
+}, true);
 
+document.addEventListener('mousemove', (event) => {
+  globalThis.emojiOverlayPointer = { x: event.clientX, y: event.clientY };
+}, { capture: true, passive: true });
+
+// Pinned stickers are shown again once the page has loaded, and after the page changes its
+// URL itself, as single-page apps do
+function requestStickers() {
+  chrome.runtime.sendMessage({ type: 'restore-stickers' }).catch(() => {
+    // The extension was reloaded or updated since this page loaded
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', requestStickers, { once: true });
+} else {
+  requestStickers();
+}
+
+if (globalThis.navigation) {
+  navigation.addEventListener('navigatesuccess', requestStickers);
+}
@@ -1,7 +1,22 @@
-// IndexedDB wrapper for storing custom emoji images as Blobs
+// IndexedDB wrapper for storing custom emoji images and sound clips as Blobs,
+// user-defined animations, reaction sequences and stickers
 const DB_NAME = 'EmojiOverlayDB';
-const DB_VERSION = 2;
+const DB_VERSION = 6;
 const STORE_NAME = 'images';
+const ANIMATIONS_STORE_NAME = 'animations';
+const SEQUENCES_STORE_NAME = 'sequences';
+const SOUNDS_STORE_NAME = 'sounds';
+const STICKERS_STORE_NAME = 'stickers';
+
+/**
+ * Create an object URL for a stored Blob
+ * Service workers have no URL.createObjectURL, so records read there have no objectURL.
+ * @param {Blob} blob
+ * @returns {string|null}
+ */
+function createObjectURL(blob) {
+  return typeof URL.createObjectURL === 'function' ? URL.createObjectURL(blob) : null;
+}
 
 /**
  * Initialize the IndexedDB database
@@ -50,6 +65,27 @@ function initDB() {
           });
         };
       }
+      
+      // Version 3: add store for user-defined animation specs
+      if (!db.objectStoreNames.contains(ANIMATIONS_STORE_NAME)) {
+        db.createObjectStore(ANIMATIONS_STORE_NAME, { keyPath: 'id' });
+      }
+      
+      // Version 4: add store for reaction sequences
+      if (!db.objectStoreNames.contains(SEQUENCES_STORE_NAME)) {
+        db.createObjectStore(SEQUENCES_STORE_NAME, { keyPath: 'id' });
+      }
+      
+      // Version 5: add store for uploaded sound clips
+      if (!db.objectStoreNames.contains(SOUNDS_STORE_NAME)) {
+        db.createObjectStore(SOUNDS_STORE_NAME, { keyPath: 'id' });
+      }
+      
+      // Version 6: add store for stickers pinned to pages, looked up by page
+      if (!db.objectStoreNames.contains(STICKERS_STORE_NAME)) {
+        const objectStore = db.createObjectStore(STICKERS_STORE_NAME, { keyPath: 'id' });
+        objectStore.createIndex('page', 'page', { unique: false });
+      }
     };
   });
 }
@@ -59,9 +95,11 @@ function initDB() {
  * @param {Blob} blob - The image Blob to store
  * @param {string} id - Unique identifier for the image
  * @param {string} name - User-friendly name for the image
+ * @param {Object} [animation] - How the image animates in the overlay
+ * @param {Object} [animation.sprite] - Sprite sheet layout { columns, rows, frames, fps }
  * @returns {Promise<void>}
  */
-async function saveImage(blob, id, name = 'Custom Emoji') {
+async function saveImage(blob, id, name = 'Custom Emoji', { sprite } = {}) {
   const db = await initDB();
   
   return new Promise((resolve, reject) => {
@@ -72,7 +110,8 @@ async function saveImage(blob, id, name = 'Custom Emoji') {
       id: id,
       blob: blob,
       name: name,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...(sprite && { sprite })
     };
     
     const request = objectStore.put(imageData);
@@ -91,9 +130,93 @@ async function saveImage(blob, id, name = 'Custom Emoji') {
   });
 }
 
+/**
+ * Update an image's metadata or replace its Blob, keeping its id and creation timestamp
+ * @param {string} id - The ID of the image to update
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.name] - New name
+ * @param {Blob} [changes.blob] - Replacement image
+ * @param {string[]} [changes.tags] - Search tags
+ * @param {string} [changes.description] - Free-form description, shown in the tooltip
+ * @param {Object|null} [changes.sprite] - Sprite sheet layout, null for a plain image
+ * @param {string} [changes.playback] - How frames play: 'loop', 'pingpong' or 'once'
+ * @returns {Promise<void>}
+ */
+async function updateImage(id, changes) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(STORE_NAME);
+    const getRequest = objectStore.get(id);
+    
+    getRequest.onsuccess = () => {
+      const record = getRequest.result;
+      if (!record) {
+        reject(new Error('Image not found: ' + id));
+        return;
+      }
+      
+      const { name, blob, tags, description, sprite, playback } = changes;
+      const updated = {
+        ...record,
+        ...(name !== undefined && { name }),
+        ...(blob !== undefined && { blob }),
+        ...(tags !== undefined && { tags }),
+        ...(description !== undefined && { description }),
+        ...(sprite !== undefined && { sprite }),
+        ...(playback !== undefined && { playback }),
+        updatedAt: Date.now()
+      };
+      
+      const putRequest = objectStore.put(updated);
+      putRequest.onsuccess = () => {
+        resolve();
+      };
+      putRequest.onerror = () => {
+        reject(new Error('Failed to update image: ' + putRequest.error));
+      };
+    };
+    
+    getRequest.onerror = () => {
+      reject(new Error('Failed to get image: ' + getRequest.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Write complete image records in one transaction, keeping their timestamps and tags
+ * Used by pack import; records with an existing id replace it.
+ * @param {Array<{id: string, blob: Blob, name: string, timestamp: number, tags: string[], description: string}>} records
+ * @returns {Promise<void>}
+ */
+async function putImages(records) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(STORE_NAME);
+    
+    records.forEach(record => objectStore.put(record));
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    
+    transaction.onerror = () => {
+      reject(new Error('Failed to save images: ' + transaction.error));
+    };
+  });
+}
+
 /**
  * Get all images from IndexedDB
- * @returns {Promise<Array<{id: string, blob: Blob, name: string, objectURL: string}>>}
+ * @returns {Promise<Array<{id: string, blob: Blob, name: string, timestamp: number, updatedAt?: number, tags: string[], description: string, objectURL: string|null}>>}
  */
 async function getAllImages() {
   const db = await initDB();
@@ -108,7 +231,13 @@ async function getAllImages() {
         id: item.id,
         blob: item.blob,
         name: item.name || 'Custom Emoji',
-        objectURL: URL.createObjectURL(item.blob)
+        timestamp: item.timestamp,
+        updatedAt: item.updatedAt,
+        tags: item.tags || [],
+        description: item.description || '',
+        sprite: item.sprite || null,
+        playback: item.playback || 'loop',
+        objectURL: createObjectURL(item.blob)
       }));
       resolve(images);
     };
@@ -179,7 +308,7 @@ async function clearAllImages() {
 /**
  * Get a single image by ID
  * @param {string} id - The ID of the image to retrieve
- * @returns {Promise<{id: string, blob: Blob, name: string, objectURL: string} | null>}
+ * @returns {Promise<{id: string, blob: Blob, name: string, tags: string[], description: string, objectURL: string|null} | null>}
  */
 async function getImage(id) {
   const db = await initDB();
@@ -195,7 +324,11 @@ async function getImage(id) {
           id: request.result.id,
           blob: request.result.blob,
           name: request.result.name || 'Custom Emoji',
-          objectURL: URL.createObjectURL(request.result.blob)
+          tags: request.result.tags || [],
+          description: request.result.description || '',
+          sprite: request.result.sprite || null,
+          playback: request.result.playback || 'loop',
+          objectURL: createObjectURL(request.result.blob)
         });
       } else {
         resolve(null);
@@ -212,3 +345,489 @@ async function getImage(id) {
   });
 }
 
+
+/**
+ * Save a user-defined animation spec
+ * @param {Object} spec - The parsed JSON spec
+ * @param {string} id - Unique identifier for the animation
+ * @returns {Promise<void>}
+ */
+async function saveAnimationSpec(spec, id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ANIMATIONS_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(ANIMATIONS_STORE_NAME);
+    
+    const request = objectStore.put({
+      id: id,
+      spec: spec,
+      timestamp: Date.now()
+    });
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to save animation: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get all user-defined animation specs, oldest first
+ * @returns {Promise<Array<{id: string, spec: Object, timestamp: number}>>}
+ */
+async function getAllAnimationSpecs() {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ANIMATIONS_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(ANIMATIONS_STORE_NAME);
+    const request = objectStore.getAll();
+    
+    request.onsuccess = () => {
+      resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get animations: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get a single animation spec by ID
+ * @param {string} id - The ID of the animation to retrieve
+ * @returns {Promise<{id: string, spec: Object, timestamp: number} | null>}
+ */
+async function getAnimationSpec(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ANIMATIONS_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(ANIMATIONS_STORE_NAME);
+    const request = objectStore.get(id);
+    
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get animation: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete a user-defined animation spec
+ * @param {string} id - The ID of the animation to delete
+ * @returns {Promise<void>}
+ */
+async function deleteAnimationSpec(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ANIMATIONS_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(ANIMATIONS_STORE_NAME);
+    const request = objectStore.delete(id);
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to delete animation: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Save a reaction sequence, keeping its creation timestamp when it already exists
+ * @param {{id: string, name: string, steps: Array<{ref: Object, animation: string|null, delay: number}>}} sequence
+ * @returns {Promise<void>}
+ */
+async function saveSequence(sequence) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SEQUENCES_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(SEQUENCES_STORE_NAME);
+    const getRequest = objectStore.get(sequence.id);
+    
+    getRequest.onsuccess = () => {
+      const putRequest = objectStore.put({
+        id: sequence.id,
+        name: sequence.name,
+        steps: sequence.steps,
+        timestamp: getRequest.result ? getRequest.result.timestamp : Date.now()
+      });
+      putRequest.onsuccess = () => {
+        resolve();
+      };
+      putRequest.onerror = () => {
+        reject(new Error('Failed to save sequence: ' + putRequest.error));
+      };
+    };
+    
+    getRequest.onerror = () => {
+      reject(new Error('Failed to get sequence: ' + getRequest.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get all reaction sequences, oldest first
+ * @returns {Promise<Array<{id: string, name: string, steps: Array<Object>, timestamp: number}>>}
+ */
+async function getAllSequences() {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SEQUENCES_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(SEQUENCES_STORE_NAME);
+    const request = objectStore.getAll();
+    
+    request.onsuccess = () => {
+      resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get sequences: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get a single reaction sequence by ID
+ * @param {string} id - The ID of the sequence to retrieve
+ * @returns {Promise<{id: string, name: string, steps: Array<Object>, timestamp: number} | null>}
+ */
+async function getSequence(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SEQUENCES_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(SEQUENCES_STORE_NAME);
+    const request = objectStore.get(id);
+    
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get sequence: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete a reaction sequence
+ * @param {string} id - The ID of the sequence to delete
+ * @returns {Promise<void>}
+ */
+async function deleteSequence(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SEQUENCES_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(SEQUENCES_STORE_NAME);
+    const request = objectStore.delete(id);
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to delete sequence: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Save an uploaded sound clip
+ * @param {Blob} blob - The MP3, OGG or WAV clip
+ * @param {string} id - Unique identifier for the sound
+ * @param {string} name - User-friendly name for the sound
+ * @returns {Promise<void>}
+ */
+async function saveSound(blob, id, name = 'Custom Sound') {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SOUNDS_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(SOUNDS_STORE_NAME);
+    const request = objectStore.put({
+      id: id,
+      blob: blob,
+      name: name,
+      timestamp: Date.now()
+    });
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to save sound: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get all uploaded sound clips, oldest first
+ * @returns {Promise<Array<{id: string, blob: Blob, name: string, timestamp: number}>>}
+ */
+async function getAllSounds() {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SOUNDS_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(SOUNDS_STORE_NAME);
+    const request = objectStore.getAll();
+    
+    request.onsuccess = () => {
+      resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get sounds: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get a single sound clip by ID
+ * @param {string} id - The ID of the sound to retrieve
+ * @returns {Promise<{id: string, blob: Blob, name: string, timestamp: number} | null>}
+ */
+async function getSound(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SOUNDS_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(SOUNDS_STORE_NAME);
+    const request = objectStore.get(id);
+    
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get sound: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete a sound clip
+ * @param {string} id - The ID of the sound to delete
+ * @returns {Promise<void>}
+ */
+async function deleteSound(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SOUNDS_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(SOUNDS_STORE_NAME);
+    const request = objectStore.delete(id);
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to delete sound: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Save a sticker, replacing any sticker with the same id
+ * @param {{id: string, page: string, emoji: Object, anchor: {selector: string|null, x: number, y: number},
+ *   size: number, rotation: number, hidden: boolean, timestamp: number}} sticker
+ * @returns {Promise<void>}
+ */
+async function saveSticker(sticker) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STICKERS_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(STICKERS_STORE_NAME);
+    const request = objectStore.put(sticker);
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to save sticker: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get a single sticker by ID
+ * @param {string} id - The ID of the sticker to retrieve
+ * @returns {Promise<Object|null>}
+ */
+async function getSticker(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STICKERS_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(STICKERS_STORE_NAME);
+    const request = objectStore.get(id);
+    
+    request.onsuccess = () => {
+      resolve(request.result || null);
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get sticker: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Get the stickers pinned to a page, oldest first
+ * @param {string} page - Page key, see getStickerPage() in stickers.js
+ * @returns {Promise<Array<Object>>}
+ */
+async function getStickersForPage(page) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STICKERS_STORE_NAME], 'readonly');
+    const objectStore = transaction.objectStore(STICKERS_STORE_NAME);
+    const request = objectStore.index('page').getAll(page);
+    
+    request.onsuccess = () => {
+      resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to get stickers: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete a sticker
+ * @param {string} id - The ID of the sticker to delete
+ * @returns {Promise<void>}
+ */
+async function deleteSticker(id) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STICKERS_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(STICKERS_STORE_NAME);
+    const request = objectStore.delete(id);
+    
+    request.onsuccess = () => {
+      resolve();
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to delete sticker: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+}
+
+/**
+ * Delete every sticker pinned to a page
+ * @param {string} page - Page key, see getStickerPage() in stickers.js
+ * @returns {Promise<void>}
+ */
+async function deleteStickersForPage(page) {
+  const db = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STICKERS_STORE_NAME], 'readwrite');
+    const objectStore = transaction.objectStore(STICKERS_STORE_NAME);
+    const request = objectStore.index('page').openKeyCursor(IDBKeyRange.only(page));
+    
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        objectStore.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+    
+    request.onerror = () => {
+      reject(new Error('Failed to delete stickers: ' + request.error));
+    };
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+  });
+}
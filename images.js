@@ -0,0 +1,311 @@
+// Shared image handling for custom emojis, used by the popup upload flow, the emoji editor,
+// pack import and the background "Save image as custom emoji" context menu.
+//
+// Uploads go through a canvas pipeline before they are stored: transparent borders are
+// trimmed, the image is optionally cropped to a square, downscaled and re-encoded. Particles
+// are drawn at 60-140px, so storing big originals only wastes quota and slows every fire.
+// Animated images (GIFs, APNGs and animated WebPs) are stored as they are, since drawing
+// them to a canvas would keep only their first frame.
+
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB limit for IndexedDB - practical for GIFs
+const LARGE_IMAGE_SIZE = 5 * 1024 * 1024; // Above this we ask before saving a GIF
+
+// Types accepted as input, and types that may end up in the images store
+const INPUT_IMAGE_TYPES = ['image/png', 'image/gif', 'image/jpeg', 'image/webp', 'image/svg+xml'];
+const STORED_IMAGE_TYPES = ['image/png', 'image/gif', 'image/jpeg', 'image/webp'];
+const IMAGE_TYPE_LABELS = {
+  'image/png': 'PNG',
+  'image/gif': 'GIF',
+  'image/jpeg': 'JPEG',
+  'image/webp': 'WebP',
+  'image/svg+xml': 'SVG'
+};
+
+const IMAGE_MAX_SIZES = [128, 256, 512, 1024];
+const DEFAULT_IMAGE_SETTINGS = {
+  maxSize: 256, // Longest side in px after processing
+  format: 'png', // 'png' or 'webp'
+  trim: true // Trim fully transparent borders
+};
+const MAX_WORKING_SIZE = 2048; // Sources are scaled down to this before cropping
+const SVG_RENDER_SIZE = 1024; // Longest side SVGs are rasterized at
+const TRIM_ALPHA_THRESHOLD = 8; // Pixels at or below this alpha count as transparent
+
+/**
+ * Validate an image Blob against the custom emoji type and size limits
+ * @param {Blob} blob - The image to check
+ * @param {string[]} [types=INPUT_IMAGE_TYPES] - Accepted MIME types
+ * @returns {{valid: boolean, message?: string, large?: boolean}} `message` explains why
+ *   an invalid image was rejected; `large` asks the caller to confirm before saving a big
+ *   GIF, which is stored without processing
+ */
+function validateImageFile(blob, types = INPUT_IMAGE_TYPES) {
+  if (!types.includes(blob.type)) {
+    const labels = types.map(type => IMAGE_TYPE_LABELS[type]);
+    return {
+      valid: false,
+      message: `Only ${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]} images are supported.`
+    };
+  }
+
+  if (blob.size > MAX_IMAGE_SIZE) {
+    return { valid: false, message: 'File is too large. Custom emojis must be smaller than 10MB.' };
+  }
+
+  return { valid: true, large: blob.type === 'image/gif' && blob.size > LARGE_IMAGE_SIZE };
+}
+
+async function getImageSettings() {
+  const data = await chrome.storage.local.get('imageSettings');
+  return { ...DEFAULT_IMAGE_SETTINGS, ...data.imageSettings };
+}
+
+// ===== ANIMATION =====
+
+// How animated images and sprite sheets play in the overlay, see overlay/frames.js
+const IMAGE_PLAYBACK_MODES = { loop: 'Loop', pingpong: 'Ping-pong', once: 'Play once' };
+const SPRITE_SHEET_LIMITS = { columns: 64, rows: 64, fps: 60 };
+
+function normalizePlayback(playback) {
+  return Object.keys(IMAGE_PLAYBACK_MODES).includes(playback) ? playback : 'loop';
+}
+
+/**
+ * Check sprite sheet metadata typed in the popup, read from a pack or received from a room
+ * @param {*} sprite - Candidate { columns, rows, frames, fps }; frames defaults to a full grid
+ * @returns {{columns: number, rows: number, frames: number, fps: number}|null} Null unless every
+ *   field is a whole number in range
+ */
+function normalizeSpriteSheet(sprite) {
+  if (!sprite || typeof sprite !== 'object') return null;
+
+  const columns = Number(sprite.columns);
+  const rows = Number(sprite.rows);
+  const frames = sprite.frames === undefined || sprite.frames === null || sprite.frames === ''
+    ? columns * rows
+    : Number(sprite.frames);
+  const fps = Number(sprite.fps);
+  const inRange = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+  if (!inRange(columns, SPRITE_SHEET_LIMITS.columns) || !inRange(rows, SPRITE_SHEET_LIMITS.rows) ||
+      !inRange(frames, columns * rows) || !inRange(fps, SPRITE_SHEET_LIMITS.fps)) {
+    return null;
+  }
+  return { columns, rows, frames, fps };
+}
+
+/**
+ * Whether an image has frames the canvas pipeline would drop. GIFs always count; APNGs
+ * have an acTL chunk before their first IDAT and animated WebPs set the animation flag
+ * of their VP8X chunk. Reading the headers, rather than using ImageDecoder, also works
+ * in the service worker.
+ * @param {Blob} blob - A valid input image
+ * @returns {Promise<boolean>}
+ */
+async function isAnimatedImage(blob) {
+  if (blob.type === 'image/gif') return true;
+  if (blob.type !== 'image/png' && blob.type !== 'image/webp') return false;
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const readTag = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+  if (blob.type === 'image/webp') {
+    return bytes.length > 20 && readTag(0) === 'RIFF' && readTag(8) === 'WEBP' &&
+      readTag(12) === 'VP8X' && (bytes[20] & 0x02) !== 0;
+  }
+
+  // PNG chunks: 4-byte length, 4-byte type, data, 4-byte CRC, after an 8-byte signature
+  for (let offset = 8; offset + 8 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+    const type = readTag(offset + 4);
+    if (type === 'acTL') return true;
+    if (type === 'IDAT') return false;
+  }
+  return false;
+}
+
+// ===== SVG =====
+
+const SVG_BLOCKED_ELEMENTS = ['script', 'foreignObject', 'iframe', 'embed', 'object', 'audio', 'video'];
+
+// References that stay inside the document: fragments and inline images
+function isLocalReference(value) {
+  return /^\s*(#|data:image\/)/i.test(value);
+}
+
+/**
+ * Strip scripts, event handlers and external references from an SVG document, and give it
+ * an intrinsic size so it can be rasterized
+ * @param {string} text - SVG source
+ * @returns {string} Sanitized SVG source
+ * @throws {Error} If the text isn't an SVG document
+ */
+function sanitizeSvg(text) {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  const root = doc.documentElement;
+  if (root.nodeName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('This SVG file could not be read.');
+  }
+
+  SVG_BLOCKED_ELEMENTS.forEach(tag => {
+    Array.from(doc.getElementsByTagName(tag)).forEach(element => element.remove());
+  });
+
+  Array.from(doc.getElementsByTagName('style')).forEach(style => {
+    if (/@import|url\((?!\s*['"]?\s*(#|data:image\/))/i.test(style.textContent)) {
+      style.remove();
+    }
+  });
+
+  [root, ...root.getElementsByTagName('*')].forEach(element => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      const lowerName = name.toLowerCase();
+      const isHandler = lowerName.startsWith('on');
+      const isExternalLink = (lowerName === 'href' || lowerName.endsWith(':href')) && !isLocalReference(value);
+      const hasExternalURL = /url\((?!\s*['"]?\s*(#|data:image\/))/i.test(value);
+      if (isHandler || isExternalLink || hasExternalURL) {
+        element.removeAttribute(name);
+      }
+    });
+  });
+
+  // Without a width and height the SVG has no intrinsic size to draw at
+  const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const [viewWidth, viewHeight] = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+    ? [viewBox[2], viewBox[3]]
+    : [1, 1];
+  const scale = SVG_RENDER_SIZE / Math.max(viewWidth, viewHeight);
+  root.setAttribute('width', Math.round(viewWidth * scale));
+  root.setAttribute('height', Math.round(viewHeight * scale));
+
+  return new XMLSerializer().serializeToString(root);
+}
+
+// Rasterizing SVGs needs an <img>, so it only works in pages such as the popup
+async function decodeSvg(blob) {
+  if (typeof DOMParser === 'undefined' || typeof Image === 'undefined') {
+    throw new Error('SVG images can only be added from the popup.');
+  }
+
+  const url = URL.createObjectURL(new Blob([sanitizeSvg(await blob.text())], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.src = url;
+  try {
+    await image.decode();
+  } catch (error) {
+    throw new Error('This SVG file could not be read.');
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+  return image;
+}
+
+// ===== PIPELINE =====
+
+/**
+ * Find the bounding box of the pixels that aren't (nearly) transparent
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @returns {{x: number, y: number, width: number, height: number}|null} Null if every pixel is transparent
+ */
+function getOpaqueBounds({ data, width, height }) {
+  let top = height;
+  let bottom = -1;
+  let left = width;
+  let right = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > TRIM_ALPHA_THRESHOLD) {
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+        if (x < left) left = x;
+        if (x > right) right = x;
+      }
+    }
+  }
+
+  if (bottom < 0) return null;
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Decode an image into a canvas ready for cropping: scaled down to a workable size
+ * and, optionally, with its transparent borders trimmed
+ * @param {Blob} blob - Still PNG, JPEG, WebP or SVG image, see isAnimatedImage()
+ * @param {Object} [options]
+ * @param {boolean} [options.trim=true] - Trim fully transparent borders
+ * @returns {Promise<OffscreenCanvas>}
+ * @throws {Error} If the image can't be decoded
+ */
+async function prepareImage(blob, { trim = true } = {}) {
+  let source;
+  try {
+    source = blob.type === 'image/svg+xml' ? await decodeSvg(blob) : await createImageBitmap(blob);
+  } catch (error) {
+    throw new Error(error.message.includes('SVG') ? error.message : 'This image could not be read.');
+  }
+
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const scale = Math.min(1, MAX_WORKING_SIZE / Math.max(sourceWidth, sourceHeight));
+
+  let canvas = new OffscreenCanvas(Math.max(1, Math.round(sourceWidth * scale)), Math.max(1, Math.round(sourceHeight * scale)));
+  let context = canvas.getContext('2d');
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  if (source.close) source.close();
+
+  if (trim) {
+    const bounds = getOpaqueBounds(context.getImageData(0, 0, canvas.width, canvas.height));
+    if (bounds && (bounds.width < canvas.width || bounds.height < canvas.height)) {
+      const trimmed = new OffscreenCanvas(bounds.width, bounds.height);
+      trimmed.getContext('2d').drawImage(canvas, bounds.x, bounds.y, bounds.width, bounds.height, 0, 0, bounds.width, bounds.height);
+      canvas = trimmed;
+    }
+  }
+
+  return canvas;
+}
+
+/**
+ * Crop, downscale and encode a prepared image
+ * @param {OffscreenCanvas} canvas - From prepareImage()
+ * @param {Object} [options]
+ * @param {{x: number, y: number, size: number}} [options.crop] - Square to keep, in canvas pixels
+ * @param {{columns: number, rows: number}} [options.grid] - Sprite sheet layout; maxSize then
+ *   applies to each frame, and frames keep whole-pixel sizes
+ * @param {number} [options.maxSize] - Longest side of the result in px
+ * @param {'png'|'webp'} [options.format]
+ * @returns {Promise<Blob>}
+ */
+async function exportImage(canvas, { crop, grid, maxSize = DEFAULT_IMAGE_SETTINGS.maxSize, format = DEFAULT_IMAGE_SETTINGS.format } = {}) {
+  const region = crop
+    ? { x: crop.x, y: crop.y, width: crop.size, height: crop.size }
+    : { x: 0, y: 0, width: canvas.width, height: canvas.height };
+  const { columns, rows } = grid || { columns: 1, rows: 1 };
+  const cellWidth = region.width / columns;
+  const cellHeight = region.height / rows;
+  const scale = Math.min(1, maxSize / Math.max(cellWidth, cellHeight));
+
+  const output = new OffscreenCanvas(
+    Math.max(1, Math.round(cellWidth * scale)) * columns,
+    Math.max(1, Math.round(cellHeight * scale)) * rows
+  );
+  const context = output.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(canvas, region.x, region.y, region.width, region.height, 0, 0, output.width, output.height);
+
+  return output.convertToBlob(format === 'webp' ? { type: 'image/webp', quality: 0.9 } : { type: 'image/png' });
+}
+
+/**
+ * Run the whole pipeline without user input, for AI images, replaced images and images
+ * saved from a page. Animated images come back unchanged.
+ * @param {Blob} blob - A valid input image
+ * @param {{maxSize: number, format: string, trim: boolean, grid?: Object}} settings - From
+ *   getImageSettings(), plus the grid for sprite sheets, which are never trimmed
+ * @returns {Promise<Blob>}
+ */
+async function processImage(blob, settings) {
+  if (await isAnimatedImage(blob)) return blob;
+  return exportImage(await prepareImage(blob, { trim: settings.trim && !settings.grid }), settings);
+}
@@ -0,0 +1,354 @@
+// Options page: the rules that fire reactions automatically (see rules.js) and the provider
+// AI emojis are generated with (see providers.js)
+
+// Rule being edited, null for a new one, and the emoji references behind the emoji
+// select, by emojiRefKey()
+let editingRuleId = null;
+const ruleEmojiRefs = new Map();
+
+document.addEventListener('DOMContentLoaded', async () => {
+  setupRuleListeners();
+  setupProviderListeners();
+  loadProviderSettings();
+
+  try {
+    await loadOverlayScripts();
+    await loadSpecAnimations();
+  } catch (error) {
+    console.error('Error loading animations:', error);
+  }
+  renderRuleList();
+});
+
+// Rules can also change in another tab showing this page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.reactionRules) {
+    renderRuleList();
+  }
+});
+
+function setupRuleListeners() {
+  const typeSelect = document.getElementById('ruleTriggerType');
+  Object.entries(RULE_TRIGGER_TYPES).forEach(([value, { label }]) => {
+    typeSelect.appendChild(new Option(label, value));
+  });
+  typeSelect.addEventListener('change', updateTriggerField);
+
+  document.getElementById('ruleEmoji').addEventListener('change', updateEmojiField);
+  document.getElementById('addRuleBtn').addEventListener('click', () => openRuleForm(null));
+  document.getElementById('ruleCancelBtn').addEventListener('click', closeRuleForm);
+  document.getElementById('ruleForm').addEventListener('submit', handleSaveRule);
+}
+
+// ===== RULE LIST =====
+
+async function getEmojiLabel(ref) {
+  return (ref && await getEmojiRefLabel(ref)) || 'a deleted emoji';
+}
+
+function getAnimationLabel(name) {
+  if (!name) return 'the selected animation';
+  const animation = EmojiOverlay.listAnimations().find(item => item.name === name);
+  return animation ? animation.label : name;
+}
+
+async function describeRule(rule) {
+  const { type, value } = rule.trigger;
+  const what = type === 'submit'
+    ? (value ? `a form matching ${value} is submitted` : 'a form is submitted')
+    : `${RULE_TRIGGER_TYPES[type].label.toLowerCase()}: ${value}`;
+  const where = rule.site || 'any site';
+  const cooldown = rule.cooldown > 0 ? `, at most every ${rule.cooldown}s` : '';
+  return `On ${where}, when ${what} → ${await getEmojiLabel(rule.emoji)} with ${getAnimationLabel(rule.animation)}${cooldown}`;
+}
+
+async function renderRuleList() {
+  const list = document.getElementById('ruleList');
+  const rules = await getReactionRules();
+  const items = [];
+
+  for (const rule of rules) {
+    items.push(await createRuleItem(rule));
+  }
+
+  list.innerHTML = '';
+  if (items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'rule-empty';
+    empty.textContent = 'No rules yet.';
+    list.appendChild(empty);
+  }
+  items.forEach(item => list.appendChild(item));
+}
+
+// One row per rule: its on/off toggle, what it does, and edit and delete buttons
+async function createRuleItem(rule) {
+  const item = document.createElement('div');
+  item.className = 'rule-item';
+  item.classList.toggle('disabled', !rule.enabled);
+
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.checked = rule.enabled;
+  toggle.title = rule.enabled ? 'Turn off' : 'Turn on';
+  toggle.setAttribute('aria-label', `${rule.name}: enabled`);
+  toggle.addEventListener('change', () => updateRule(rule.id, { enabled: toggle.checked }));
+
+  const text = document.createElement('div');
+  text.className = 'rule-text';
+  const name = document.createElement('div');
+  name.className = 'rule-name';
+  name.textContent = rule.name;
+  const summary = document.createElement('div');
+  summary.className = 'rule-summary';
+  summary.textContent = await describeRule(rule);
+  summary.title = summary.textContent;
+  text.appendChild(name);
+  text.appendChild(summary);
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'tune-btn';
+  editBtn.textContent = '✎';
+  editBtn.title = 'Edit rule';
+  editBtn.setAttribute('aria-label', `Edit ${rule.name}`);
+  editBtn.addEventListener('click', () => openRuleForm(rule));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'tune-btn';
+  deleteBtn.textContent = '✕';
+  deleteBtn.title = 'Delete rule';
+  deleteBtn.setAttribute('aria-label', `Delete ${rule.name}`);
+  deleteBtn.addEventListener('click', () => handleDeleteRule(rule));
+
+  item.appendChild(toggle);
+  item.appendChild(text);
+  item.appendChild(editBtn);
+  item.appendChild(deleteBtn);
+  return item;
+}
+
+async function updateRule(id, changes) {
+  const rules = await getReactionRules();
+  await saveReactionRules(rules.map(rule => rule.id === id ? { ...rule, ...changes } : rule));
+}
+
+async function handleDeleteRule(rule) {
+  if (!confirm(`Delete the rule "${rule.name}"?`)) {
+    return;
+  }
+
+  const rules = await getReactionRules();
+  await saveReactionRules(rules.filter(item => item.id !== rule.id));
+  if (editingRuleId === rule.id) closeRuleForm();
+}
+
+// ===== RULE EDITOR =====
+
+function updateTriggerField() {
+  const type = document.getElementById('ruleTriggerType').value;
+  const valueInput = document.getElementById('ruleTriggerValue');
+  valueInput.placeholder = RULE_TRIGGER_TYPES[type].placeholder;
+  document.getElementById('ruleTriggerValueLabel').textContent = {
+    text: 'Text',
+    selector: 'CSS selector',
+    submit: 'Form selector (optional)',
+    url: 'URL pattern, * matches anything'
+  }[type];
+}
+
+function updateEmojiField() {
+  const typed = document.getElementById('ruleEmoji').value === '';
+  document.getElementById('ruleEmojiTextField').hidden = !typed;
+}
+
+// Favorites, recent reactions and custom emojis to pick from, plus the rule's own emoji
+async function renderEmojiSelect(selectedRef) {
+  const select = document.getElementById('ruleEmoji');
+  const [favorites, recent, images] = await Promise.all([getFavoriteEmojis(), getRecentReactions(), getAllImages()]);
+  images.forEach(image => image.objectURL && URL.revokeObjectURL(image.objectURL));
+
+  const groups = [
+    ['Favorites', favorites],
+    ['Recent', recent],
+    ['Custom emojis', images.map(({ id }) => ({ kind: 'custom', id }))]
+  ];
+  if (selectedRef && selectedRef.kind !== 'unicode') {
+    groups.unshift(['Current', [selectedRef]]);
+  }
+
+  select.innerHTML = '';
+  ruleEmojiRefs.clear();
+  select.appendChild(new Option('Type an emoji…', ''));
+
+  for (const [label, refs] of groups) {
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const ref of refs) {
+      const key = emojiRefKey(ref);
+      if (ruleEmojiRefs.has(key)) continue;
+      ruleEmojiRefs.set(key, ref);
+      group.appendChild(new Option(await getEmojiLabel(ref), key));
+    }
+    if (group.children.length > 0) select.appendChild(group);
+  }
+
+  // Typed emojis are edited in the text field, everything else is picked
+  const isTyped = !selectedRef || selectedRef.kind === 'unicode';
+  select.value = isTyped ? '' : emojiRefKey(selectedRef);
+  document.getElementById('ruleEmojiText').value = isTyped && selectedRef ? selectedRef.value : '';
+  updateEmojiField();
+}
+
+function renderAnimationSelect(selectedName) {
+  const select = document.getElementById('ruleAnimation');
+  select.innerHTML = '';
+  select.appendChild(new Option('Selected animation', ''));
+  EmojiOverlay.listAnimations().forEach(({ name, label }) => {
+    select.appendChild(new Option(label, name));
+  });
+  select.value = selectedName || '';
+}
+
+async function openRuleForm(rule) {
+  editingRuleId = rule ? rule.id : null;
+  document.getElementById('ruleFormTitle').textContent = rule ? 'Edit rule' : 'New rule';
+  document.getElementById('ruleName').value = rule ? rule.name : '';
+  document.getElementById('ruleSite').value = rule ? rule.site : '';
+  document.getElementById('ruleTriggerType').value = rule ? rule.trigger.type : 'text';
+  document.getElementById('ruleTriggerValue').value = rule ? rule.trigger.value : '';
+  document.getElementById('ruleCooldown').value = rule ? rule.cooldown : DEFAULT_RULE_COOLDOWN;
+  document.getElementById('ruleEnabled').checked = rule ? rule.enabled : true;
+  document.getElementById('ruleErrors').textContent = '';
+  updateTriggerField();
+  renderAnimationSelect(rule && rule.animation);
+  await renderEmojiSelect(rule && rule.emoji);
+
+  const form = document.getElementById('ruleForm');
+  form.hidden = false;
+  document.getElementById('ruleName').focus();
+  form.scrollIntoView({ block: 'nearest' });
+}
+
+function closeRuleForm() {
+  editingRuleId = null;
+  document.getElementById('ruleForm').hidden = true;
+}
+
+function readRuleForm() {
+  const emojiKey = document.getElementById('ruleEmoji').value;
+  const typedEmoji = document.getElementById('ruleEmojiText').value.trim();
+  const type = document.getElementById('ruleTriggerType').value;
+  const value = document.getElementById('ruleTriggerValue').value.trim();
+
+  return {
+    id: editingRuleId || `rule_${Date.now()}`,
+    name: document.getElementById('ruleName').value.trim() || RULE_TRIGGER_TYPES[type].label,
+    enabled: document.getElementById('ruleEnabled').checked,
+    site: document.getElementById('ruleSite').value.trim().toLowerCase(),
+    trigger: { type, value },
+    emoji: emojiKey
+      ? ruleEmojiRefs.get(emojiKey)
+      : (typedEmoji ? { kind: 'unicode', value: typedEmoji } : null),
+    animation: document.getElementById('ruleAnimation').value || null,
+    cooldown: Number(document.getElementById('ruleCooldown').value)
+  };
+}
+
+async function handleSaveRule(e) {
+  e.preventDefault();
+
+  const rule = readRuleForm();
+  const errors = validateRule(rule);
+  if (errors.length > 0) {
+    document.getElementById('ruleErrors').textContent = errors.join(' ');
+    return;
+  }
+
+  const rules = await getReactionRules();
+  const index = rules.findIndex(item => item.id === rule.id);
+  if (index === -1) {
+    rules.push(rule);
+  } else {
+    rules[index] = rule;
+  }
+  await saveReactionRules(rules);
+  closeRuleForm();
+}
+
+// ===== IMAGE PROVIDERS =====
+
+// Settings of every provider as edited, so switching providers back and forth keeps what
+// was typed until it is saved
+let providerSettings = null;
+
+function setupProviderListeners() {
+  const typeSelect = document.getElementById('providerType');
+  Object.entries(IMAGE_PROVIDERS).forEach(([value, { label }]) => {
+    typeSelect.appendChild(new Option(label, value));
+  });
+  typeSelect.addEventListener('change', renderProviderFields);
+  document.getElementById('providerForm').addEventListener('submit', handleSaveProvider);
+}
+
+async function loadProviderSettings() {
+  providerSettings = await getImageProviderSettings();
+  document.getElementById('providerType').value = providerSettings.type;
+  renderProviderFields();
+}
+
+// The fields of the provider picked in the select, filled in from providerSettings
+function renderProviderFields() {
+  const type = document.getElementById('providerType').value;
+  const provider = IMAGE_PROVIDERS[type];
+  const config = providerSettings[type];
+  const container = document.getElementById('providerFields');
+
+  container.innerHTML = '';
+  document.getElementById('providerHelp').textContent = provider.help;
+  document.getElementById('providerErrors').textContent = '';
+  document.getElementById('providerStatus').textContent = '';
+
+  provider.fields.forEach(field => {
+    const label = document.createElement('label');
+    label.className = 'settings-field';
+    label.textContent = field.label;
+
+    let input;
+    if (field.type === 'textarea') {
+      input = document.createElement('textarea');
+      input.rows = 10;
+      input.spellcheck = false;
+    } else {
+      input = document.createElement('input');
+      input.type = field.type || 'text';
+    }
+    input.placeholder = field.placeholder || '';
+    input.value = config[field.key];
+    input.addEventListener('input', () => {
+      config[field.key] = input.value;
+      document.getElementById('providerStatus').textContent = '';
+    });
+
+    label.appendChild(input);
+    container.appendChild(label);
+  });
+}
+
+async function handleSaveProvider(e) {
+  e.preventDefault();
+
+  const type = document.getElementById('providerType').value;
+  Object.keys(providerSettings[type]).forEach(key => {
+    providerSettings[type][key] = providerSettings[type][key].trim();
+  });
+  providerSettings.type = type;
+
+  const errors = validateImageProvider(providerSettings);
+  document.getElementById('providerErrors').textContent = errors.join(' ');
+  if (errors.length > 0) {
+    return;
+  }
+
+  await saveImageProviderSettings(providerSettings);
+  document.getElementById('providerStatus').textContent = `Saved. AI emojis are now drawn with ${describeImageProvider(providerSettings)}.`;
+}
@@ -0,0 +1,29 @@
+// Boring: a single particle at the origin (the middle of the viewport by default) that fades out.
+// The giant variant is the same animation at three times the size.
+[
+  { name: 'boring', label: 'Boring', size: 200 },
+  { name: 'boring-giant', label: 'Boring Giant', size: 600 }
+].forEach(({ name, label, size }) => {
+  EmojiOverlay.registerAnimation(name, {
+    label,
+    still: true,
+    params: {
+      size: { label: 'Size', min: 50, max: 1000, step: 10, default: size, unit: 'px' },
+      duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 2500, unit: 'ms' }
+    },
+    run({ spawn, origin, params }) {
+      spawn({
+        size: params.size,
+        duration: params.duration,
+        step(elapsed, progress) {
+          return {
+            x: origin.x,
+            y: origin.y,
+            // Fade out in the last 30% of animation
+            opacity: progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1
+          };
+        }
+      });
+    }
+  });
+});
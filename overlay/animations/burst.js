@@ -0,0 +1,39 @@
+// Burst: particles explode out of the origin (the viewport center by default) and fall under gravity.
+// Origins with an area, like a picked element, burst from all over it.
+EmojiOverlay.registerAnimation('burst', {
+  label: 'Burst',
+  params: {
+    particleCount: { label: 'Particles', min: 1, max: 100, step: 1, default: 25 },
+    duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 2500, unit: 'ms' },
+    size: { label: 'Size', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' },
+    speed: { label: 'Speed', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' }
+  },
+  run({ spawn, origin, area, params, random }) {
+    const gravity = 500; // pixels per second squared
+
+    for (let i = 0; i < params.particleCount; i++) {
+      // Random velocity, direction and spin
+      const angle = random(0, Math.PI * 2);
+      const velocity = random(200, 500) * params.speed; // pixels per second
+      const velocityX = Math.cos(angle) * velocity;
+      const velocityY = Math.sin(angle) * velocity;
+      const rotationSpeed = random(-360, 360); // degrees per second
+      const startX = area ? random(area.left, area.left + area.width) : origin.x;
+      const startY = area ? random(area.top, area.top + area.height) : origin.y;
+
+      spawn({
+        size: random(80, 200) * params.size,
+        duration: params.duration,
+        step(elapsed, progress) {
+          return {
+            x: startX + velocityX * elapsed,
+            y: startY + velocityY * elapsed + 0.5 * gravity * elapsed * elapsed,
+            rotation: rotationSpeed * elapsed,
+            // Fade out in the last 30% of animation
+            opacity: progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1
+          };
+        }
+      });
+    }
+  }
+});
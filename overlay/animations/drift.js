@@ -0,0 +1,46 @@
+// Drift: waves of particles fall from the top of the screen, swaying side to side, above the
+// origin's area or anywhere across the screen without one
+EmojiOverlay.registerAnimation('drift', {
+  label: 'Drift',
+  params: {
+    particleCount: { label: 'Particles', min: 1, max: 100, step: 1, default: 28 },
+    duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 3500, unit: 'ms' },
+    size: { label: 'Size', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' },
+    speed: { label: 'Speed', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' }
+  },
+  run({ spawn, area, params, random }) {
+    const waveCount = 4;
+    const waveInterval = 300; // ms between waves
+    const gravity = 500 * params.speed * params.speed; // Scaled so fall speed scales with `speed`
+    const startY = -100; // Start above viewport
+    const driftAmplitude = 30; // Horizontal drift amount
+    const driftFrequency = 2; // Drift oscillation speed
+
+    for (let i = 0; i < params.particleCount; i++) {
+      const wave = i % waveCount;
+      const startX = area ? random(area.left, area.left + area.width) : random(0, window.innerWidth);
+      const baseTilt = random(-20, 20);
+
+      spawn({
+        size: random(60, 140) * params.size,
+        duration: params.duration,
+        delay: wave * waveInterval,
+        step(elapsed) {
+          const y = startY + 0.5 * gravity * elapsed * elapsed;
+          const drift = Math.sin(elapsed * driftFrequency * Math.PI) * driftAmplitude;
+
+          // Fade out near bottom of screen
+          const screenHeight = window.innerHeight;
+          const fadeStart = screenHeight * 0.8;
+
+          return {
+            x: startX + drift,
+            y,
+            rotation: baseTilt + (drift / driftAmplitude) * 15,
+            opacity: y > fadeStart ? 1 - ((y - fadeStart) / (screenHeight * 0.2)) : 1
+          };
+        }
+      });
+    }
+  }
+});
@@ -0,0 +1,37 @@
+// Drive: particles race across the screen from left to right, at the heights of the origin's area
+// or anywhere on screen without one
+EmojiOverlay.registerAnimation('drive', {
+  label: 'Drive',
+  params: {
+    particleCount: { label: 'Particles', min: 1, max: 100, step: 1, default: 25 },
+    duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 3000, unit: 'ms' },
+    size: { label: 'Size', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' },
+    speed: { label: 'Speed', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' }
+  },
+  run({ spawn, area, params, random }) {
+    for (let i = 0; i < params.particleCount; i++) {
+      // Start off-screen on the left at a random height
+      const startX = -150;
+      const startY = area ? random(area.top, area.top + area.height) : random(0, window.innerHeight);
+      const velocity = random(300, 700) * params.speed; // pixels per second
+
+      spawn({
+        size: random(60, 140) * params.size,
+        duration: params.duration,
+        step(elapsed) {
+          const x = startX + velocity * elapsed;
+
+          // Fade out near the right edge
+          const screenWidth = window.innerWidth;
+          const fadeStart = screenWidth * 0.8;
+
+          return {
+            x,
+            y: startY,
+            opacity: x > fadeStart ? 1 - ((x - fadeStart) / (screenWidth * 0.2)) : 1
+          };
+        }
+      });
+    }
+  }
+});
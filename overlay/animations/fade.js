@@ -0,0 +1,23 @@
+// Fade: a single particle fades in and out at the origin without moving. Plays in place of
+// every animation that moves when motion is reduced.
+EmojiOverlay.registerAnimation('fade', {
+  label: 'Fade',
+  still: true,
+  params: {
+    size: { label: 'Size', min: 50, max: 600, step: 10, default: 160, unit: 'px' },
+    duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 2000, unit: 'ms' }
+  },
+  run({ spawn, origin, params }) {
+    spawn({
+      size: params.size,
+      duration: params.duration,
+      step(elapsed, progress) {
+        return {
+          x: origin.x,
+          y: origin.y,
+          opacity: Math.sin(Math.PI * progress)
+        };
+      }
+    });
+  }
+});
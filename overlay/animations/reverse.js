@@ -0,0 +1,36 @@
+// Reverse: particles race across the screen from right to left, at the heights of the origin's area
+// or anywhere on screen without one
+EmojiOverlay.registerAnimation('reverse', {
+  label: 'Reverse',
+  params: {
+    particleCount: { label: 'Particles', min: 1, max: 100, step: 1, default: 25 },
+    duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 3000, unit: 'ms' },
+    size: { label: 'Size', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' },
+    speed: { label: 'Speed', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' }
+  },
+  run({ spawn, area, params, random }) {
+    for (let i = 0; i < params.particleCount; i++) {
+      // Start off-screen on the right at a random height
+      const startX = window.innerWidth + 150;
+      const startY = area ? random(area.top, area.top + area.height) : random(0, window.innerHeight);
+      const velocity = -random(300, 700) * params.speed; // pixels per second, negative for left movement
+
+      spawn({
+        size: random(60, 140) * params.size,
+        duration: params.duration,
+        step(elapsed) {
+          const x = startX + velocity * elapsed;
+
+          // Fade out near the left edge
+          const fadeStart = window.innerWidth * 0.2;
+
+          return {
+            x,
+            y: startY,
+            opacity: x < fadeStart ? 1 - ((fadeStart - x) / (window.innerWidth * 0.2)) : 1
+          };
+        }
+      });
+    }
+  }
+});
@@ -0,0 +1,34 @@
+// Tornado: particles spiral outward from the origin like a cyclone
+EmojiOverlay.registerAnimation('tornado', {
+  label: 'Tornado',
+  params: {
+    particleCount: { label: 'Particles', min: 1, max: 100, step: 1, default: 25 },
+    duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 4000, unit: 'ms' },
+    radius: { label: 'Radius', min: 50, max: 1000, step: 10, default: 300, unit: 'px' },
+    size: { label: 'Size', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' },
+    speed: { label: 'Spin', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' }
+  },
+  run({ spawn, origin, params, random }) {
+    for (let i = 0; i < params.particleCount; i++) {
+      // Each particle starts at a different angle
+      const startAngle = (i / params.particleCount) * Math.PI * 2;
+
+      spawn({
+        size: random(60, 140) * params.size,
+        duration: params.duration,
+        step(elapsed, progress) {
+          const angle = startAngle + elapsed * 3 * Math.PI * params.speed; // 1.5 full rotations per second
+
+          return {
+            x: origin.x + Math.cos(angle) * progress * params.radius,
+            y: origin.y + Math.sin(angle) * progress * params.radius,
+            // Particle spins on its own axis
+            rotation: elapsed * 360 * params.speed,
+            // Fade out as it spirals out
+            opacity: 1 - progress * 0.8
+          };
+        }
+      });
+    }
+  }
+});
@@ -0,0 +1,59 @@
+// Wave: particles ride an ocean wave across the screen that builds, crests and crashes, at the
+// height of the origin (the middle of the viewport by default)
+EmojiOverlay.registerAnimation('wave', {
+  label: 'Waves',
+  params: {
+    particleCount: { label: 'Particles', min: 1, max: 100, step: 1, default: 25 },
+    duration: { label: 'Duration', min: 500, max: 8000, step: 100, default: 4000, unit: 'ms' },
+    height: { label: 'Wave height', min: 0, max: 50, step: 1, default: 30, unit: '%' },
+    size: { label: 'Size', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' }
+  },
+  run({ spawn, origin, params, random }) {
+    const waveHeight = window.innerHeight * params.height / 100; // Wave amplitude
+    const baseY = origin.y;
+
+    for (let i = 0; i < params.particleCount; i++) {
+      // Random vertical offset within the wave
+      const verticalOffset = random(-50, 50);
+
+      spawn({
+        size: random(60, 120) * params.size,
+        duration: params.duration,
+        delay: (i / params.particleCount) * 1000, // Stagger by up to 1 second
+        step(elapsed, progress) {
+          // Move from left to right
+          const x = -100 + progress * (window.innerWidth + 200);
+          const waveProgress = (x + 100) / window.innerWidth;
+          let waveY;
+
+          if (waveProgress < 0.3) {
+            // Building wave
+            waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (waveProgress / 0.3);
+          } else if (waveProgress < 0.7) {
+            // Cresting wave
+            waveY = Math.sin(waveProgress * Math.PI * 3) * waveHeight;
+          } else {
+            // Crashing wave
+            waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (1 - (waveProgress - 0.7) / 0.3);
+          }
+
+          // Fade in at start, fade out at end
+          let opacity = 1;
+          if (progress < 0.1) {
+            opacity = progress / 0.1;
+          } else if (progress > 0.9) {
+            opacity = 1 - ((progress - 0.9) / 0.1);
+          }
+
+          return {
+            x,
+            y: baseY + waveY + verticalOffset,
+            // Rotation based on wave direction
+            rotation: Math.sin(waveProgress * Math.PI * 3) * 30,
+            opacity
+          };
+        }
+      });
+    }
+  }
+});
@@ -0,0 +1,160 @@
+// Animated images: decodes GIF, APNG and animated WebP frames with ImageDecoder, and
+// slices sprite sheets into frames, so every particle of a reaction draws the same frame
+// from one clock instead of each image running its own.
+//
+// Content descriptors for images may carry:
+//   sprite    { columns, rows, frames, fps } grid of frames, left to right then top to bottom
+//   playback  'loop' | 'pingpong' | 'once'; 'once' plays per particle and holds the last frame
+(() => {
+  if (EmojiOverlay.loadAnimatedImage) return;
+
+  const PLAYBACK_MODES = ['loop', 'pingpong', 'once'];
+  const DECODABLE_TYPES = ['image/gif', 'image/png', 'image/apng', 'image/webp'];
+  const MAX_FRAMES = 150; // Longer animations are cut off to bound memory
+  const MAX_FRAME_SIZE = 256; // Decoded frames are scaled down to this, particles rarely draw bigger
+  const DEFAULT_FRAME_DURATION = 100; // ms, what browsers use for GIF frames without a usable delay
+  const MIN_FRAME_DURATION = 20; // ms, shorter delays get the default like they do in <img>
+  const MAX_STILL_SOURCES = 64; // Still images remembered per page, oldest forgotten first
+
+  // Sources that decoded as still images, so later fires skip fetching and decoding them
+  const stillSources = new Set();
+
+  // Data URLs are decoded by hand so page CSPs that restrict fetch() don't matter
+  async function loadImageBlob(src) {
+    if (src.startsWith('data:')) {
+      const [header, data] = src.split(',');
+      const type = header.slice(5).split(';')[0];
+      const binary = header.endsWith(';base64') ? atob(data) : decodeURIComponent(data);
+      return new Blob([Uint8Array.from(binary, char => char.charCodeAt(0))], { type });
+    }
+
+    const response = await fetch(src);
+    return response.blob();
+  }
+
+  function clampInteger(value, min, max, fallback) {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+  }
+
+  async function decodeSpriteSheet(blob, sprite) {
+    const image = await createImageBitmap(blob);
+    const columns = clampInteger(sprite.columns, 1, 64, 1);
+    const rows = clampInteger(sprite.rows, 1, 64, 1);
+    const count = clampInteger(sprite.frames, 1, columns * rows, columns * rows);
+    const duration = 1000 / clampInteger(sprite.fps, 1, 60, 12);
+    const width = image.width / columns;
+    const height = image.height / rows;
+
+    const frames = Array.from({ length: count }, (_, i) => ({
+      image,
+      sx: (i % columns) * width,
+      sy: Math.floor(i / columns) * height,
+      sw: width,
+      sh: height,
+      duration
+    }));
+    return { frames, bitmaps: [image] };
+  }
+
+  // Returns null for still images, which the renderer draws as they are
+  async function decodeAnimatedImage(blob) {
+    if (typeof ImageDecoder === 'undefined' || !DECODABLE_TYPES.includes(blob.type)) return null;
+    if (!await ImageDecoder.isTypeSupported(blob.type)) return null;
+
+    const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: blob.type });
+    const bitmaps = [];
+    try {
+      await decoder.completed;
+      const track = decoder.tracks.selectedTrack;
+      if (!track || !track.animated || track.frameCount < 2) return null;
+
+      const frames = [];
+      for (let frameIndex = 0; frameIndex < Math.min(track.frameCount, MAX_FRAMES); frameIndex++) {
+        const { image: videoFrame } = await decoder.decode({ frameIndex });
+        const scale = Math.min(1, MAX_FRAME_SIZE / Math.max(videoFrame.displayWidth, videoFrame.displayHeight));
+        const bitmap = await createImageBitmap(videoFrame, {
+          resizeWidth: Math.max(1, Math.round(videoFrame.displayWidth * scale)),
+          resizeHeight: Math.max(1, Math.round(videoFrame.displayHeight * scale)),
+          resizeQuality: 'high'
+        });
+        const duration = (videoFrame.duration || 0) / 1000; // µs to ms
+        videoFrame.close();
+
+        bitmaps.push(bitmap);
+        frames.push({
+          image: bitmap,
+          sx: 0,
+          sy: 0,
+          sw: bitmap.width,
+          sh: bitmap.height,
+          duration: duration >= MIN_FRAME_DURATION ? duration : DEFAULT_FRAME_DURATION
+        });
+      }
+      return { frames, bitmaps };
+    } catch (error) {
+      bitmaps.forEach(bitmap => bitmap.close());
+      throw error;
+    } finally {
+      decoder.close();
+    }
+  }
+
+  // Frame order for one cycle: ping-pong runs back without repeating either end frame
+  function getSequence(frameCount, playback) {
+    const forward = Array.from({ length: frameCount }, (_, i) => i);
+    if (playback !== 'pingpong' || frameCount < 3) return forward;
+    return [...forward, ...forward.slice(1, -1).reverse()];
+  }
+
+  /**
+   * Decode the frames of an animated image or sprite sheet
+   * @param {{type: 'image', src: string, sprite?: Object, playback?: string}} content
+   * @returns {Promise<{playback: string, frameAt: function(number): Object, release: function(): void}|null>}
+   *   `frameAt(elapsed)` gives the frame to draw `elapsed` ms into playback; null for still images
+   */
+  async function loadAnimatedImage(content) {
+    if (!content.sprite && stillSources.has(content.src)) return null;
+
+    const blob = await loadImageBlob(content.src);
+    const decoded = content.sprite ? await decodeSpriteSheet(blob, content.sprite) : await decodeAnimatedImage(blob);
+    if (!decoded) {
+      stillSources.add(content.src);
+      if (stillSources.size > MAX_STILL_SOURCES) {
+        stillSources.delete(stillSources.values().next().value);
+      }
+      return null;
+    }
+
+    const playback = PLAYBACK_MODES.includes(content.playback) ? content.playback : 'loop';
+    const { frames, bitmaps } = decoded;
+    const sequence = getSequence(frames.length, playback);
+
+    // End time of each step of the sequence, for looking up the frame at a given time
+    let total = 0;
+    const endTimes = sequence.map(index => (total += frames[index].duration));
+
+    return {
+      playback,
+      frameAt(elapsed) {
+        const time = playback === 'once' ? Math.min(elapsed, total - 1) : elapsed % total;
+        let low = 0;
+        let high = sequence.length - 1;
+        while (low < high) {
+          const middle = (low + high) >> 1;
+          if (endTimes[middle] > time) high = middle;
+          else low = middle + 1;
+        }
+        return frames[sequence[low]];
+      },
+      release() {
+        bitmaps.forEach(bitmap => bitmap.close());
+      }
+    };
+  }
+
+  Object.assign(EmojiOverlay, {
+    PLAYBACK_MODES,
+    loadAnimatedImage
+  });
+})();
@@ -0,0 +1,112 @@
+// Overlay host: every particle, caption and announcement lives in one closed shadow root,
+// so page CSS such as `img { max-width: 100% }` can't reach them. The host element sits
+// in the top layer as a manual popover, above page dialogs, popovers and fullscreen
+// elements. Browsers without popovers get the host moved into the fullscreen element.
+//
+// The host hangs off the root element rather than <body>, which may be missing (SVG
+// documents), a <frameset>, or transformed so that fixed positioning breaks.
+(() => {
+  if (EmojiOverlay.getOverlayRoot) return;
+
+  const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+  const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+  const HOST_STYLE = [
+    'all: initial',
+    'display: block',
+    'position: fixed',
+    'inset: 0',
+    'width: 100%',
+    'height: 100%',
+    'margin: 0',
+    'padding: 0',
+    'border: none',
+    'background: transparent',
+    'overflow: visible',
+    'pointer-events: none',
+    'z-index: 2147483647'
+  ].map(declaration => declaration + ' !important').join('; ');
+
+  let host = null;
+  let root = null;
+  let hostParent = null;
+
+  /**
+   * Create an HTML element, also in documents whose createElement() doesn't, such as SVG
+   * @param {string} tagName
+   * @returns {HTMLElement}
+   */
+  function createOverlayElement(tagName) {
+    return document.createElementNS(HTML_NAMESPACE, tagName);
+  }
+
+  // The root element; HTML can't render directly inside SVG, so SVG documents get a
+  // <foreignObject> for the host
+  function getHostParent() {
+    if (hostParent && hostParent.isConnected) return hostParent;
+
+    hostParent = document.documentElement;
+    if (hostParent.namespaceURI === SVG_NAMESPACE) {
+      const container = document.createElementNS(SVG_NAMESPACE, 'foreignObject');
+      ['x', 'y'].forEach(name => container.setAttribute(name, '0'));
+      ['width', 'height'].forEach(name => container.setAttribute(name, '100%'));
+      hostParent = hostParent.appendChild(container);
+    }
+    return hostParent;
+  }
+
+  function supportsPopover() {
+    return typeof host.showPopover === 'function';
+  }
+
+  /**
+   * Put the overlay above everything else the page shows right now
+   * Top-layer elements stack in the order they were shown, so the host is shown again
+   * after the page opens a dialog, a popover or goes fullscreen.
+   */
+  function raiseOverlay() {
+    if (!host || !host.isConnected) return;
+
+    if (supportsPopover()) {
+      if (host.matches(':popover-open')) host.hidePopover();
+      host.showPopover();
+    } else {
+      const parent = document.fullscreenElement || getHostParent();
+      if (host.parentNode !== parent) parent.appendChild(host);
+    }
+  }
+
+  // Other top-layer elements opening cover the overlay, so it goes back on top of them
+  function watchTopLayer() {
+    document.addEventListener('fullscreenchange', raiseOverlay);
+    document.addEventListener('toggle', (event) => {
+      if (event.target !== host && event.newState === 'open') raiseOverlay();
+    }, true);
+  }
+
+  /**
+   * Get the shadow root overlays are drawn in, creating and showing its host if needed
+   * @returns {ShadowRoot}
+   */
+  function getOverlayRoot() {
+    if (!host) {
+      host = createOverlayElement('emoji-overlay');
+      host.style.cssText = HOST_STYLE;
+      root = host.attachShadow({ mode: 'closed' });
+      if (supportsPopover()) host.popover = 'manual';
+      watchTopLayer();
+    }
+
+    // Pages that rebuild their DOM may have dropped the host
+    if (!host.isConnected) {
+      getHostParent().appendChild(host);
+      raiseOverlay();
+    }
+    return root;
+  }
+
+  Object.assign(EmojiOverlay, {
+    createOverlayElement,
+    getOverlayRoot,
+    raiseOverlay
+  });
+})();
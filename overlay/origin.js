@@ -0,0 +1,199 @@
+// Reaction origins: where a reaction starts when it isn't fired at a point.
+//   center    middle of the viewport
+//   cursor    last mouse position in the page, recorded by content.js
+//   element   a picked element's box, found again by the selector pickElement() made for it
+//   edge      along the bottom edge of the viewport
+//
+// Besides the origin point, animations get the area it stands for, so a reaction on a
+// picked element can spread over the element's box.
+(() => {
+  if (EmojiOverlay.resolveOrigin) return;
+
+  const HIGHLIGHT_COLOR = '#4a90e2';
+  let activePick = null;
+
+  /**
+   * Work out where a reaction starts
+   * Picked elements that are gone or scrolled out of view fall back to the center.
+   * @param {string} [mode='center'] - center, cursor, element or edge
+   * @param {string} [selector] - CSS selector of the picked element
+   * @returns {{origin: {x: number, y: number}, area: {left: number, top: number, width: number, height: number}|null}}
+   *   `area` is null when the reaction has no particular place to start from
+   */
+  function resolveOrigin(mode = 'center', selector) {
+    const center = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+
+    if (mode === 'cursor' && globalThis.emojiOverlayPointer) {
+      const { x, y } = globalThis.emojiOverlayPointer;
+      return { origin: { x, y }, area: { left: x, top: y, width: 0, height: 0 } };
+    }
+
+    if (mode === 'edge') {
+      const area = { left: 0, top: window.innerHeight, width: window.innerWidth, height: 0 };
+      return { origin: { x: center.x, y: window.innerHeight }, area };
+    }
+
+    if (mode === 'element' && selector) {
+      const area = getVisibleArea(selector);
+      if (area) {
+        return { origin: { x: area.left + area.width / 2, y: area.top + area.height / 2 }, area };
+      }
+    }
+
+    return { origin: center, area: null };
+  }
+
+  // The part of the element inside the viewport
+  function getVisibleArea(selector) {
+    let element;
+    try {
+      element = document.querySelector(selector);
+    } catch (error) {
+      return null; // Not a valid selector
+    }
+    if (!element) return null;
+
+    const rect = element.getBoundingClientRect();
+    const left = Math.max(0, rect.left);
+    const top = Math.max(0, rect.top);
+    const right = Math.min(window.innerWidth, rect.right);
+    const bottom = Math.min(window.innerHeight, rect.bottom);
+    if (right <= left || bottom <= top) return null;
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * CSS selector that finds an element again after the page reloads
+   * Ids are used where they are unique; everything else is a tag and its position among
+   * siblings of the same tag, up to the nearest such id.
+   * @param {Element} element
+   * @returns {string}
+   */
+  function getElementSelector(element) {
+    const parts = [];
+    for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+      if (node.id && document.querySelectorAll('#' + CSS.escape(node.id)).length === 1) {
+        parts.unshift('#' + CSS.escape(node.id));
+        break;
+      }
+
+      const tag = CSS.escape(node.localName);
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(sibling => sibling.localName === node.localName)
+        : [node];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  }
+
+  function createPickerElements() {
+    const highlight = EmojiOverlay.createOverlayElement('div');
+    Object.assign(highlight.style, {
+      position: 'fixed',
+      display: 'none',
+      boxSizing: 'border-box',
+      border: `2px solid ${HIGHLIGHT_COLOR}`,
+      borderRadius: '4px',
+      background: 'rgba(74, 144, 226, 0.15)',
+      pointerEvents: 'none',
+      transition: 'opacity 0.4s'
+    });
+
+    const hint = EmojiOverlay.createOverlayElement('div');
+    hint.textContent = 'Click the element reactions should start from. Esc cancels.';
+    Object.assign(hint.style, {
+      position: 'fixed',
+      left: '50%',
+      top: '16px',
+      transform: 'translateX(-50%)',
+      padding: '8px 14px',
+      borderRadius: '16px',
+      background: HIGHLIGHT_COLOR,
+      color: 'white',
+      font: '600 14px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+      pointerEvents: 'none'
+    });
+
+    return { highlight, hint };
+  }
+
+  /**
+   * Let the user pick an element in the page, highlighting elements as the mouse moves
+   * over them. Clicks while picking don't reach the page.
+   * @returns {Promise<string|null>} Selector for the picked element, null if cancelled
+   */
+  function pickElement() {
+    if (activePick) return activePick;
+
+    const root = EmojiOverlay.getOverlayRoot();
+    EmojiOverlay.raiseOverlay();
+    const { highlight, hint } = createPickerElements();
+    root.appendChild(highlight);
+    root.appendChild(hint);
+
+    let hovered = null;
+    const showHighlight = () => {
+      if (!hovered) return;
+      const rect = hovered.getBoundingClientRect();
+      Object.assign(highlight.style, {
+        display: 'block',
+        left: rect.left + 'px',
+        top: rect.top + 'px',
+        width: rect.width + 'px',
+        height: rect.height + 'px'
+      });
+    };
+
+    activePick = new Promise(resolve => {
+      const swallow = (event) => {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+      };
+
+      const listeners = {
+        mousemove: (event) => {
+          hovered = event.target instanceof Element ? event.target : null;
+          showHighlight();
+        },
+        scroll: showHighlight,
+        keydown: (event) => {
+          if (event.key !== 'Escape') return;
+          swallow(event);
+          finish(null);
+        },
+        pointerdown: swallow,
+        mousedown: swallow,
+        pointerup: swallow,
+        mouseup: swallow,
+        click: (event) => {
+          swallow(event);
+          const target = event.target instanceof Element ? event.target : hovered;
+          finish(target ? getElementSelector(target) : null);
+        }
+      };
+
+      function finish(selector) {
+        Object.entries(listeners).forEach(([type, listener]) => window.removeEventListener(type, listener, true));
+        hint.remove();
+        if (selector) {
+          // The picked element stays highlighted for a moment as confirmation
+          setTimeout(() => { highlight.style.opacity = '0'; }, 600);
+          setTimeout(() => highlight.remove(), 1000);
+        } else {
+          highlight.remove();
+        }
+        activePick = null;
+        resolve(selector);
+      }
+
+      Object.entries(listeners).forEach(([type, listener]) => window.addEventListener(type, listener, true));
+    });
+    return activePick;
+  }
+
+  Object.assign(EmojiOverlay, {
+    resolveOrigin,
+    pickElement,
+    getElementSelector
+  });
+})();
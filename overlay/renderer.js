@@ -0,0 +1,287 @@
+// Particle renderer shared by every reaction. Particles are drawn on one fixed canvas
+// covering the viewport, from a single requestAnimationFrame loop. Pages that can't give
+// us a 2D canvas get one DOM node per particle instead, driven by the same loop.
+//
+// The loop keeps its own clock, advanced by the time between frames but never by more
+// than MAX_FRAME_DELTA. Particles in a tab that was hidden pick up where they left off
+// instead of jumping to where they would have been.
+(() => {
+  if (EmojiOverlay.addParticle) return;
+
+  const MAX_PARTICLES = 300; // New particles are dropped while this many are playing
+  const MAX_FRAME_DELTA = 100; // ms
+  const MAX_CACHED_SPRITES = 64;
+  const MIN_SPRITE_SIZE = 32; // Device px; text is rendered at powers of two from here up
+  const MAX_SPRITE_SIZE = 512; // Device px; bigger particles scale the sprite up
+  const Z_INDEX = '999999';
+
+  const particles = [];
+  const sprites = new Map(); // Rendered text and loaded images, least recently used first
+  let layer; // { canvas, context }, null once a 2D context turned out to be unavailable
+  let clock = 0; // ms
+  let lastTimestamp = null;
+  let frameRequest = null;
+
+  function getCanvasLayer() {
+    if (layer === undefined) {
+      const canvas = EmojiOverlay.createOverlayElement('canvas');
+      const context = canvas.getContext('2d');
+      layer = context && { canvas, context };
+      if (layer) {
+        Object.assign(canvas.style, {
+          position: 'fixed',
+          left: '0',
+          top: '0',
+          pointerEvents: 'none',
+          zIndex: Z_INDEX
+        });
+      }
+    }
+    if (layer && !layer.canvas.isConnected) {
+      EmojiOverlay.getOverlayRoot().appendChild(layer.canvas);
+    }
+    return layer;
+  }
+
+  // Match the viewport, which may have been resized or zoomed since the last frame
+  function prepareCanvas({ canvas, context }) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(window.innerWidth * ratio);
+    const height = Math.round(window.innerHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+      canvas.style.width = window.innerWidth + 'px';
+      canvas.style.height = window.innerHeight + 'px';
+    }
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, width, height);
+  }
+
+  // ===== SPRITES =====
+
+  function getCachedSprite(key, create) {
+    let sprite = sprites.get(key);
+    if (sprite) {
+      sprites.delete(key);
+    } else {
+      sprite = create();
+    }
+    sprites.set(key, sprite);
+    if (sprites.size > MAX_CACHED_SPRITES) {
+      sprites.delete(sprites.keys().next().value);
+    }
+    return sprite;
+  }
+
+  // Drawn scaled to fit the particle; nothing shows until the image has loaded
+  function loadImageSprite(src) {
+    const image = new Image();
+    image.src = src;
+    return { image, unit: null };
+  }
+
+  // Emojis and text are rendered once per size bucket in the page's font and color, like
+  // the DOM particles they replace. Font sizes follow the `size / 20 rem` those used.
+  function renderTextSprite(content, unit) {
+    const bodyStyle = getComputedStyle(document.body || document.documentElement);
+    const fontSize = unit * 16 / 20;
+    const font = `${content.type === 'text' ? 'bold ' : ''}${fontSize}px ${bodyStyle.fontFamily}`;
+
+    const canvas = EmojiOverlay.createOverlayElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    const padding = fontSize * 0.1; // Room for glyphs that overhang their advance width
+    canvas.width = Math.max(1, Math.ceil(context.measureText(content.value).width + padding * 2));
+    canvas.height = Math.ceil(fontSize * 1.4);
+
+    // Resizing resets the context
+    context.font = font;
+    context.fillStyle = bodyStyle.color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(content.value, canvas.width / 2, canvas.height / 2);
+    return { image: canvas, unit };
+  }
+
+  function getSprite(content, size) {
+    if (content.type === 'image') {
+      return getCachedSprite(`image:${content.src}`, () => loadImageSprite(content.src));
+    }
+
+    const pixels = size * (window.devicePixelRatio || 1);
+    const unit = Math.min(MAX_SPRITE_SIZE, Math.max(MIN_SPRITE_SIZE, 2 ** Math.ceil(Math.log2(pixels))));
+    return getCachedSprite(`${content.type}:${content.value}:${unit}`, () => renderTextSprite(content, unit));
+  }
+
+  // ===== DOM FALLBACK =====
+
+  // Sizes are in px; text content is rendered at the equivalent rem size so emojis and
+  // images come out at the same scale
+  function createParticleNode(content, size) {
+    let node;
+
+    if (content.type === 'image') {
+      node = EmojiOverlay.createOverlayElement('img');
+      node.src = content.src;
+      node.style.width = size + 'px';
+      node.style.height = size + 'px';
+    } else {
+      node = EmojiOverlay.createOverlayElement('div');
+      node.textContent = content.value;
+      node.style.fontSize = (size / 20) + 'rem';
+      if (content.type === 'text') {
+        node.style.fontWeight = 'bold';
+        node.style.whiteSpace = 'nowrap';
+      }
+    }
+
+    Object.assign(node.style, {
+      position: 'fixed',
+      opacity: '1',
+      pointerEvents: 'none',
+      zIndex: Z_INDEX,
+      transform: 'translate(-50%, -50%)',
+      transition: 'none'
+    });
+
+    return node;
+  }
+
+  function applyFrame(node, frame, opacity) {
+    node.style.left = frame.x + 'px';
+    node.style.top = frame.y + 'px';
+    node.style.transform = `translate(-50%, -50%) rotate(${frame.rotation || 0}deg) scale(${frame.scale ?? 1})`;
+    node.style.opacity = Math.max(0, frame.opacity ?? 1) * opacity;
+  }
+
+  // ===== FRAME LOOP =====
+
+  // Source rectangle of what the particle shows right now, null while an image loads
+  function getParticleSource(particle, age) {
+    const { frameClock, sprite } = particle;
+    if (frameClock) {
+      // Looping images follow the reaction's clock so every particle shows the same frame;
+      // images that play once start over for each particle
+      const elapsed = frameClock.image.playback === 'once'
+        ? Math.max(0, age - particle.delay)
+        : clock - frameClock.start;
+      return frameClock.image.frameAt(elapsed);
+    }
+
+    const { image, unit } = sprite;
+    if (unit) {
+      return { image, sx: 0, sy: 0, sw: image.width, sh: image.height };
+    }
+    if (!image.complete || !image.naturalWidth) return null;
+    return { image, sx: 0, sy: 0, sw: image.naturalWidth, sh: image.naturalHeight };
+  }
+
+  function drawParticle(context, particle, frame, age) {
+    const opacity = Math.min(1, frame.opacity ?? 1) * particle.opacity;
+    const source = opacity > 0 && getParticleSource(particle, age);
+    if (!source) return;
+
+    // Text keeps its proportions at the size it was rendered for; images fit the particle
+    const { size, sprite } = particle;
+    const scale = sprite && sprite.unit ? size / sprite.unit : Math.min(size / source.sw, size / source.sh);
+    const width = source.sw * scale;
+    const height = source.sh * scale;
+    const ratio = window.devicePixelRatio || 1;
+
+    context.globalAlpha = opacity;
+    context.setTransform(ratio, 0, 0, ratio, frame.x * ratio, frame.y * ratio);
+    context.rotate((frame.rotation || 0) * Math.PI / 180);
+    context.scale(frame.scale ?? 1, frame.scale ?? 1);
+    context.drawImage(source.image, source.sx, source.sy, source.sw, source.sh, -width / 2, -height / 2, width, height);
+  }
+
+  function removeParticle(particle) {
+    if (particle.node) particle.node.remove();
+    const { frameClock } = particle;
+    if (frameClock && --frameClock.particles === 0) frameClock.image.release();
+  }
+
+  function renderFrame(timestamp) {
+    clock += lastTimestamp === null ? 0 : Math.min(MAX_FRAME_DELTA, timestamp - lastTimestamp);
+    lastTimestamp = timestamp;
+
+    if (layer) prepareCanvas(layer);
+
+    // Particles wait at their first frame during their delay
+    const finished = [];
+    particles.forEach(particle => {
+      const age = clock - particle.start;
+      const active = Math.max(0, age - particle.delay);
+      if (active >= particle.duration) {
+        finished.push(particle);
+        return;
+      }
+
+      const frame = particle.step(active / 1000, active / particle.duration);
+      if (particle.node) {
+        applyFrame(particle.node, frame, particle.opacity);
+      } else {
+        drawParticle(layer.context, particle, frame, age);
+      }
+    });
+
+    finished.forEach(particle => {
+      particles.splice(particles.indexOf(particle), 1);
+      removeParticle(particle);
+    });
+
+    if (particles.length > 0) {
+      frameRequest = requestAnimationFrame(renderFrame);
+    } else {
+      // Idle pages keep no loop running and no canvas covering them
+      frameRequest = null;
+      lastTimestamp = null;
+      if (layer) layer.canvas.remove();
+    }
+  }
+
+  /**
+   * Add a particle and drive it with a step function until its duration elapses
+   * @param {Object} content - Content descriptor passed to play()
+   * @param {Object} options
+   * @param {number} options.size - Particle size in px
+   * @param {number} options.duration - Lifetime in ms, not counting the delay
+   * @param {number} [options.delay=0] - Time in ms the particle waits at its first frame
+   * @param {number} [options.maxParticles] - The particle is dropped while this many are playing;
+   *   never more than MAX_PARTICLES play at once
+   * @param {number} [options.opacity=1] - Multiplies the opacity of every frame
+   * @param {function(number, number): {x: number, y: number, rotation?: number, opacity?: number, scale?: number}} options.step -
+   *   Called with elapsed seconds and progress (0-1), returns the particle's frame
+   * @param {{image: Object, particles: number}|null} frameClock - Decoded animated image shared
+   *   by the reaction's particles, null for everything else. The image is released when its
+   *   last particle finishes.
+   */
+  function addParticle(content, { size, duration, delay = 0, step, maxParticles = MAX_PARTICLES, opacity = 1 }, frameClock) {
+    if (particles.length >= Math.min(MAX_PARTICLES, maxParticles)) return;
+
+    const particle = { size, duration, delay, step, opacity, frameClock, start: clock, sprite: null, node: null };
+    if (getCanvasLayer()) {
+      if (!frameClock) particle.sprite = getSprite(content, size);
+    } else {
+      // Animated images play as plain <img> elements here, which the browser animates itself
+      particle.node = createParticleNode(content, size);
+      applyFrame(particle.node, step(0, 0), opacity);
+      EmojiOverlay.getOverlayRoot().appendChild(particle.node);
+    }
+
+    if (frameClock) {
+      if (frameClock.particles === 0) frameClock.start = clock;
+      frameClock.particles++;
+    }
+
+    particles.push(particle);
+    if (!frameRequest) {
+      frameRequest = requestAnimationFrame(renderFrame);
+    }
+  }
+
+  Object.assign(EmojiOverlay, {
+    addParticle
+  });
+})();
@@ -0,0 +1,201 @@
+// Overlay runtime shared by every animation.
+// Injected into the page before a reaction fires, and also loaded by the popup so
+// it can list the registered animations. Nothing here touches the DOM until play().
+(() => {
+  if (globalThis.EmojiOverlay) return;
+
+  const DEFAULT_ANIMATION = 'burst';
+  const REDUCED_MOTION_ANIMATION = 'fade'; // Plays instead of animations that move when motion is reduced
+  const ANNOUNCER_ID = 'emoji-overlay-announcer';
+  const animations = new Map();
+
+  /**
+   * Register an animation so it can be played by name
+   * @param {string} name - Identifier stored as `selectedAnimation`
+   * @param {Object} animation
+   * @param {string} animation.label - Display label
+   * @param {Object<string, {label: string, min: number, max: number, step: number, default: number, unit?: string}>} [animation.params] -
+   *   Tunable numbers, shown as sliders in the popup and passed to run() as `params`
+   * @param {function(Object): void} animation.run - Spawns the particles, called with the animation context;
+   *   its spawn() takes the particle options of addParticle(), see overlay/renderer.js
+   * @param {boolean} [animation.still] - Particles stay in place, so the animation still plays when motion is reduced
+   */
+  function registerAnimation(name, animation) {
+    animations.set(name, { params: {}, ...animation, name });
+  }
+
+  function unregisterAnimation(name) {
+    animations.delete(name);
+  }
+
+  /**
+   * List registered animations in registration order
+   * @returns {Array<{name: string, label: string, params: Object}>}
+   */
+  function listAnimations() {
+    return Array.from(animations.values()).map(({ name, label, params }) => ({ name, label, params }));
+  }
+
+  // Merge user-tuned values over the declared defaults, clamped to each param's range
+  function resolveParams(animation, overrides = {}) {
+    const params = {};
+    Object.entries(animation.params).forEach(([key, param]) => {
+      const value = Number(overrides[key]);
+      params[key] = Number.isFinite(value) ? Math.min(param.max, Math.max(param.min, value)) : param.default;
+    });
+    return params;
+  }
+
+  function random(min, max) {
+    return min + Math.random() * (max - min);
+  }
+
+  // 'always' and 'never' override the page's prefers-reduced-motion, 'system' follows it
+  function shouldReduceMotion(setting = 'system') {
+    if (setting === 'always' || setting === 'never') return setting === 'always';
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  // Tell screen readers about the reaction through a visually hidden live region
+  function announce(text) {
+    const root = EmojiOverlay.getOverlayRoot();
+    let region = root.getElementById(ANNOUNCER_ID);
+    if (!region) {
+      region = EmojiOverlay.createOverlayElement('div');
+      region.id = ANNOUNCER_ID;
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      Object.assign(region.style, {
+        position: 'fixed',
+        width: '1px',
+        height: '1px',
+        margin: '-1px',
+        overflow: 'hidden',
+        clip: 'rect(0 0 0 0)',
+        whiteSpace: 'nowrap'
+      });
+      root.appendChild(region);
+    }
+
+    // Clear first, so the same reaction twice in a row is announced twice
+    region.textContent = '';
+    setTimeout(() => { region.textContent = text; }, 50);
+  }
+
+  // Label shown at the bottom of the viewport while a reaction plays, e.g. who sent it
+  function showCaption(text) {
+    const caption = EmojiOverlay.createOverlayElement('div');
+    caption.textContent = text;
+
+    Object.assign(caption.style, {
+      position: 'fixed',
+      left: '50%',
+      bottom: '32px',
+      transform: 'translateX(-50%)',
+      padding: '6px 14px',
+      borderRadius: '16px',
+      background: 'rgba(0, 0, 0, 0.7)',
+      color: 'white',
+      font: '600 14px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+      opacity: '1',
+      pointerEvents: 'none',
+      zIndex: '999999',
+      transition: 'opacity 0.5s'
+    });
+
+    EmojiOverlay.getOverlayRoot().appendChild(caption);
+    setTimeout(() => { caption.style.opacity = '0'; }, 2000);
+    setTimeout(() => caption.remove(), 2500);
+  }
+
+  /**
+   * Play an animation in the current page
+   * @param {{type: 'unicode'|'text', value: string} | {type: 'image', src: string, label?: string, sprite?: Object, playback?: string}} content -
+   *   What each particle shows: a Unicode emoji, a short text, or an image URL. Images may be
+   *   sprite sheets and have a playback mode, see overlay/frames.js; their label is what
+   *   screen readers announce
+   * @param {string} [animationType] - Registered animation name, falls back to burst
+   * @param {Object} [options]
+   * @param {{x: number, y: number}} [options.origin] - Viewport point the reaction starts
+   *   from; without one the origin mode decides
+   * @param {string} [options.originMode='center'] - Where reactions start, see overlay/origin.js
+   * @param {string} [options.originSelector] - Picked element for the 'element' origin mode
+   * @param {string} [options.caption] - Text shown below the reaction, e.g. the sender's name
+   * @param {Object<string, number>} [options.params] - Tuned values for the animation's params
+   * @param {Object} [options.sound] - Sound effect played with the reaction, see overlay/sounds.js
+   * @param {'system'|'always'|'never'} [options.reducedMotion='system'] - When to swap animations
+   *   that move for a fade and hold animated images on their first frame
+   * @param {number} [options.maxParticles] - Particles are dropped while this many are playing
+   * @param {number} [options.opacity=1] - Multiplies the opacity of every particle
+   */
+  function play(content, animationType = DEFAULT_ANIMATION, options = {}) {
+    let animation = animations.get(animationType) || animations.get(DEFAULT_ANIMATION);
+    if (!animation) {
+      console.warn('Unknown animation:', animationType);
+      return;
+    }
+
+    // Tuned params belong to the requested animation, so the fade plays with its defaults
+    const reduceMotion = shouldReduceMotion(options.reducedMotion);
+    let tunedParams = options.params;
+    if (reduceMotion && !animation.still && animations.has(REDUCED_MOTION_ANIMATION)) {
+      animation = animations.get(REDUCED_MOTION_ANIMATION);
+      tunedParams = undefined;
+    }
+
+    // Animations that place particles over an area, like drive picking heights, keep to
+    // the origin's area; a null area leaves them the whole viewport
+    const { origin, area } = options.origin
+      ? { origin: options.origin, area: { left: options.origin.x, top: options.origin.y, width: 0, height: 0 } }
+      : EmojiOverlay.resolveOrigin(options.originMode, options.originSelector);
+    const params = resolveParams(animation, tunedParams);
+    const limits = { maxParticles: options.maxParticles, opacity: options.opacity };
+
+    // Not every browser fires toggle events for dialogs, so cover any opened since the last reaction
+    EmojiOverlay.raiseOverlay();
+
+    function start(decoded) {
+      const animatedImage = decoded && reduceMotion ? { ...decoded, frameAt: () => decoded.frameAt(0) } : decoded;
+      const frameClock = animatedImage && { image: animatedImage, particles: 0 };
+      animation.run({
+        content,
+        origin,
+        area,
+        params,
+        random,
+        spawn: (particleOptions) => EmojiOverlay.addParticle(content, { ...particleOptions, ...limits }, frameClock)
+      });
+      if (frameClock && frameClock.particles === 0) animatedImage.release();
+    }
+
+    // Images are checked for frames first; anything that fails to decode plays as a still image
+    if (content.type === 'image' && EmojiOverlay.loadAnimatedImage) {
+      EmojiOverlay.loadAnimatedImage(content).then(start, (error) => {
+        console.warn('Could not decode animated image:', error);
+        start(null);
+      });
+    } else {
+      start(null);
+    }
+
+    if (options.caption) {
+      showCaption(options.caption);
+    }
+
+    const label = content.type === 'image' ? content.label || 'Emoji' : content.value;
+    announce(options.caption ? `${label} reaction from ${options.caption}` : `${label} reaction`);
+
+    if (options.sound && EmojiOverlay.playSound) {
+      EmojiOverlay.playSound(options.sound).catch(error => console.warn('Could not play sound:', error));
+    }
+  }
+
+  globalThis.EmojiOverlay = {
+    DEFAULT_ANIMATION,
+    REDUCED_MOTION_ANIMATION,
+    registerAnimation,
+    unregisterAnimation,
+    listAnimations,
+    play
+  };
+})();
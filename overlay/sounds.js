@@ -0,0 +1,213 @@
+// Sound effects played with a reaction. Built-in sounds are synthesized here rather than
+// shipped as audio files; uploaded clips arrive as data URLs. Everything goes through Web
+// Audio, so page CSPs that restrict media sources don't matter.
+//
+// Sound descriptors passed to play() as `options.sound`:
+//   { type: 'builtin', name: 'applause', volume: 0.8 }
+//   { type: 'clip', src: 'data:audio/mpeg;base64,...', volume: 0.8 }
+(() => {
+  if (EmojiOverlay.playSound) return;
+
+  const sounds = new Map();
+  const buffers = new Map(); // Rendered built-in sounds by name
+  const RESUME_TIMEOUT = 100; // ms to wait for a suspended AudioContext before giving up
+  const PEAK_LEVEL = 0.8;
+  let audioContext = null;
+
+  /**
+   * Register a built-in sound
+   * @param {string} name - Identifier stored in sound assignments
+   * @param {Object} sound
+   * @param {string} sound.label - Display label
+   * @param {number} sound.duration - Length in seconds
+   * @param {function(Float32Array, number): void} sound.render - Fills the samples, called
+   *   with the sample array and the sample rate; the result is normalized afterwards
+   */
+  function registerSound(name, sound) {
+    sounds.set(name, { ...sound, name });
+  }
+
+  /**
+   * List built-in sounds in registration order
+   * @returns {Array<{name: string, label: string}>}
+   */
+  function listSounds() {
+    return Array.from(sounds.values()).map(({ name, label }) => ({ name, label }));
+  }
+
+  // Pages without a user gesture keep new AudioContexts suspended; the reaction then
+  // plays silently instead of queueing its sound for whenever the user clicks
+  async function getRunningContext() {
+    if (!audioContext) audioContext = new AudioContext();
+    if (audioContext.state !== 'running') {
+      await Promise.race([
+        audioContext.resume().catch(() => {}),
+        new Promise(resolve => setTimeout(resolve, RESUME_TIMEOUT))
+      ]);
+    }
+    return audioContext.state === 'running' ? audioContext : null;
+  }
+
+  function getBuiltinBuffer(context, name) {
+    const sound = sounds.get(name);
+    if (!sound) return null;
+
+    if (!buffers.has(name)) {
+      const buffer = context.createBuffer(1, Math.ceil(sound.duration * context.sampleRate), context.sampleRate);
+      const samples = buffer.getChannelData(0);
+      sound.render(samples, context.sampleRate);
+
+      const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+      if (peak > 0) samples.forEach((sample, i) => { samples[i] = sample * PEAK_LEVEL / peak; });
+      buffers.set(name, buffer);
+    }
+    return buffers.get(name);
+  }
+
+  // Data URLs are decoded by hand, like images in frames.js
+  async function loadClip(context, src) {
+    let data;
+    if (src.startsWith('data:')) {
+      const [header, payload] = src.split(',');
+      const binary = header.endsWith(';base64') ? atob(payload) : decodeURIComponent(payload);
+      data = Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+    } else {
+      data = await (await fetch(src)).arrayBuffer();
+    }
+    return context.decodeAudioData(data);
+  }
+
+  /**
+   * Play a sound effect in the current page
+   * @param {{type: 'builtin', name: string, volume?: number} | {type: 'clip', src: string, volume?: number}} sound
+   * @returns {Promise<void>} Resolves once playback started, or right away if the page can't play audio
+   */
+  async function playSound(sound) {
+    const context = await getRunningContext();
+    if (!context) return;
+
+    const buffer = sound.type === 'clip' ? await loadClip(context, sound.src) : getBuiltinBuffer(context, sound.name);
+    if (!buffer) {
+      console.warn('Unknown sound:', sound.name);
+      return;
+    }
+
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = buffer;
+    gain.gain.value = Math.min(1, Math.max(0, sound.volume ?? 1));
+    source.connect(gain).connect(context.destination);
+    source.start();
+  }
+
+  // ===== BUILT-IN SOUNDS =====
+
+  // Short burst of noise with a sharp attack, the building block of claps
+  function addNoiseBurst(samples, sampleRate, time, amplitude, decay) {
+    const start = Math.floor(time * sampleRate);
+    const end = Math.min(samples.length, start + Math.ceil(decay * 6 * sampleRate));
+    for (let i = start; i < end; i++) {
+      samples[i] += (Math.random() * 2 - 1) * amplitude * Math.exp(-(i - start) / sampleRate / decay);
+    }
+  }
+
+  // One-pole low-pass and high-pass in place, for shaping noise into a band
+  function filterBand(samples, sampleRate, low, high) {
+    const lowCoefficient = Math.exp(-2 * Math.PI * high / sampleRate);
+    const highCoefficient = Math.exp(-2 * Math.PI * low / sampleRate);
+    let lowPassed = 0;
+    let previous = 0;
+    let highPassed = 0;
+    samples.forEach((sample, i) => {
+      lowPassed = sample + lowCoefficient * (lowPassed - sample);
+      highPassed = highCoefficient * (highPassed + lowPassed - previous);
+      previous = lowPassed;
+      samples[i] = highPassed;
+    });
+  }
+
+  registerSound('applause', {
+    label: 'Applause',
+    duration: 2.4,
+    render(samples, sampleRate) {
+      // A crowd clapping: claps bunch up early, then thin out as the applause dies down
+      for (let clap = 0; clap < 140; clap++) {
+        const time = 2.1 * Math.random() ** 1.6;
+        addNoiseBurst(samples, sampleRate, time, 0.3 + Math.random() * 0.7, 0.006 + Math.random() * 0.006);
+      }
+      filterBand(samples, sampleRate, 700, 4500);
+      const fadeStart = 1.6 * sampleRate;
+      samples.forEach((sample, i) => {
+        if (i > fadeStart) samples[i] = sample * Math.max(0, 1 - (i - fadeStart) / (samples.length - fadeStart));
+      });
+    }
+  });
+
+  registerSound('pop', {
+    label: 'Pop',
+    duration: 0.15,
+    render(samples, sampleRate) {
+      let phase = 0;
+      samples.forEach((_, i) => {
+        const t = i / sampleRate;
+        phase += 2 * Math.PI * (250 + 650 * Math.exp(-t / 0.02)) / sampleRate;
+        samples[i] = Math.sin(phase) * Math.exp(-t / 0.03);
+      });
+    }
+  });
+
+  registerSound('whoosh', {
+    label: 'Whoosh',
+    duration: 0.7,
+    render(samples, sampleRate) {
+      // Noise through a low-pass whose cutoff rises and falls with the volume
+      let filtered = 0;
+      samples.forEach((_, i) => {
+        const progress = i / samples.length;
+        const swell = Math.sin(Math.PI * progress) ** 2;
+        const coefficient = Math.exp(-2 * Math.PI * (300 + 2700 * swell) / sampleRate);
+        const noise = Math.random() * 2 - 1;
+        filtered = noise + coefficient * (filtered - noise);
+        samples[i] = filtered * swell;
+      });
+    }
+  });
+
+  registerSound('chime', {
+    label: 'Chime',
+    duration: 1.5,
+    render(samples, sampleRate) {
+      const partials = [[1046.5, 1], [1568, 0.5], [2093, 0.3]]; // C6, G6, C7
+      samples.forEach((_, i) => {
+        const t = i / sampleRate;
+        const envelope = Math.min(1, t / 0.005) * Math.exp(-t / 0.4);
+        samples[i] = envelope * partials.reduce((sum, [frequency, level]) =>
+          sum + level * Math.sin(2 * Math.PI * frequency * t), 0);
+      });
+    }
+  });
+
+  registerSound('fanfare', {
+    label: 'Fanfare',
+    duration: 1.1,
+    render(samples, sampleRate) {
+      // Two short G4s and a long C5, with odd harmonics for a brassy tone
+      const notes = [[0, 0.15, 392], [0.18, 0.3, 392], [0.33, 1.1, 523.25]];
+      notes.forEach(([start, end, frequency]) => {
+        for (let i = Math.floor(start * sampleRate); i < Math.min(samples.length, end * sampleRate); i++) {
+          const t = i / sampleRate - start;
+          const envelope = Math.min(1, t / 0.01) * Math.min(1, (end - start - t) / 0.05);
+          for (let harmonic = 1; harmonic <= 7; harmonic += 2) {
+            samples[i] += envelope * Math.sin(2 * Math.PI * frequency * harmonic * t) / harmonic;
+          }
+        }
+      });
+    }
+  });
+
+  Object.assign(EmojiOverlay, {
+    registerSound,
+    listSounds,
+    playSound
+  });
+})();
@@ -0,0 +1,263 @@
+// Declarative animations: turns a user-authored JSON spec into an animation for the
+// overlay registry. Specs are stored in IndexedDB and edited in the popup.
+//
+// Every field except `name` is optional. Ranges are a number or a [min, max] pair.
+//   name            Label shown in the Animations menu
+//   particleCount   Number of particles (1-200)
+//   duration        Lifetime of each particle in ms (200-10000)
+//   stagger         Particles start at a random delay up to this many ms
+//   size            Particle size range in px
+//   spawn           { pattern: 'point' | 'edge' | 'ring' | 'random', edge: 'top' | 'bottom' | 'left' | 'right', radius }
+//   velocity        { x, y, radial } initial velocity ranges in px/s (radial points away from the origin)
+//   gravity         Downward acceleration in px/s²
+//   rotation        { initial, speed } ranges in degrees and degrees per second
+//   path            { type: 'linear' } physics from velocity and gravity
+//                   { type: 'bezier', control: { x, y }, end: { x, y } } quadratic curve, offsets from the spawn point
+//                   { type: 'spiral', turns, radius } spiral outward around the origin
+//   opacity, scale  { from, to, easing: 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out' }
+(() => {
+  if (EmojiOverlay.createSpecAnimation) return;
+
+  const SPAWN_PATTERNS = ['point', 'edge', 'ring', 'random'];
+  const EDGES = ['top', 'bottom', 'left', 'right'];
+  const PATH_TYPES = ['linear', 'bezier', 'spiral'];
+  const EASINGS = {
+    'linear': t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => 1 - (1 - t) * (1 - t),
+    'ease-in-out': t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+  };
+
+  // Starting point for new specs in the editor
+  const EXAMPLE_SPEC = {
+    name: 'Fountain',
+    particleCount: 30,
+    duration: 2500,
+    stagger: 600,
+    size: [50, 110],
+    spawn: { pattern: 'edge', edge: 'bottom' },
+    velocity: { x: [-150, 150], y: [-900, -600] },
+    gravity: 700,
+    rotation: { initial: [-20, 20], speed: [-180, 180] },
+    path: { type: 'linear' },
+    opacity: { from: 1, to: 0, easing: 'ease-in' },
+    scale: { from: 0.6, to: 1.2, easing: 'ease-out' }
+  };
+
+  function isRange(value) {
+    return (typeof value === 'number' && Number.isFinite(value)) ||
+      (Array.isArray(value) && value.length === 2 && value.every(item => typeof item === 'number' && Number.isFinite(item)));
+  }
+
+  function pick(range, random, fallback = 0) {
+    if (range === undefined) return fallback;
+    return Array.isArray(range) ? random(range[0], range[1]) : range;
+  }
+
+  /**
+   * Check a spec for anything the interpreter can't play
+   * @param {Object} spec - Parsed JSON spec
+   * @returns {string[]} Human-readable problems, empty if the spec is valid
+   */
+  function validateAnimationSpec(spec) {
+    const errors = [];
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      return ['Spec must be a JSON object'];
+    }
+
+    if (typeof spec.name !== 'string' || !spec.name.trim()) {
+      errors.push('"name" must be a non-empty string');
+    }
+
+    const checkNumber = (key, min, max) => {
+      if (spec[key] !== undefined && (typeof spec[key] !== 'number' || spec[key] < min || spec[key] > max)) {
+        errors.push(`"${key}" must be a number between ${min} and ${max}`);
+      }
+    };
+    checkNumber('particleCount', 1, 200);
+    checkNumber('duration', 200, 10000);
+    checkNumber('stagger', 0, 5000);
+    checkNumber('gravity', -5000, 5000);
+
+    const checkRanges = (path, object, keys) => {
+      if (object === undefined) return;
+      if (typeof object !== 'object' || object === null) {
+        errors.push(`"${path}" must be an object`);
+        return;
+      }
+      keys.forEach(key => {
+        if (object[key] !== undefined && !isRange(object[key])) {
+          errors.push(`"${path}.${key}" must be a number or a [min, max] pair`);
+        }
+      });
+    };
+
+    if (spec.size !== undefined && !isRange(spec.size)) {
+      errors.push('"size" must be a number or a [min, max] pair');
+    }
+
+    checkRanges('spawn', spec.spawn, ['radius']);
+    if (spec.spawn && spec.spawn.pattern !== undefined && !SPAWN_PATTERNS.includes(spec.spawn.pattern)) {
+      errors.push(`"spawn.pattern" must be one of ${SPAWN_PATTERNS.join(', ')}`);
+    }
+    if (spec.spawn && spec.spawn.edge !== undefined && !EDGES.includes(spec.spawn.edge)) {
+      errors.push(`"spawn.edge" must be one of ${EDGES.join(', ')}`);
+    }
+
+    checkRanges('velocity', spec.velocity, ['x', 'y', 'radial']);
+    checkRanges('rotation', spec.rotation, ['initial', 'speed']);
+
+    checkRanges('path', spec.path, ['turns', 'radius']);
+    if (spec.path && spec.path.type !== undefined && !PATH_TYPES.includes(spec.path.type)) {
+      errors.push(`"path.type" must be one of ${PATH_TYPES.join(', ')}`);
+    }
+    if (spec.path) {
+      checkRanges('path.control', spec.path.control, ['x', 'y']);
+      checkRanges('path.end', spec.path.end, ['x', 'y']);
+    }
+
+    ['opacity', 'scale'].forEach(key => {
+      const curve = spec[key];
+      if (curve === undefined) return;
+      if (typeof curve !== 'object' || curve === null) {
+        errors.push(`"${key}" must be an object`);
+        return;
+      }
+      ['from', 'to'].forEach(end => {
+        if (curve[end] !== undefined && typeof curve[end] !== 'number') {
+          errors.push(`"${key}.${end}" must be a number`);
+        }
+      });
+      if (curve.easing !== undefined && !EASINGS[curve.easing]) {
+        errors.push(`"${key}.easing" must be one of ${Object.keys(EASINGS).join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  function interpolate(curve, defaults, progress) {
+    const from = curve && curve.from !== undefined ? curve.from : defaults.from;
+    const to = curve && curve.to !== undefined ? curve.to : defaults.to;
+    const easing = EASINGS[(curve && curve.easing) || defaults.easing];
+    return from + (to - from) * easing(progress);
+  }
+
+  function getSpawnPoint(spawn, origin, index, count, random) {
+    const pattern = spawn.pattern || 'point';
+    const margin = 50; // Edge spawns start just outside the viewport
+
+    if (pattern === 'edge') {
+      switch (spawn.edge || 'bottom') {
+        case 'top': return { x: random(0, window.innerWidth), y: -margin };
+        case 'left': return { x: -margin, y: random(0, window.innerHeight) };
+        case 'right': return { x: window.innerWidth + margin, y: random(0, window.innerHeight) };
+        default: return { x: random(0, window.innerWidth), y: window.innerHeight + margin };
+      }
+    }
+
+    if (pattern === 'ring') {
+      const angle = (index / count) * Math.PI * 2;
+      const radius = pick(spawn.radius, random, 150);
+      return { x: origin.x + Math.cos(angle) * radius, y: origin.y + Math.sin(angle) * radius };
+    }
+
+    if (pattern === 'random') {
+      return { x: random(0, window.innerWidth), y: random(0, window.innerHeight) };
+    }
+
+    return { x: origin.x, y: origin.y };
+  }
+
+  /**
+   * Build a registrable animation from a spec
+   * @param {Object} spec - A spec that passed validateAnimationSpec()
+   * @returns {{label: string, params: Object, run: function(Object): void}}
+   */
+  function createSpecAnimation(spec) {
+    return {
+      label: spec.name,
+      params: {
+        particleCount: { label: 'Particles', min: 1, max: 200, step: 1, default: spec.particleCount || 20 },
+        duration: { label: 'Duration', min: 200, max: 10000, step: 100, default: spec.duration || 3000, unit: 'ms' },
+        size: { label: 'Size', min: 0.25, max: 3, step: 0.05, default: 1, unit: '×' }
+      },
+      run({ spawn, origin, params, random }) {
+        const spawnSpec = spec.spawn || {};
+        const velocitySpec = spec.velocity || {};
+        const rotationSpec = spec.rotation || {};
+        const pathSpec = spec.path || {};
+        const gravity = spec.gravity || 0;
+
+        for (let i = 0; i < params.particleCount; i++) {
+          const start = getSpawnPoint(spawnSpec, origin, i, params.particleCount, random);
+
+          // Radial velocity points away from the origin; particles spawned on it pick a random direction
+          const awayAngle = start.x === origin.x && start.y === origin.y
+            ? random(0, Math.PI * 2)
+            : Math.atan2(start.y - origin.y, start.x - origin.x);
+          const radial = pick(velocitySpec.radial, random);
+          const velocityX = pick(velocitySpec.x, random) + Math.cos(awayAngle) * radial;
+          const velocityY = pick(velocitySpec.y, random) + Math.sin(awayAngle) * radial;
+
+          const initialRotation = pick(rotationSpec.initial, random);
+          const rotationSpeed = pick(rotationSpec.speed, random);
+
+          const control = pathSpec.control || {};
+          const end = pathSpec.end || {};
+          const controlX = pick(control.x, random);
+          const controlY = pick(control.y, random);
+          const endX = pick(end.x, random);
+          const endY = pick(end.y, random);
+
+          const turns = pick(pathSpec.turns, random, 1.5);
+          const spiralRadius = pick(pathSpec.radius, random, 300);
+
+          let position;
+          if (pathSpec.type === 'bezier') {
+            position = (elapsed, progress) => {
+              const inverse = 1 - progress;
+              return {
+                x: start.x + 2 * inverse * progress * controlX + progress * progress * endX,
+                y: start.y + 2 * inverse * progress * controlY + progress * progress * endY
+              };
+            };
+          } else if (pathSpec.type === 'spiral') {
+            const startRadius = Math.hypot(start.x - origin.x, start.y - origin.y);
+            position = (elapsed, progress) => {
+              const angle = awayAngle + turns * Math.PI * 2 * progress;
+              const radius = startRadius + progress * spiralRadius;
+              return { x: origin.x + Math.cos(angle) * radius, y: origin.y + Math.sin(angle) * radius };
+            };
+          } else {
+            position = (elapsed) => ({
+              x: start.x + velocityX * elapsed,
+              y: start.y + velocityY * elapsed + 0.5 * gravity * elapsed * elapsed
+            });
+          }
+
+          spawn({
+            size: pick(spec.size, random, 80) * params.size,
+            duration: params.duration,
+            delay: random(0, spec.stagger || 0),
+            step(elapsed, progress) {
+              return {
+                ...position(elapsed, progress),
+                rotation: initialRotation + rotationSpeed * elapsed,
+                opacity: interpolate(spec.opacity, { from: 1, to: 0, easing: 'ease-in' }, progress),
+                scale: interpolate(spec.scale, { from: 1, to: 1, easing: 'linear' }, progress)
+              };
+            }
+          });
+        }
+      }
+    };
+  }
+
+  Object.assign(EmojiOverlay, {
+    EXAMPLE_SPEC,
+    validateAnimationSpec,
+    createSpecAnimation
+  });
+})();
@@ -0,0 +1,390 @@
+// Stickers: emojis pinned to the page that stay until removed, instead of playing and
+// fading out. A sticker is dragged by its body, resized from its corner handle and rotated
+// from the handle above it; arrow keys move a focused sticker and Delete removes it.
+//
+// Anchors keep the sticker's center where it was dropped:
+//   { selector, x, y }   x, y px from the top left corner of the element the selector finds,
+//                         so the sticker follows it through scrolling containers and reflows
+//   { selector: null, x, y }   document coordinates, for stickers dropped on the page itself
+// Stickers are re-anchored to whatever element is under their center when dropped or
+// dragged. Those whose element can't be found are hidden until it shows up.
+//
+// Nothing here touches storage: edits are reported through the handlers passed in.
+(() => {
+  if (EmojiOverlay.showStickers) return;
+
+  const MIN_SIZE = 24; // px
+  const MAX_SIZE = 512; // px
+  const KEYBOARD_STEP = 10; // px per arrow key press
+  const PAGE_ELEMENTS = ['html', 'body', 'emoji-overlay', 'foreignobject'];
+
+  const STICKER_CSS = `
+    .sticker {
+      position: fixed;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      box-sizing: border-box;
+      border: 1px dashed transparent;
+      border-radius: 4px;
+      cursor: move;
+      pointer-events: auto;
+      touch-action: none;
+      user-select: none;
+      -webkit-user-select: none;
+      outline: none;
+    }
+    .sticker:hover, .sticker:focus-visible, .sticker.editing {
+      border-color: #4a90e2;
+    }
+    .sticker img, .sticker .sprite {
+      width: 100%;
+      height: 100%;
+      object-fit: contain;
+      pointer-events: none;
+    }
+    .sticker .text {
+      line-height: 1;
+      white-space: nowrap;
+      pointer-events: none;
+    }
+    .sticker .handle {
+      position: absolute;
+      display: none;
+      width: 12px;
+      height: 12px;
+      box-sizing: border-box;
+      border: 2px solid white;
+      border-radius: 50%;
+      background: #4a90e2;
+    }
+    .sticker:hover .handle, .sticker:focus-visible .handle, .sticker.editing .handle {
+      display: block;
+    }
+    .sticker .resize {
+      right: -7px;
+      bottom: -7px;
+      cursor: nwse-resize;
+    }
+    .sticker .rotate {
+      left: calc(50% - 6px);
+      top: -24px;
+      cursor: grab;
+    }
+  `;
+
+  const shown = new Map(); // Sticker id -> { sticker, element, anchorElement, layout }
+  let handlers = {};
+  let styleElement = null;
+  let frameRequest = null;
+
+  function clampSize(size) {
+    return Math.round(Math.min(MAX_SIZE, Math.max(MIN_SIZE, size)));
+  }
+
+  // ===== ANCHORS =====
+
+  // Topmost page element at a viewport point, skipping the overlay and the document itself
+  function getElementAt(x, y) {
+    return document.elementsFromPoint(x, y)
+      .find(element => !PAGE_ELEMENTS.includes(element.localName.toLowerCase())) || null;
+  }
+
+  /**
+   * Anchor for a sticker centered on a viewport point
+   * @param {number} x
+   * @param {number} y
+   * @returns {{selector: string|null, x: number, y: number}}
+   */
+  function getAnchorAt(x, y) {
+    const element = getElementAt(x, y);
+    if (element) {
+      const rect = element.getBoundingClientRect();
+      return {
+        selector: EmojiOverlay.getElementSelector(element),
+        x: Math.round(x - rect.left),
+        y: Math.round(y - rect.top)
+      };
+    }
+    return { selector: null, x: Math.round(x + window.scrollX), y: Math.round(y + window.scrollY) };
+  }
+
+  // Viewport point of a sticker's center, null while its element can't be found
+  function getStickerPoint(entry) {
+    const { anchor } = entry.sticker;
+    if (!anchor.selector) {
+      return { x: anchor.x - window.scrollX, y: anchor.y - window.scrollY };
+    }
+
+    if (!entry.anchorElement || !entry.anchorElement.isConnected) {
+      try {
+        entry.anchorElement = document.querySelector(anchor.selector);
+      } catch (error) {
+        entry.anchorElement = null; // Not a valid selector
+      }
+    }
+    if (!entry.anchorElement) return null;
+
+    const rect = entry.anchorElement.getBoundingClientRect();
+    return { x: rect.left + anchor.x, y: rect.top + anchor.y };
+  }
+
+  // ===== ELEMENTS =====
+
+  function createContentNode(content, size) {
+    let node;
+    if (content.type === 'image' && content.sprite) {
+      // Sprite sheets show their first frame
+      node = EmojiOverlay.createOverlayElement('div');
+      node.className = 'sprite';
+      Object.assign(node.style, {
+        backgroundImage: `url("${content.src}")`,
+        backgroundSize: `${content.sprite.columns * 100}% ${content.sprite.rows * 100}%`,
+        backgroundPosition: '0 0',
+        backgroundRepeat: 'no-repeat'
+      });
+    } else if (content.type === 'image') {
+      node = EmojiOverlay.createOverlayElement('img');
+      node.src = content.src;
+      node.alt = '';
+      node.draggable = false;
+    } else {
+      node = EmojiOverlay.createOverlayElement('span');
+      node.className = 'text';
+      node.textContent = content.value;
+      node.style.fontSize = Math.round(size * 0.8) + 'px';
+      if (content.type === 'text') node.style.fontWeight = 'bold';
+    }
+    return node;
+  }
+
+  function createStickerElement(entry) {
+    const { content, size } = entry.sticker;
+    const element = EmojiOverlay.createOverlayElement('div');
+    element.className = 'sticker';
+    element.tabIndex = 0;
+    element.setAttribute('role', 'img');
+    element.setAttribute('aria-label', `Sticker: ${content.label || content.value || 'custom emoji'}`);
+
+    const resize = EmojiOverlay.createOverlayElement('div');
+    resize.className = 'handle resize';
+    const rotate = EmojiOverlay.createOverlayElement('div');
+    rotate.className = 'handle rotate';
+
+    element.appendChild(createContentNode(content, size));
+    element.appendChild(resize);
+    element.appendChild(rotate);
+
+    trackPointer(element, entry, moveSticker);
+    trackPointer(resize, entry, resizeSticker);
+    trackPointer(rotate, entry, rotateSticker);
+    element.addEventListener('keydown', event => handleStickerKey(event, entry));
+    return element;
+  }
+
+  function updateContentSize(entry) {
+    const text = entry.element.querySelector('.text');
+    if (text) text.style.fontSize = Math.round(entry.sticker.size * 0.8) + 'px';
+  }
+
+  // ===== EDITING =====
+
+  function moveSticker(entry, event, start) {
+    entry.sticker.anchor.x = start.anchor.x + event.clientX - start.clientX;
+    entry.sticker.anchor.y = start.anchor.y + event.clientY - start.clientY;
+  }
+
+  // The corner handle sits half a diagonal from the center
+  function resizeSticker(entry, event, start) {
+    const distance = Math.hypot(event.clientX - start.center.x, event.clientY - start.center.y);
+    entry.sticker.size = clampSize(distance * Math.SQRT2);
+    updateContentSize(entry);
+  }
+
+  // The rotate handle sits straight above the center when unrotated
+  function rotateSticker(entry, event, start) {
+    const angle = Math.atan2(event.clientY - start.center.y, event.clientX - start.center.x) * 180 / Math.PI + 90;
+    entry.sticker.rotation = Math.round((angle + 360) % 360);
+  }
+
+  // Where the sticker ended up becomes its new anchor
+  function finishEditing(entry, moved) {
+    const { sticker } = entry;
+    if (moved) {
+      const point = getStickerPoint(entry);
+      if (point) {
+        sticker.anchor = getAnchorAt(point.x, point.y);
+        entry.anchorElement = null;
+      }
+    }
+    if (handlers.onChange) {
+      handlers.onChange({
+        id: sticker.id,
+        anchor: sticker.anchor,
+        size: sticker.size,
+        rotation: sticker.rotation
+      });
+    }
+  }
+
+  function trackPointer(target, entry, update) {
+    target.addEventListener('pointerdown', (event) => {
+      if (event.button !== 0) return;
+      event.preventDefault();
+      event.stopPropagation();
+      entry.element.focus();
+      target.setPointerCapture(event.pointerId);
+      entry.element.classList.add('editing');
+
+      const start = {
+        clientX: event.clientX,
+        clientY: event.clientY,
+        anchor: { ...entry.sticker.anchor },
+        center: getStickerPoint(entry)
+      };
+      let changed = false;
+
+      const onMove = (moveEvent) => {
+        if (moveEvent.pointerId !== event.pointerId) return;
+        update(entry, moveEvent, start);
+        changed = true;
+        positionSticker(entry);
+      };
+      const onEnd = (endEvent) => {
+        if (endEvent.pointerId !== event.pointerId) return;
+        target.removeEventListener('pointermove', onMove);
+        target.removeEventListener('pointerup', onEnd);
+        target.removeEventListener('pointercancel', onEnd);
+        entry.element.classList.remove('editing');
+        if (changed) finishEditing(entry, update === moveSticker);
+      };
+
+      target.addEventListener('pointermove', onMove);
+      target.addEventListener('pointerup', onEnd);
+      target.addEventListener('pointercancel', onEnd);
+    });
+  }
+
+  function handleStickerKey(event, entry) {
+    const moves = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1]
+    };
+
+    if (moves[event.key]) {
+      event.preventDefault();
+      const [dx, dy] = moves[event.key];
+      entry.sticker.anchor.x += dx * KEYBOARD_STEP;
+      entry.sticker.anchor.y += dy * KEYBOARD_STEP;
+      positionSticker(entry);
+      finishEditing(entry, true);
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+      event.preventDefault();
+      removeEntry(entry.sticker.id);
+      if (handlers.onRemove) handlers.onRemove(entry.sticker.id);
+    }
+  }
+
+  // ===== POSITIONING =====
+
+  function positionSticker(entry) {
+    const point = getStickerPoint(entry);
+    const { size, rotation } = entry.sticker;
+    const layout = point
+      ? `${Math.round(point.x)},${Math.round(point.y)},${size},${rotation}`
+      : 'hidden';
+    if (layout === entry.layout) return;
+    entry.layout = layout;
+
+    const { style } = entry.element;
+    if (!point) {
+      style.display = 'none';
+      return;
+    }
+    style.display = '';
+    style.left = point.x + 'px';
+    style.top = point.y + 'px';
+    style.width = size + 'px';
+    style.height = size + 'px';
+    style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
+  }
+
+  // Anchored elements can move without any event telling us, so stickers follow them
+  // from a frame loop that only runs while stickers are shown
+  function positionStickers() {
+    shown.forEach(positionSticker);
+    frameRequest = shown.size > 0 ? requestAnimationFrame(positionStickers) : null;
+  }
+
+  function addEntry(sticker) {
+    const root = EmojiOverlay.getOverlayRoot();
+    if (!styleElement || !styleElement.isConnected) {
+      styleElement = styleElement || EmojiOverlay.createOverlayElement('style');
+      styleElement.textContent = STICKER_CSS;
+      root.appendChild(styleElement);
+    }
+
+    const entry = { sticker: { ...sticker, anchor: { ...sticker.anchor } }, element: null, anchorElement: null, layout: null };
+    entry.element = createStickerElement(entry);
+    shown.set(sticker.id, entry);
+    positionSticker(entry);
+    root.appendChild(entry.element);
+    EmojiOverlay.raiseOverlay();
+
+    if (!frameRequest) {
+      frameRequest = requestAnimationFrame(positionStickers);
+    }
+    return entry;
+  }
+
+  function removeEntry(id) {
+    const entry = shown.get(id);
+    if (!entry) return;
+    entry.element.remove();
+    shown.delete(id);
+  }
+
+  /**
+   * Show exactly these stickers, adding, updating and removing shown ones as needed
+   * @param {Array<{id: string, content: Object, anchor: {selector: string|null, x: number, y: number},
+   *   size: number, rotation: number}>} stickers - `content` is a content descriptor, as passed to play()
+   * @param {Object} [stickerHandlers]
+   * @param {function(Object)} [stickerHandlers.onChange] - Called with { id, anchor, size, rotation }
+   *   after the user moved, resized or rotated a sticker
+   * @param {function(string)} [stickerHandlers.onRemove] - Called with the id of a sticker the user removed
+   */
+  function showStickers(stickers, stickerHandlers = {}) {
+    handlers = stickerHandlers;
+    const ids = new Set(stickers.map(sticker => sticker.id));
+    Array.from(shown.keys()).filter(id => !ids.has(id)).forEach(removeEntry);
+
+    stickers.forEach(sticker => {
+      // Rebuilt from the records passed in, which already hold the page's own edits
+      removeEntry(sticker.id);
+      addEntry(sticker);
+    });
+  }
+
+  /**
+   * Pin a new sticker where a reaction with these options would start
+   * @param {{id: string, content: Object, size: number, rotation: number}} sticker
+   * @param {Object} placement - `origin`, or `originMode` and `originSelector`, as passed to play()
+   * @param {Object} [stickerHandlers] - See showStickers()
+   * @returns {{selector: string|null, x: number, y: number}} The sticker's anchor
+   */
+  function dropSticker(sticker, placement = {}, stickerHandlers = {}) {
+    handlers = stickerHandlers;
+    const point = placement.origin || EmojiOverlay.resolveOrigin(placement.originMode, placement.originSelector).origin;
+    const anchor = getAnchorAt(point.x, point.y);
+    removeEntry(sticker.id);
+    addEntry({ ...sticker, anchor });
+    return anchor;
+  }
+
+  Object.assign(EmojiOverlay, {
+    showStickers,
+    dropSticker
+  });
+})();
@@ -0,0 +1,325 @@
+// Emoji packs: custom emojis exported as a single zip archive, for moving a library
+// between machines or handing it to a teammate.
+//
+// Archive layout:
+//   manifest.json          { format, version, exportedAt, images: [{ id, name, mime, timestamp, tags, description, sprite, playback, file }] }
+//   images/<id>.<ext>      one file per image, referenced by `file`
+//
+// Packs are written uncompressed (images are already compressed); import also reads
+// deflated archives, so packs re-zipped with other tools still work.
+
+const PACK_FORMAT = 'emoji-overlay-pack';
+const PACK_VERSION = 1;
+const PACK_MANIFEST_FILE = 'manifest.json';
+const PACK_CONFLICT_MODES = ['skip', 'rename', 'overwrite'];
+
+// ===== ZIP =====
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time, as stored in zip headers
+function getDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build an uncompressed zip archive
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Blob}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = getDosDateTime(new Date());
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+    local.setUint16(8, 0, true); // Method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+
+    parts.push(local, nameBytes, data);
+    centralDirectory.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read every file in a zip archive
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by path
+ * @throws {Error} If the archive is malformed or uses an unsupported compression method
+ */
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record sits at the end, before an optional comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(position, true) !== 0x02014B50) {
+      throw new Error('Corrupt zip archive');
+    }
+
+    const method = view.getUint16(position + 10, true);
+    const crc = view.getUint32(position + 16, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue; // Directory entry
+
+    // Sizes come from the central directory; local headers may defer them to a data descriptor
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = compressed;
+    } else if (method === 8) {
+      data = await inflateRaw(compressed);
+    } else {
+      throw new Error(`Unsupported compression in ${name}`);
+    }
+
+    if (crc32(data) !== crc) {
+      throw new Error(`Corrupt file in archive: ${name}`);
+    }
+    files.set(name, data);
+  }
+
+  return files;
+}
+
+// ===== EXPORT =====
+
+const PACK_EXTENSIONS = { 'image/png': 'png', 'image/gif': 'gif', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+/**
+ * Export custom emojis as a pack
+ * @param {string[]} [ids] - Images to include, defaults to all of them
+ * @returns {Promise<{blob: Blob, count: number}>} The zip archive and how many images it holds
+ */
+async function exportEmojiPack(ids) {
+  const images = (await getAllImages()).filter(image => !ids || ids.includes(image.id));
+  images.forEach(image => image.objectURL && URL.revokeObjectURL(image.objectURL));
+
+  const files = [];
+  const manifestImages = [];
+
+  for (const image of images) {
+    const mime = image.blob.type || 'image/png';
+    const file = `images/${image.id}.${PACK_EXTENSIONS[mime] || 'bin'}`;
+    files.push({ name: file, data: new Uint8Array(await image.blob.arrayBuffer()) });
+    manifestImages.push({
+      id: image.id,
+      name: image.name,
+      mime,
+      timestamp: image.timestamp,
+      tags: image.tags,
+      description: image.description,
+      sprite: image.sprite,
+      playback: image.playback,
+      file
+    });
+  }
+
+  const manifest = {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    images: manifestImages
+  };
+  files.unshift({ name: PACK_MANIFEST_FILE, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+  return { blob: createZip(files), count: images.length };
+}
+
+// ===== IMPORT =====
+
+// Pick an unused name by appending a counter, e.g. "party (2)"
+function getUniqueName(name, takenNames) {
+  let candidate = name;
+  for (let counter = 2; takenNames.has(candidate.toLowerCase()); counter++) {
+    candidate = `${name} (${counter})`;
+  }
+  return candidate;
+}
+
+/**
+ * Merge a pack into the custom emoji library
+ *
+ * An imported image conflicts with an existing one that has the same id or the same
+ * name (case-insensitive). Depending on `conflictMode` the imported image is:
+ *   skip       left out
+ *   rename     added under a new id, with a counter appended to its name
+ *   overwrite  written over the existing image, keeping the existing id so shortcut
+ *              slots and recent reactions still point at it
+ *
+ * @param {Blob} blob - The zip archive
+ * @param {'skip'|'rename'|'overwrite'} [conflictMode='skip']
+ * @returns {Promise<{added: number, renamed: number, overwritten: number, skipped: number, invalid: number}>}
+ * @throws {Error} If the file isn't an emoji pack
+ */
+async function importEmojiPack(blob, conflictMode = 'skip') {
+  if (!PACK_CONFLICT_MODES.includes(conflictMode)) {
+    throw new Error(`Unknown conflict mode: ${conflictMode}`);
+  }
+
+  const files = await readZip(blob);
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(files.get(PACK_MANIFEST_FILE)));
+  } catch (error) {
+    throw new Error('This archive has no emoji pack manifest.');
+  }
+  if (manifest.format !== PACK_FORMAT || !Array.isArray(manifest.images)) {
+    throw new Error('This archive is not an emoji pack.');
+  }
+  if (manifest.version > PACK_VERSION) {
+    throw new Error('This pack was made by a newer version of the extension.');
+  }
+
+  const existing = await getAllImages();
+  existing.forEach(image => image.objectURL && URL.revokeObjectURL(image.objectURL));
+  const existingIds = new Set(existing.map(image => image.id));
+  const existingByName = new Map(existing.map(image => [image.name.toLowerCase(), image]));
+  const takenNames = new Set(existingByName.keys());
+
+  const result = { added: 0, renamed: 0, overwritten: 0, skipped: 0, invalid: 0 };
+  const records = [];
+  let nextId = Date.now();
+
+  manifest.images.forEach(entry => {
+    const data = entry && files.get(entry.file);
+    const imageBlob = data && new Blob([data], { type: String(entry.mime || '') });
+    if (!imageBlob || !validateImageFile(imageBlob, STORED_IMAGE_TYPES).valid) {
+      result.invalid++;
+      return;
+    }
+
+    const name = String(entry.name || '').trim() || 'Custom Emoji';
+    const record = {
+      id: typeof entry.id === 'string' && entry.id ? entry.id : `custom_${nextId++}`,
+      blob: imageBlob,
+      name,
+      timestamp: Number(entry.timestamp) || Date.now(),
+      tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+      description: typeof entry.description === 'string' ? entry.description : '',
+      playback: normalizePlayback(entry.playback)
+    };
+    const sprite = normalizeSpriteSheet(entry.sprite);
+    if (sprite) record.sprite = sprite;
+
+    const sameName = existingByName.get(name.toLowerCase());
+    const conflict = existingIds.has(record.id) || sameName;
+
+    if (conflict && conflictMode === 'skip') {
+      result.skipped++;
+      return;
+    }
+
+    if (conflict && conflictMode === 'rename') {
+      record.id = `custom_${nextId++}`;
+      record.name = getUniqueName(name, takenNames);
+      result.renamed++;
+    } else if (conflict) {
+      // Overwrite the image with the same id, or else the one with the same name
+      if (!existingIds.has(record.id)) record.id = sameName.id;
+      result.overwritten++;
+    } else {
+      result.added++;
+    }
+
+    // Later entries in the same pack conflict with earlier ones too
+    existingIds.add(record.id);
+    existingByName.set(record.name.toLowerCase(), record);
+    takenNames.add(record.name.toLowerCase());
+    records.push(record);
+  });
+
+  await putImages(records);
+  return result;
+}
@@ -0,0 +1,52 @@
+// Unicode emoji picker data: categories from the bundled data/emoji-picker.json, and
+// the skin tone and gender the user picked for emojis that have variants
+
+const EMOJI_SKIN_TONES = ['✋', '✋🏻', '✋🏼', '✋🏽', '✋🏾', '✋🏿']; // Default, then light to dark
+const EMOJI_GENDERS = ['person', 'man', 'woman'];
+const DEFAULT_EMOJI_PREFERENCES = { skinTone: 0, gender: 'person' };
+
+let emojiPickerPromise = null;
+
+/**
+ * Load the picker data, once per context
+ * @returns {Promise<{categories: Array<{name: string, icon: string, emojis: Array<string|Object>}>, entries: Map<string, Object>}>}
+ *   Categories as bundled, plus the entries with variants keyed by their base emoji
+ */
+function loadEmojiPickerData() {
+  if (!emojiPickerPromise) {
+    emojiPickerPromise = fetch(chrome.runtime.getURL('data/emoji-picker.json'))
+      .then(response => response.json())
+      .then(({ categories }) => {
+        const entries = new Map();
+        categories.forEach(category => category.emojis.forEach(entry => {
+          if (typeof entry !== 'string') entries.set(entry.emoji, entry);
+        }));
+        return { categories, entries };
+      })
+      .catch(error => {
+        emojiPickerPromise = null; // Try again next time the picker opens
+        throw error;
+      });
+  }
+  return emojiPickerPromise;
+}
+
+// Skin tone (0 = default yellow, 1-5 light to dark) and gender applied to picker emojis
+async function getEmojiPreferences() {
+  const data = await chrome.storage.local.get('emojiPreferences');
+  return { ...DEFAULT_EMOJI_PREFERENCES, ...data.emojiPreferences };
+}
+
+/**
+ * Pick the variant of a picker entry matching the user's preferences
+ * Emojis without a matching variant come back unchanged.
+ * @param {string|{emoji: string, tones?: string[], genders?: Object}} entry - Picker data entry
+ * @param {{skinTone: number, gender: string}} preferences
+ * @returns {string} The emoji to show and fire
+ */
+function resolveEmojiVariant(entry, preferences) {
+  if (typeof entry === 'string') return entry;
+
+  const variant = (entry.genders && entry.genders[preferences.gender]) || entry;
+  return (preferences.skinTone > 0 && variant.tones && variant.tones[preferences.skinTone - 1]) || variant.emoji;
+}
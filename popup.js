@@ -1,76 +1,71 @@
-// Global variable to temporarily store the selected file for naming
+// Global variables to temporarily store the selected file, and its sprite sheet layout, for naming
 let pendingFile = null;
+let pendingSprite = null;
 
 // Initialize on popup load
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   loadCustomImages();
-  loadSelectedAnimation();
   setupEventListeners();
   setupModalListeners();
+  loadSharingSettings();
+  setupUnicodePicker();
+  setupFavorites();
+  setupGridNavigation();
+  loadStickerMode();
+
+  setupAnimationEditorListeners();
+  setupEmojiEditorListeners();
+  setupSequenceEditorListeners();
+
+  try {
+    await loadOverlayScripts();
+    await loadSpecAnimations();
+    renderAnimationMenu();
+    renderSiteHeader();
+  } catch (error) {
+    console.error('Error loading animations:', error);
+  }
+  loadSelectedAnimation();
 });
 
-// ===== API KEY MANAGEMENT =====
+// Reactions fired from the popup are shared by the background service worker
+addReactionListener(reaction => {
+  chrome.runtime.sendMessage({ type: 'reaction-fired', reaction });
+});
 
-async function getApiKey() {
-  const data = await chrome.storage.local.get('openaiApiKey');
-  return data.openaiApiKey || null;
-}
+// ===== IMAGE PROVIDER =====
 
-async function saveApiKey(key) {
-  await chrome.storage.local.set({ openaiApiKey: key });
+// The modal only asks for an OpenAI key; other providers are set up on the options page
+function needsApiKey(settings) {
+  return settings.type === 'openai' && validateImageProvider(settings).length > 0;
 }
 
-function validateApiKey(key) {
-  // Basic validation: OpenAI keys start with 'sk-' and have reasonable length
-  if (!key || typeof key !== 'string') {
-    return false;
-  }
-  const trimmedKey = key.trim();
-  return trimmedKey.startsWith('sk-') && trimmedKey.length > 20;
+function openImageProviderSettings() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('options.html#providers') });
 }
 
-// ===== OPENAI API INTEGRATION =====
-
-async function generateImageWithOpenAI(prompt, apiKey) {
-  const response = await fetch('https://api.openai.com/v1/images/generations', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'gpt-image-1',
-      prompt: prompt,
-      size: '1024x1024',
-      quality: 'medium',
-      n: 1
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    console.error('OpenAI API Error:', errorData);
-    throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
-  }
-
-  const data = await response.json();
-  console.log('OpenAI API Response:', data);
-  
-  if (!data.data || !data.data[0]) {
-    console.error('Unexpected API response structure:', data);
-    throw new Error('Invalid response from OpenAI API: ' + JSON.stringify(data).substring(0, 200));
-  }
+// ===== AI GENERATION =====
+
+// Sizes and qualities offered in the generate step come from the provider, see
+// getImageProviderCapabilities() in providers.js
+const MIN_AI_CANDIDATES = 2; // Enough to pick from, so one bad image isn't all a request gets
+const MAX_AI_CANDIDATES = 4;
+const DEFAULT_AI_SETTINGS = {
+  count: 2, // Candidates per request, each one is billed
+  size: '1024x1024', // Preferred, when the provider offers it
+  quality: 'medium',
+  transparent: true // Emojis are drawn over pages, so a background box rarely looks right
+};
+
+async function getAiSettings() {
+  const data = await chrome.storage.local.get('aiSettings');
+  const settings = { ...DEFAULT_AI_SETTINGS, ...data.aiSettings };
+  settings.count = Math.min(Math.max(Number(settings.count) || DEFAULT_AI_SETTINGS.count, MIN_AI_CANDIDATES), MAX_AI_CANDIDATES);
+  return settings;
+}
 
-  // Handle both URL and base64 formats
-  const imageData = data.data[0];
-  if (imageData.url) {
-    return imageData.url;
-  } else if (imageData.b64_json) {
-    // Convert base64 to data URL
-    return `data:image/png;base64,${imageData.b64_json}`;
-  } else {
-    throw new Error('No image URL or base64 data in response');
-  }
+async function saveAiSettings(settings) {
+  await chrome.storage.local.set({ aiSettings: settings });
 }
 
 async function downloadImageAsBlob(url) {
@@ -90,6 +85,8 @@ function setupEventListeners() {
   
   // Menu toggle handlers
   document.querySelectorAll('.menu-item-header').forEach(header => {
+    makeKeyboardClickable(header);
+    header.setAttribute('aria-expanded', 'false');
     header.addEventListener('click', (e) => {
       const menuItem = header.parentElement;
       const wasOpen = menuItem.classList.contains('open');
@@ -97,11 +94,13 @@ function setupEventListeners() {
       // Close all menus
       document.querySelectorAll('.menu-item').forEach(item => {
         item.classList.remove('open');
+        item.querySelector('.menu-item-header').setAttribute('aria-expanded', 'false');
       });
       
       // Toggle this menu
       if (!wasOpen) {
         menuItem.classList.add('open');
+        header.setAttribute('aria-expanded', 'true');
       }
     });
   });
@@ -111,33 +110,8 @@ function setupEventListeners() {
     // Skip the add and clear buttons, they have their own handlers
     if (button.id === 'addCustomBtn' || button.id === 'clearBtn') return;
     
-    button.addEventListener("click", async () => {
-      const type = button.dataset.type;
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-      // Get selected animation
-      const data = await chrome.storage.local.get('selectedAnimation');
-      const animationType = data.selectedAnimation || 'burst';
-
-      if (type === "emoji") {
-        const emoji = button.dataset.value;
-        chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          func: showEmojiOverlay,
-          args: [emoji, animationType]
-        });
-      } else if (type === "image") {
-        let src = button.dataset.src;
-        // If it's not a data URL, convert to chrome extension URL
-        if (!src.startsWith('data:')) {
-          src = chrome.runtime.getURL(src);
-        }
-        chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          func: showImageOverlay,
-          args: [src, animationType]
-        });
-      }
+    button.addEventListener("click", () => {
+      handleEmojiClick(getEmojiRef(button));
     });
   });
   
@@ -150,14 +124,346 @@ function setupEventListeners() {
   // File input handler
   document.getElementById('fileInput').addEventListener('change', handleFileSelect);
   
-  // Animation selection handlers
-  document.querySelectorAll('.submenu-item[data-animation]').forEach(item => {
+  // Shortcut settings handlers
+  document.querySelector('#shortcutsMenuItem .menu-item-header').addEventListener('click', renderShortcutSettings);
+  document.getElementById('shortcutKeysBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  
+  // Sequence handlers
+  document.querySelector('#sequencesMenuItem .menu-item-header').addEventListener('click', renderSequenceMenu);
+  
+  // Sound handlers
+  document.querySelector('#soundsMenuItem .menu-item-header').addEventListener('click', renderSoundSettings);
+  document.getElementById('soundMuted').addEventListener('change', (e) => {
+    saveSoundSettings({ muted: e.target.checked });
+  });
+  document.getElementById('soundVolume').addEventListener('input', (e) => {
+    document.getElementById('soundVolumeValue').textContent = `${e.target.value}%`;
+  });
+  document.getElementById('soundVolume').addEventListener('change', (e) => {
+    saveSoundSettings({ volume: Number(e.target.value) / 100 });
+  });
+  document.getElementById('soundSiteMuted').addEventListener('change', handleSiteMuteToggle);
+  document.getElementById('emojiSoundAddBtn').addEventListener('click', () => {
+    addEmojiSoundRow({ emoji: null, sound: null });
+  });
+  document.getElementById('soundUploadBtn').addEventListener('click', () => {
+    document.getElementById('soundFileInput').click();
+  });
+  document.getElementById('soundFileInput').addEventListener('change', handleSoundUpload);
+  
+  // Site profile handlers
+  document.getElementById('siteSettingsBtn').addEventListener('click', (e) => {
+    const panel = document.getElementById('siteSettings');
+    panel.hidden = !panel.hidden;
+    e.currentTarget.setAttribute('aria-expanded', String(!panel.hidden));
+  });
+  document.getElementById('siteEnabled').addEventListener('change', (e) => {
+    saveActiveSiteProfile({ enabled: e.target.checked });
+  });
+  document.getElementById('siteAnimation').addEventListener('change', (e) => {
+    saveActiveSiteProfile({ animation: e.target.value || null });
+  });
+  document.getElementById('siteMaxParticles').addEventListener('input', (e) => {
+    document.getElementById('siteMaxParticlesValue').textContent = formatMaxParticles(Number(e.target.value));
+  });
+  document.getElementById('siteMaxParticles').addEventListener('change', (e) => {
+    const value = Number(e.target.value);
+    saveActiveSiteProfile({ maxParticles: value >= SITE_PARTICLES_NO_LIMIT ? null : value });
+  });
+  document.getElementById('siteOpacity').addEventListener('input', (e) => {
+    document.getElementById('siteOpacityValue').textContent = `${e.target.value}%`;
+  });
+  document.getElementById('siteOpacity').addEventListener('change', (e) => {
+    saveActiveSiteProfile({ opacity: Number(e.target.value) / 100 });
+  });
+  document.getElementById('siteResetBtn').addEventListener('click', () => saveActiveSiteProfile(null));
+  
+  // Sticker handlers
+  document.querySelector('#stickersMenuItem .menu-item-header').addEventListener('click', renderStickerList);
+  document.getElementById('stickerMode').addEventListener('change', handleStickerModeToggle);
+  document.getElementById('stickerClearBtn').addEventListener('click', handleClearStickers);
+  document.getElementById('stickerExportBtn').addEventListener('click', handleExportStickers);
+  
+  // Rule handlers
+  document.querySelector('#rulesMenuItem .menu-item-header').addEventListener('click', renderRulesStatus);
+  document.getElementById('manageRulesBtn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+  
+  // Emoji pack handlers
+  document.querySelector('#packsMenuItem .menu-item-header').addEventListener('click', renderPackList);
+  document.getElementById('packSelectAll').addEventListener('change', (e) => {
+    document.querySelectorAll('#packList input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+    });
+  });
+  document.getElementById('packExportBtn').addEventListener('click', handleExportPack);
+  document.getElementById('packImportBtn').addEventListener('click', () => {
+    document.getElementById('packFileInput').click();
+  });
+  document.getElementById('packFileInput').addEventListener('change', handleImportPack);
+  
+  // Sharing settings handlers
+  document.querySelector('#sharingMenuItem .menu-item-header').addEventListener('click', updateSharingStatus);
+  ['sharingEnabled', 'sharingName', 'sharingRoom', 'sharingRelayUrl'].forEach(id => {
+    document.getElementById(id).addEventListener('change', saveSharingSettings);
+  });
+  
+}
+
+// Build the Animations submenu from the overlay runtime's registry
+function renderAnimationMenu() {
+  const submenu = document.getElementById('animationsSubmenu');
+  submenu.innerHTML = '';
+
+  EmojiOverlay.listAnimations().forEach(({ name, label, params }) => {
+    const item = document.createElement('div');
+    item.className = 'submenu-item';
+    item.dataset.animation = name;
+    makeKeyboardClickable(item);
+
+    const labelSpan = document.createElement('span');
+    labelSpan.textContent = label;
+
+    const actions = document.createElement('span');
+    actions.className = 'animation-item-actions';
+
+    const checkmark = document.createElement('span');
+    checkmark.className = 'checkmark';
+    checkmark.id = `checkmark-${name}`;
+    checkmark.textContent = '✓';
+
+    // Tuning panel, filled in when it is first opened
+    const panel = document.createElement('div');
+    panel.className = 'animation-settings';
+    panel.style.display = 'none';
+
+    if (Object.keys(params).length > 0) {
+      const tuneBtn = document.createElement('button');
+      tuneBtn.className = 'tune-btn';
+      tuneBtn.title = `Tune ${label}`;
+      tuneBtn.textContent = '⚙';
+      tuneBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (panel.style.display === 'none') {
+          await renderAnimationSettings(panel, name, params);
+          panel.style.display = 'block';
+        } else {
+          panel.style.display = 'none';
+        }
+      });
+      actions.appendChild(tuneBtn);
+    }
+
+    if (name.startsWith(SPEC_ANIMATION_PREFIX)) {
+      const editBtn = document.createElement('button');
+      editBtn.className = 'tune-btn';
+      editBtn.title = `Edit ${label}`;
+      editBtn.textContent = '✎';
+      editBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const id = name.slice(SPEC_ANIMATION_PREFIX.length);
+        const record = await getAnimationSpec(id);
+        if (record) {
+          openAnimationEditor(id, record.spec);
+        }
+      });
+      actions.appendChild(editBtn);
+    }
+
+    actions.appendChild(checkmark);
+    item.appendChild(labelSpan);
+    item.appendChild(actions);
     item.addEventListener('click', async (e) => {
       e.stopPropagation();
-      const animation = item.dataset.animation;
-      await setAnimation(animation);
+      await setAnimation(name);
+    });
+
+    submenu.appendChild(item);
+    submenu.appendChild(panel);
+  });
+
+  const newItem = document.createElement('div');
+  newItem.className = 'submenu-item new-animation-item';
+  newItem.textContent = '+ New animation';
+  makeKeyboardClickable(newItem);
+  newItem.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openAnimationEditor();
+  });
+  submenu.appendChild(newItem);
+  submenu.appendChild(createReducedMotionField());
+  submenu.appendChild(createOriginField());
+  renderOriginStatus();
+}
+
+// Reduced motion mode, shown below the animations it swaps for a fade
+function createReducedMotionField() {
+  const form = document.createElement('div');
+  form.className = 'settings-form';
+  const field = document.createElement('label');
+  field.className = 'settings-field';
+  field.textContent = 'Reduce motion';
+
+  const select = createSelect(
+    Object.entries(REDUCED_MOTION_MODES).map(([value, label]) => ({ value, label })),
+    'system'
+  );
+  select.id = 'reducedMotionMode';
+  select.title = 'Play a gentle fade instead of animations that move';
+  getReducedMotionMode().then(mode => { select.value = mode; });
+  select.addEventListener('change', () => {
+    chrome.storage.local.set({ reducedMotion: select.value });
+  });
+
+  field.appendChild(select);
+  form.appendChild(field);
+  return form;
+}
+
+// Origin mode, and the element picked on the current site for the 'element' mode
+function createOriginField() {
+  const form = document.createElement('div');
+  form.className = 'settings-form';
+  const field = document.createElement('label');
+  field.className = 'settings-field';
+  field.textContent = 'Start reactions from';
+
+  const select = createSelect(
+    Object.entries(ORIGIN_MODES).map(([value, label]) => ({ value, label })),
+    'center'
+  );
+  select.id = 'reactionOriginMode';
+  getOriginMode().then(mode => { select.value = mode; });
+  select.addEventListener('change', () => {
+    chrome.storage.local.set({ reactionOrigin: select.value });
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'pack-actions';
+  const pickBtn = document.createElement('button');
+  pickBtn.className = 'btn-secondary';
+  pickBtn.id = 'pickOriginBtn';
+  pickBtn.textContent = 'Pick element...';
+  pickBtn.title = 'Click an element on this page for reactions to start from';
+  const forgetBtn = document.createElement('button');
+  forgetBtn.className = 'btn-secondary';
+  forgetBtn.id = 'forgetOriginBtn';
+  forgetBtn.textContent = 'Forget';
+  actions.appendChild(pickBtn);
+  actions.appendChild(forgetBtn);
+
+  const status = document.createElement('div');
+  status.className = 'settings-status';
+  status.id = 'originStatus';
+
+  pickBtn.addEventListener('click', handlePickOriginElement);
+  forgetBtn.addEventListener('click', async () => {
+    const tab = await getActiveTab();
+    await saveOriginSelector(tab.url, null);
+    await renderOriginStatus();
+  });
+
+  field.appendChild(select);
+  form.appendChild(field);
+  form.appendChild(actions);
+  form.appendChild(status);
+  return form;
+}
+
+async function renderOriginStatus() {
+  const [tab, selectors] = await Promise.all([getActiveTab(), getOriginSelectors()]);
+  const host = tab && getSiteHost(tab.url);
+  const selector = host && selectors[host];
+
+  document.getElementById('pickOriginBtn').disabled = !host;
+  document.getElementById('forgetOriginBtn').style.display = selector ? '' : 'none';
+  const status = document.getElementById('originStatus');
+  if (!host) {
+    status.textContent = 'Elements can only be picked on web pages.';
+  } else if (selector) {
+    status.textContent = `Picked on ${host}: ${selector}`;
+  } else {
+    status.textContent = `Nothing picked on ${host} yet.`;
+  }
+}
+
+async function handlePickOriginElement() {
+  const tab = await getActiveTab();
+  try {
+    await chrome.storage.local.set({ reactionOrigin: 'element' });
+    await pickOriginElement(tab.id);
+    window.close(); // Out of the way, the pick happens in the page
+  } catch (error) {
+    console.error('Error starting element picker:', error);
+    document.getElementById('originStatus').textContent = 'Elements can\'t be picked on this page.';
+  }
+}
+
+function formatParamValue(value, param) {
+  if (param.unit === '×') return `${value}×`;
+  if (param.unit === '%') return `${value}%`;
+  return param.unit ? `${value} ${param.unit}` : String(value);
+}
+
+async function saveAnimationParam(animationName, paramName, value) {
+  const settings = await getAnimationSettings();
+  settings[animationName] = { ...settings[animationName], [paramName]: value };
+  await chrome.storage.local.set({ animationSettings: settings });
+}
+
+async function resetAnimationParams(animationName) {
+  const settings = await getAnimationSettings();
+  delete settings[animationName];
+  await chrome.storage.local.set({ animationSettings: settings });
+}
+
+// One slider per declared param, saved to `animationSettings` as it changes
+async function renderAnimationSettings(panel, animationName, params) {
+  const tuned = (await getAnimationSettings())[animationName] || {};
+  panel.innerHTML = '';
+
+  Object.entries(params).forEach(([paramName, param]) => {
+    const field = document.createElement('label');
+    field.className = 'slider-field';
+
+    const header = document.createElement('span');
+    header.className = 'slider-label';
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'slider-value';
+    header.textContent = param.label;
+    header.appendChild(valueSpan);
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = param.min;
+    slider.max = param.max;
+    slider.step = param.step;
+    slider.value = tuned[paramName] ?? param.default;
+    valueSpan.textContent = formatParamValue(slider.value, param);
+
+    slider.addEventListener('input', () => {
+      valueSpan.textContent = formatParamValue(slider.value, param);
+    });
+    slider.addEventListener('change', () => {
+      saveAnimationParam(animationName, paramName, Number(slider.value));
     });
+
+    field.appendChild(header);
+    field.appendChild(slider);
+    panel.appendChild(field);
+  });
+
+  const resetBtn = document.createElement('button');
+  resetBtn.className = 'btn-secondary';
+  resetBtn.textContent = 'Reset';
+  resetBtn.addEventListener('click', async () => {
+    await resetAnimationParams(animationName);
+    await renderAnimationSettings(panel, animationName, params);
   });
+  panel.appendChild(resetBtn);
 }
 
 // Load selected animation from storage
@@ -192,58 +498,92 @@ function updateAnimationCheckmarks(selectedAnimation) {
 }
 
 // Filter emojis based on search query
-function filterEmojis() {
+const SEARCH_RESULT_LIMIT = 60;
+
+// Name first, then keywords: `data-keywords` on built-in images, tags and the description on custom ones
+function getButtonSearchTerms(button) {
+  const name = button.dataset.name || button.querySelector('img')?.alt || '';
+  const keywords = button.dataset.keywords || button.dataset.tags || '';
+  const terms = [name, ...keywords.split(',').map(keyword => keyword.trim()).filter(Boolean)];
+  if (button.dataset.description) terms.push(button.dataset.description);
+  return terms;
+}
+
+// Show ranked matches across Unicode emojis, built-in and custom images in place of the grid
+async function filterEmojis() {
   const searchInput = document.getElementById('emojiSearch');
-  const query = searchInput.value.toLowerCase().trim();
+  const query = searchInput.value;
+  const emojiGrid = document.getElementById('emojiGrid');
+  const results = document.getElementById('searchResults');
   
-  // Get all emoji buttons (both built-in and custom)
-  const emojiGrid = document.querySelector('.emoji-grid');
-  const allButtons = emojiGrid.querySelectorAll('button[data-type]');
+  const picker = document.getElementById('unicodePicker');
   
-  allButtons.forEach(button => {
-    if (query === '') {
-      // Show all if search is empty
-      button.style.display = '';
-      return;
-    }
-    
-    let searchText = '';
-    
-    if (button.dataset.type === 'emoji') {
-      // For Unicode emojis, we can't easily search them, so hide them during search
-      // Users can clear search to see them again
-      button.style.display = 'none';
-      return;
-    } else if (button.dataset.type === 'image') {
-      // For image emojis, check alt text or data-name attribute
-      const img = button.querySelector('img');
-      searchText = (img?.alt || button.dataset.name || '').toLowerCase();
-    }
-    
-    // Show/hide based on match
-    if (searchText.includes(query)) {
-      button.style.display = '';
+  if (!normalizeSearchText(query)) {
+    emojiGrid.style.display = '';
+    picker.style.display = '';
+    results.style.display = 'none';
+    results.innerHTML = '';
+    return;
+  }
+  
+  let keywords = {};
+  try {
+    keywords = await loadEmojiKeywords();
+  } catch (error) {
+    // Images can still be searched by name
+    console.error('Error loading emoji keywords:', error);
+  }
+  
+  // Unicode results use the skin tone and gender picked in the picker
+  let resolveVariant = emoji => emoji;
+  try {
+    const [{ entries }, preferences] = await Promise.all([loadEmojiPickerData(), getEmojiPreferences()]);
+    resolveVariant = emoji => resolveEmojiVariant(entries.get(emoji) || emoji, preferences);
+  } catch (error) {
+    console.error('Error loading emoji picker:', error);
+  }
+  
+  // A newer keystroke has taken over while the index loaded
+  if (searchInput.value !== query) return;
+  
+  const candidates = [
+    ...Array.from(emojiGrid.querySelectorAll('button[data-type="image"]'), button => ({
+      button,
+      terms: getButtonSearchTerms(button)
+    })),
+    ...Object.entries(keywords).map(([emoji, terms]) => ({ emoji, terms }))
+  ];
+  
+  results.innerHTML = '';
+  
+  searchEmojis(query, candidates, SEARCH_RESULT_LIMIT).forEach(({ button, emoji, terms }) => {
+    let result;
+    if (button) {
+      result = button.cloneNode(true);
     } else {
-      button.style.display = 'none';
+      result = document.createElement('button');
+      result.dataset.type = 'emoji';
+      result.dataset.value = resolveVariant(emoji);
+      result.textContent = result.dataset.value;
     }
+    result.title = terms[0];
+    addFavoriteToggle(result);
+    result.addEventListener('click', () => {
+      handleEmojiClick(getEmojiRef(result));
+    });
+    results.appendChild(result);
   });
   
-  // Also filter custom image wrappers
-  const customContainer = document.getElementById('customImagesContainer');
-  if (customContainer) {
-    const wrappers = customContainer.querySelectorAll('.custom-image-wrapper');
-    wrappers.forEach(wrapper => {
-      const button = wrapper.querySelector('button[data-type="image"]');
-      if (button) {
-        const name = button.dataset.name || '';
-        if (query === '' || name.toLowerCase().includes(query)) {
-          wrapper.style.display = '';
-        } else {
-          wrapper.style.display = 'none';
-        }
-      }
-    });
+  if (!results.firstChild) {
+    const empty = document.createElement('div');
+    empty.className = 'search-empty';
+    empty.textContent = 'No emojis found';
+    results.appendChild(empty);
   }
+  
+  emojiGrid.style.display = 'none';
+  picker.style.display = 'none';
+  results.style.display = '';
 }
 
 // Migrate existing data from chrome.storage.local to IndexedDB
@@ -313,13 +653,14 @@ async function loadCustomImages() {
 }
 
 // Save custom image to storage
-async function saveCustomImage(blob, id, name = 'Custom Emoji') {
-  await saveImage(blob, id, name);
+async function saveCustomImage(blob, id, name = 'Custom Emoji', animation = {}) {
+  await saveImage(blob, id, name, animation);
 }
 
 // Delete custom image from storage
 async function deleteCustomImage(imageId) {
   await deleteImage(imageId);
+  await forgetCustomEmojis([imageId]);
   await loadCustomImages(); // Refresh the display
 }
 
@@ -339,6 +680,7 @@ async function handleClearCustomImages() {
   
   if (confirm(`Delete all ${customImages.length} custom emoji(s)?`)) {
     await clearAllImages();
+    await forgetCustomEmojis();
     renderCustomImages([]);
     console.log('Custom images cleared successfully');
   }
@@ -352,39 +694,39 @@ async function handleFileSelect(event) {
   // Reset file input
   event.target.value = '';
   
-  // Validate file type - accept PNG and GIF
-  if (!file.type.match('image/(png|gif)')) {
-    alert('Please select a PNG or GIF file.');
-    return;
-  }
-  
-  // Check file size (10MB limit for IndexedDB - practical for GIFs)
-  const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-  if (file.size > maxSize) {
-    alert('File is too large. Please select a file smaller than 10MB.');
+  const validation = validateImageFile(file);
+  if (!validation.valid) {
+    alert(validation.message);
     return;
   }
   
   // Warn if file is very large
-  if (file.size > 5 * 1024 * 1024) {
+  if (validation.large) {
     if (!confirm('This file is quite large (>5MB). Continue?')) {
       return;
     }
   }
   
-  // Store file temporarily and show naming modal
-  pendingFile = file;
   openModal();
-  showNameInputStep();
+  
+  // Animated images keep their frames, so they skip the crop step and are stored as they are
+  if (await isAnimatedImage(file)) {
+    pendingFile = file;
+    pendingSprite = null;
+    showNameInputStep();
+    return;
+  }
+  
+  await showCropStep(file);
 }
 
 // Process and save the selected image file
-async function processImageFile(file, name) {
+async function processImageFile(file, name, sprite = null) {
   // Store file as Blob directly (no base64 conversion needed)
   const imageId = `custom_${Date.now()}`;
   
   try {
-    await saveCustomImage(file, imageId, name);
+    await saveCustomImage(file, imageId, name, { sprite });
     await loadCustomImages(); // Refresh the display
   } catch (error) {
     if (error.message.includes('quota')) {
@@ -434,9 +776,13 @@ function renderCustomImages(customImages) {
       // Create the image button
       const button = document.createElement('button');
       button.dataset.type = 'image';
+      button.dataset.id = imageData.id;
       button.dataset.src = imageData.objectURL;
       button.dataset.name = imageData.name || 'Custom Emoji';
-      button.title = imageData.name || 'Custom Emoji'; // Tooltip
+      button.dataset.tags = imageData.tags.join(',');
+      button.dataset.description = imageData.description;
+      // Tooltip
+      button.title = [imageData.name || 'Custom Emoji', imageData.description].filter(Boolean).join('\n');
       
       const img = document.createElement('img');
       img.src = imageData.objectURL;
@@ -451,9 +797,12 @@ function renderCustomImages(customImages) {
       button.appendChild(img);
       
       // Create delete button
-      const deleteBtn = document.createElement('div');
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
       deleteBtn.className = 'delete-btn';
       deleteBtn.textContent = '×';
+      deleteBtn.title = 'Delete';
+      deleteBtn.setAttribute('aria-label', `Delete ${imageData.name || 'custom emoji'}`);
       deleteBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         if (confirm('Delete this custom emoji?')) {
@@ -461,34 +810,36 @@ function renderCustomImages(customImages) {
         }
       });
       
+      // Create edit button
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'edit-btn';
+      editBtn.textContent = '✎';
+      editBtn.title = 'Edit';
+      editBtn.setAttribute('aria-label', `Edit ${imageData.name || 'custom emoji'}`);
+      editBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openEmojiEditor(imageData.id);
+      });
+      
       // Assemble the wrapper
       wrapper.appendChild(button);
       wrapper.appendChild(deleteBtn);
+      wrapper.appendChild(editBtn);
       container.appendChild(wrapper);
       
       // Add click handler for the image button
-      button.addEventListener('click', async () => {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        
-        // Get selected animation
-        const data = await chrome.storage.local.get('selectedAnimation');
-        const animationType = data.selectedAnimation || 'burst';
-        
-        // Convert blob to data URL for content script (object URLs don't work across contexts)
-        const reader = new FileReader();
-        reader.onload = () => {
-          chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: showImageOverlay,
-            args: [reader.result, animationType]
-          });
-        };
-        reader.readAsDataURL(imageData.blob);
+      button.addEventListener('click', () => {
+        handleEmojiClick(getEmojiRef(button));
       });
     } catch (error) {
       console.error('Error rendering custom image:', imageData.id, error);
     }
   });
+  
+  // Rows show custom emojis by cloning their grid buttons, so refresh them with the grid
+  document.querySelectorAll('#emojiGrid button[data-type]').forEach(addFavoriteToggle);
+  renderEmojiRows();
 }
 
 // Clean up object URLs when popup closes
@@ -496,1407 +847,1886 @@ window.addEventListener('unload', () => {
   currentObjectURLs.forEach(url => URL.revokeObjectURL(url));
 });
 
-function showEmojiOverlay(emoji, animationType = 'burst') {
-  if (animationType === 'boring' || animationType === 'boring-giant') {
-    // Boring animation - single emoji centered
-    const particle = document.createElement("div");
-    particle.textContent = emoji;
-    
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    const duration = 2500;
-    const size = animationType === 'boring-giant' ? 30 : 10;
-    
-    Object.assign(particle.style, {
-      position: "fixed",
-      left: centerX + "px",
-      top: centerY + "px",
-      fontSize: size + "rem",
-      opacity: "1",
-      pointerEvents: "none",
-      zIndex: "999999",
-      transform: "translate(-50%, -50%)",
-      transition: "none"
-    });
-    
-    document.body.appendChild(particle);
-    
-    const startTime = Date.now();
-    
-    function animate() {
-      const elapsed = (Date.now() - startTime) / 1000;
-      const progress = elapsed / (duration / 1000);
-      
-      if (progress >= 1) return;
-      
-      const opacity = progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1;
-      particle.style.opacity = opacity;
-      
-      requestAnimationFrame(animate);
-    }
-    
-    requestAnimationFrame(animate);
-    setTimeout(() => particle.remove(), duration);
-    
-  } else if (animationType === 'drive') {
-    // Drive animation - left to right
-    const particleCount = 25;
-    const duration = 3000;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("div");
-      particle.textContent = emoji;
-      
-      const startX = -150;
-      const startY = Math.random() * window.innerHeight;
-      const velocity = 300 + Math.random() * 400;
-      const size = 3 + Math.random() * 4;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: startX + "px",
-        top: startY + "px",
-        fontSize: size + "rem",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const x = startX + velocity * elapsed;
-        
-        const screenWidth = window.innerWidth;
-        const fadeStart = screenWidth * 0.8;
-        const opacity = x > fadeStart ? 1 - ((x - fadeStart) / (screenWidth * 0.2)) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.transform = `translate(-50%, -50%)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-      setTimeout(() => particle.remove(), duration);
-    }
-    
-  } else if (animationType === 'reverse') {
-    // Reverse animation - right to left
-    const particleCount = 25;
-    const duration = 3000;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("div");
-      particle.textContent = emoji;
-      
-      const startX = window.innerWidth + 150;
-      const startY = Math.random() * window.innerHeight;
-      const velocity = -(300 + Math.random() * 400);
-      const size = 3 + Math.random() * 4;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: startX + "px",
-        top: startY + "px",
-        fontSize: size + "rem",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const x = startX + velocity * elapsed;
-        
-        const fadeStart = window.innerWidth * 0.2;
-        const opacity = x < fadeStart ? 1 - ((fadeStart - x) / (window.innerWidth * 0.2)) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.transform = `translate(-50%, -50%)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-      setTimeout(() => particle.remove(), duration);
-    }
-    
-  } else if (animationType === 'tornado') {
-    // Tornado animation - spiral cyclone
-    const particleCount = 25;
-    const duration = 4000;
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("div");
-      particle.textContent = emoji;
-      
-      const startAngle = (i / particleCount) * Math.PI * 2;
-      const size = 3 + Math.random() * 4;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: centerX + "px",
-        top: centerY + "px",
-        fontSize: size + "rem",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const angle = startAngle + elapsed * 3 * Math.PI;
-        const radius = progress * 300;
-        
-        const x = centerX + Math.cos(angle) * radius;
-        const y = centerY + Math.sin(angle) * radius;
-        const rotation = elapsed * 360;
-        const opacity = 1 - progress * 0.8;
-        
-        particle.style.left = x + "px";
-        particle.style.top = y + "px";
-        particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-      setTimeout(() => particle.remove(), duration);
-    }
-    
-  } else if (animationType === 'wave') {
-    // Wave animation - ocean wave
-    const particleCount = 25;
-    const duration = 4000;
-    const waveHeight = window.innerHeight * 0.3;
-    const baseY = window.innerHeight / 2;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("div");
-      particle.textContent = emoji;
-      
-      const delay = (i / particleCount) * 1000;
-      const size = 3 + Math.random() * 3;
-      const verticalOffset = (Math.random() - 0.5) * 100;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: "-100px",
-        top: baseY + "px",
-        fontSize: size + "rem",
-        opacity: "0",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      setTimeout(() => {
-        const startTime = Date.now();
-        
-        function animate() {
-          const elapsed = (Date.now() - startTime) / 1000;
-          const progress = elapsed / (duration / 1000);
-          
-          if (progress >= 1) return;
-          
-          const x = -100 + progress * (window.innerWidth + 200);
-          const waveProgress = (x + 100) / window.innerWidth;
-          let waveY;
-          
-          if (waveProgress < 0.3) {
-            waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (waveProgress / 0.3);
-          } else if (waveProgress < 0.7) {
-            waveY = Math.sin(waveProgress * Math.PI * 3) * waveHeight;
-          } else {
-            waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (1 - (waveProgress - 0.7) / 0.3);
-          }
-          
-          const y = baseY + waveY + verticalOffset;
-          const rotation = Math.sin(waveProgress * Math.PI * 3) * 30;
-          
-          let opacity = 1;
-          if (progress < 0.1) {
-            opacity = progress / 0.1;
-          } else if (progress > 0.9) {
-            opacity = 1 - ((progress - 0.9) / 0.1);
-          }
-          
-          particle.style.left = x + "px";
-          particle.style.top = y + "px";
-          particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-          particle.style.opacity = opacity;
-          
-          requestAnimationFrame(animate);
-        }
-        
-        requestAnimationFrame(animate);
-      }, delay);
-      
-      setTimeout(() => particle.remove(), duration + delay);
-    }
-    
-  } else if (animationType === 'drift') {
-    // Drift animation
-    const waveCount = 4;
-    const particlesPerWave = 7;
-    const waveInterval = 300;
-    const duration = 3500;
-    
-    function animateRainParticle(particle, startX, duration) {
-      const startTime = Date.now();
-      const gravity = 500;
-      const startY = -100;
-      const driftAmplitude = 30;
-      const driftFrequency = 2;
-      const baseTilt = (Math.random() - 0.5) * 40;
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const y = startY + 0.5 * gravity * elapsed * elapsed;
-        const drift = Math.sin(elapsed * driftFrequency * Math.PI) * driftAmplitude;
-        const x = startX + drift;
-        const tilt = baseTilt + (drift / driftAmplitude) * 15;
-        
-        const screenHeight = window.innerHeight;
-        const fadeStart = screenHeight * 0.8;
-        const opacity = y > fadeStart ? 1 - ((y - fadeStart) / (screenHeight * 0.2)) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.top = y + "px";
-        particle.style.transform = `translate(-50%, -50%) rotate(${tilt}deg)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-    }
-    
-    for (let wave = 0; wave < waveCount; wave++) {
-      setTimeout(() => {
-        for (let i = 0; i < particlesPerWave; i++) {
-          const particle = document.createElement("div");
-          particle.textContent = emoji;
-          
-          const startX = Math.random() * window.innerWidth;
-          const size = 4 + Math.random() * 4;
-          
-          Object.assign(particle.style, {
-            position: "fixed",
-            left: startX + "px",
-            top: "-100px",
-            fontSize: size + "rem",
-            opacity: "1",
-            pointerEvents: "none",
-            zIndex: "999999",
-            transform: "translate(-50%, -50%)",
-            transition: "none"
-          });
-          
-          document.body.appendChild(particle);
-          animateRainParticle(particle, startX, duration);
-          setTimeout(() => particle.remove(), duration);
-        }
-      }, wave * waveInterval);
-    }
-    
-  } else {
-    // Burst animation (default)
-    function animateParticle(particle, velocityX, velocityY, rotationSpeed, duration) {
-      const startTime = Date.now();
-      const gravity = 500;
-      const startX = parseFloat(particle.style.left);
-      const startY = parseFloat(particle.style.top);
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const x = startX + velocityX * elapsed;
-        const y = startY + velocityY * elapsed + 0.5 * gravity * elapsed * elapsed;
-        const rotation = rotationSpeed * elapsed;
-        const opacity = progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.top = y + "px";
-        particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-        particle.style.opacity = opacity;
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-    }
-    
-    const particleCount = 25;
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    const duration = 2500;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("div");
-      particle.textContent = emoji;
-      
-      const angle = Math.random() * Math.PI * 2;
-      const velocity = 200 + Math.random() * 300;
-      const velocityX = Math.cos(angle) * velocity;
-      const velocityY = Math.sin(angle) * velocity;
-      const rotationSpeed = (Math.random() - 0.5) * 720;
-      const size = 4 + Math.random() * 6;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: centerX + "px",
-        top: centerY + "px",
-        fontSize: size + "rem",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      animateParticle(particle, velocityX, velocityY, rotationSpeed, duration);
-      setTimeout(() => particle.remove(), duration);
-    }
-  }
-}
+// ===== OVERLAY =====
 
-function createBurstAnimation(content, isEmoji) {
-  // Helper function to animate particles with physics
-  function animateParticle(particle, velocityX, velocityY, rotationSpeed, duration) {
-    const startTime = Date.now();
-    const gravity = 500; // pixels per second squared
-    const startX = parseFloat(particle.style.left);
-    const startY = parseFloat(particle.style.top);
-    
-    function animate() {
-      const elapsed = (Date.now() - startTime) / 1000; // seconds
-      const progress = elapsed / (duration / 1000);
-      
-      if (progress >= 1) return;
-      
-      // Calculate position with gravity
-      const x = startX + velocityX * elapsed;
-      const y = startY + velocityY * elapsed + 0.5 * gravity * elapsed * elapsed;
-      
-      // Calculate rotation
-      const rotation = rotationSpeed * elapsed;
-      
-      // Fade out in the last 30% of animation
-      const opacity = progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1;
-      
-      // Apply transformations
-      particle.style.left = x + "px";
-      particle.style.top = y + "px";
-      particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-      particle.style.opacity = opacity;
-      
-      requestAnimationFrame(animate);
-    }
-    
-    requestAnimationFrame(animate);
+// Get the stable emoji reference for a grid button (see reactions.js)
+function getEmojiRef(button) {
+  if (button.dataset.type === 'emoji') {
+    return { kind: 'unicode', value: button.dataset.value };
   }
-  
-  // Create the burst effect
-  const particleCount = 25; // Number of particles
-  const centerX = window.innerWidth / 2;
-  const centerY = window.innerHeight / 2;
-  const duration = 2500; // Animation duration in ms
-  
-  for (let i = 0; i < particleCount; i++) {
-    const particle = isEmoji ? document.createElement("div") : document.createElement("img");
-    
-    if (isEmoji) {
-      particle.textContent = content;
-    } else {
-      particle.src = content;
-    }
-    
-    // Random velocity and direction
-    const angle = Math.random() * Math.PI * 2;
-    const velocity = 200 + Math.random() * 300; // pixels per second
-    const velocityX = Math.cos(angle) * velocity;
-    const velocityY = Math.sin(angle) * velocity;
-    
-    // Random rotation
-    const rotationSpeed = (Math.random() - 0.5) * 720; // degrees per second
-    
-    // Random size variation
-    const size = isEmoji ? (4 + Math.random() * 6) : (80 + Math.random() * 120);
-    
-    // Initial styles
-    const baseStyles = {
-      position: "fixed",
-      left: centerX + "px",
-      top: centerY + "px",
-      opacity: "1",
-      pointerEvents: "none",
-      zIndex: "999999",
-      transform: "translate(-50%, -50%)",
-      transition: "none"
-    };
-    
-    if (isEmoji) {
-      baseStyles.fontSize = size + "rem";
-    } else {
-      baseStyles.width = size + "px";
-      baseStyles.height = size + "px";
-    }
-    
-    Object.assign(particle.style, baseStyles);
-    
-    document.body.appendChild(particle);
-    
-    // Animate the particle
-    animateParticle(particle, velocityX, velocityY, rotationSpeed, duration);
-    
-    // Remove after animation
-    setTimeout(() => particle.remove(), duration);
+  if (button.dataset.id) {
+    return { kind: 'custom', id: button.dataset.id };
   }
+  return { kind: 'builtin', src: button.dataset.src };
 }
 
-function createDriftAnimation(content, isEmoji) {
-  const waveCount = 4; // Number of waves
-  const particlesPerWave = 7; // Particles in each wave
-  const waveInterval = 300; // ms between waves
-  const duration = 3500; // Total animation duration in ms
-  
-  // Helper function to animate falling particles
-  function animateDriftParticle(particle, startX, duration) {
-    const startTime = Date.now();
-    const gravity = 500; // pixels per second squared
-    const startY = -100; // Start above viewport
-    const driftAmplitude = 30; // Horizontal drift amount
-    const driftFrequency = 2; // Drift oscillation speed
-    const baseTilt = (Math.random() - 0.5) * 40;
-    
-    function animate() {
-      const elapsed = (Date.now() - startTime) / 1000; // seconds
-      const progress = elapsed / (duration / 1000);
-      
-      if (progress >= 1) return;
-      
-      // Calculate vertical position with gravity
-      const y = startY + 0.5 * gravity * elapsed * elapsed;
-      
-      // Add horizontal drift using sine wave
-      const drift = Math.sin(elapsed * driftFrequency * Math.PI) * driftAmplitude;
-      const x = startX + drift;
-      
-      // Calculate tilt based on drift
-      const tilt = baseTilt + (drift / driftAmplitude) * 15;
-      
-      // Fade out near bottom of screen
-      const screenHeight = window.innerHeight;
-      const fadeStart = screenHeight * 0.8;
-      const opacity = y > fadeStart ? 1 - ((y - fadeStart) / (screenHeight * 0.2)) : 1;
-      
-      // Apply transformations
-      particle.style.left = x + "px";
-      particle.style.top = y + "px";
-      particle.style.transform = `translate(-50%, -50%) rotate(${tilt}deg)`;
-      particle.style.opacity = Math.max(0, opacity);
-      
-      requestAnimationFrame(animate);
+// ===== ANIMATION EDITOR =====
+
+// Id of the spec being edited, null for a new one
+let editingSpecId = null;
+let specPreviewTimer = null;
+
+function setupAnimationEditorListeners() {
+  const specField = document.getElementById('animationSpecField');
+
+  // Live preview in the popup once the JSON stops changing and is valid
+  specField.addEventListener('input', () => {
+    clearTimeout(specPreviewTimer);
+    specPreviewTimer = setTimeout(() => {
+      const { spec, errors } = parseSpecField();
+      showAnimationEditorErrors(errors);
+      if (spec) {
+        previewSpecInPopup(spec);
+      }
+    }, 800);
+  });
+
+  document.getElementById('animationPreviewBtn').addEventListener('click', handlePreviewSpecInPage);
+  document.getElementById('animationSaveBtn').addEventListener('click', handleSaveAnimationSpec);
+  document.getElementById('animationDeleteBtn').addEventListener('click', handleDeleteAnimationSpec);
+  document.getElementById('animationEditorCancel').addEventListener('click', closeAnimationEditor);
+
+  document.getElementById('animationEditorModal').addEventListener('click', (e) => {
+    if (e.target.id === 'animationEditorModal') {
+      closeAnimationEditor();
     }
-    
-    requestAnimationFrame(animate);
+  });
+}
+
+function openAnimationEditor(id = null, spec = EmojiOverlay.EXAMPLE_SPEC) {
+  editingSpecId = id;
+  document.getElementById('animationEditorTitle').textContent = id ? 'Edit Animation' : 'New Animation';
+  document.getElementById('animationDeleteBtn').style.display = id ? '' : 'none';
+  document.getElementById('animationSpecField').value = JSON.stringify(spec, null, 2);
+  showAnimationEditorErrors([]);
+  document.getElementById('animationEditorModal').style.display = 'flex';
+  document.getElementById('animationSpecField').focus();
+}
+
+function closeAnimationEditor() {
+  clearTimeout(specPreviewTimer);
+  document.getElementById('animationEditorModal').style.display = 'none';
+  editingSpecId = null;
+}
+
+// Parse and validate the editor contents
+function parseSpecField() {
+  let spec;
+  try {
+    spec = JSON.parse(document.getElementById('animationSpecField').value);
+  } catch (error) {
+    return { spec: null, errors: ['Invalid JSON: ' + error.message] };
   }
-  
-  // Create waves of particles
-  for (let wave = 0; wave < waveCount; wave++) {
-    setTimeout(() => {
-      for (let i = 0; i < particlesPerWave; i++) {
-        const particle = isEmoji ? document.createElement("div") : document.createElement("img");
-        
-        if (isEmoji) {
-          particle.textContent = content;
-        } else {
-          particle.src = content;
-        }
-        
-        // Random horizontal position
-        const startX = Math.random() * window.innerWidth;
-        
-        // Random size variation
-        const size = isEmoji ? (4 + Math.random() * 4) : (60 + Math.random() * 80);
-        
-        // Initial styles
-        const baseStyles = {
-          position: "fixed",
-          left: startX + "px",
-          top: "-100px",
-          opacity: "1",
-          pointerEvents: "none",
-          zIndex: "999999",
-          transform: "translate(-50%, -50%)",
-          transition: "none"
-        };
-        
-        if (isEmoji) {
-          baseStyles.fontSize = size + "rem";
-        } else {
-          baseStyles.width = size + "px";
-          baseStyles.height = size + "px";
-        }
-        
-        Object.assign(particle.style, baseStyles);
-        
-        document.body.appendChild(particle);
-        
-        // Animate the particle
-        animateDriftParticle(particle, startX, duration);
-        
-        // Remove after animation
-        setTimeout(() => particle.remove(), duration);
-      }
-    }, wave * waveInterval);
+
+  const errors = EmojiOverlay.validateAnimationSpec(spec);
+  return { spec: errors.length === 0 ? spec : null, errors };
+}
+
+function showAnimationEditorErrors(errors) {
+  const messageDiv = document.getElementById('animationEditorMessage');
+  messageDiv.textContent = errors.join('\n');
+  messageDiv.className = errors.length > 0 ? 'modal-message error' : 'modal-message';
+}
+
+// The overlay runtime is loaded in the popup too, so the spec can play right here
+function previewSpecInPopup(spec) {
+  const previewName = SPEC_ANIMATION_PREFIX + 'preview';
+  showOverlay({ type: 'unicode', value: '🎉' }, previewName, { spec, params: {} });
+  // Keep the preview out of the Animations menu
+  EmojiOverlay.unregisterAnimation(previewName);
+}
+
+async function handlePreviewSpecInPage() {
+  const { spec, errors } = parseSpecField();
+  showAnimationEditorErrors(errors);
+  if (!spec) return;
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  try {
+    await injectOverlay(tab.id, { type: 'unicode', value: '🎉' }, SPEC_ANIMATION_PREFIX + 'preview', { spec, params: {} });
+  } catch (error) {
+    showAnimationEditorErrors(['Cannot preview on this page: ' + error.message]);
+  }
+}
+
+async function handleSaveAnimationSpec() {
+  const { spec, errors } = parseSpecField();
+  showAnimationEditorErrors(errors);
+  if (!spec) return;
+
+  const id = editingSpecId || `animation_${Date.now()}`;
+  await saveAnimationSpec(spec, id);
+  await refreshSpecAnimations();
+  closeAnimationEditor();
+}
+
+async function handleDeleteAnimationSpec() {
+  if (!editingSpecId || !confirm('Delete this animation?')) return;
+
+  await deleteAnimationSpec(editingSpecId);
+  if (await getSelectedAnimation() === SPEC_ANIMATION_PREFIX + editingSpecId) {
+    await setAnimation(EmojiOverlay.DEFAULT_ANIMATION);
   }
+  await refreshSpecAnimations();
+  closeAnimationEditor();
+}
+
+async function refreshSpecAnimations() {
+  await loadSpecAnimations();
+  renderAnimationMenu();
+  await loadSelectedAnimation();
+  await notifyAnimationSpecsChanged();
 }
 
-function createBoringAnimation(content, isEmoji, isGiant = false) {
-  const particle = isEmoji ? document.createElement("div") : document.createElement("img");
+// ===== FAVORITES AND RECENT =====
+
+// Keys of the starred emojis, for drawing the star toggles
+let favoriteKeys = new Set();
+
+function setupFavorites() {
+  // Capture phase, so starring an emoji doesn't also fire it
+  document.getElementById('emojisSubmenu').addEventListener('click', (e) => {
+    const toggle = e.target.closest('.favorite-toggle');
+    if (!toggle) return;
+    e.stopPropagation();
+    toggleFavoriteEmoji(getEmojiRef(toggle.closest('button')));
+  }, true);
   
-  if (isEmoji) {
-    particle.textContent = content;
-  } else {
-    particle.src = content;
-  }
-  
-  const centerX = window.innerWidth / 2;
-  const centerY = window.innerHeight / 2;
-  const duration = 2500; // Animation duration in ms
-  const size = isGiant ? 30 : 10; // Giant is 3x normal size
-  
-  // Initial styles
-  const baseStyles = {
-    position: "fixed",
-    left: centerX + "px",
-    top: centerY + "px",
-    opacity: "1",
-    pointerEvents: "none",
-    zIndex: "999999",
-    transform: "translate(-50%, -50%)",
-    transition: "none"
-  };
+  // Recent changes with every fire, from here or from the background
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.favoriteEmojis || changes.recentReactions)) {
+      renderEmojiRows();
+    }
+  });
+}
+
+// The star is mouse-only and hidden from screen readers; keyboard users press F instead
+function addFavoriteToggle(button) {
+  if (button.querySelector('.favorite-toggle')) return;
+  const toggle = document.createElement('span');
+  toggle.className = 'favorite-toggle';
+  toggle.setAttribute('aria-hidden', 'true');
+  button.setAttribute('aria-keyshortcuts', 'F');
+  button.appendChild(toggle);
+  updateFavoriteToggle(toggle);
+}
+
+function updateFavoriteToggle(toggle) {
+  const isFavorite = favoriteKeys.has(emojiRefKey(getEmojiRef(toggle.closest('button'))));
+  toggle.textContent = isFavorite ? '★' : '☆';
+  toggle.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+}
+
+function updateFavoriteToggles() {
+  document.querySelectorAll('#emojisSubmenu .favorite-toggle').forEach(updateFavoriteToggle);
+}
+
+/**
+ * Build a button for an emoji reference, copying the grid's button for images
+ * @param {Object} ref - Emoji reference
+ * @returns {HTMLButtonElement|null} Null for custom emojis that have been deleted
+ */
+function createEmojiRefButton(ref) {
+  let button;
   
-  if (isEmoji) {
-    baseStyles.fontSize = size + "rem";
+  if (ref.kind === 'unicode') {
+    button = document.createElement('button');
+    button.dataset.type = 'emoji';
+    button.dataset.value = ref.value;
+    button.textContent = ref.value;
   } else {
-    baseStyles.width = (size * 20) + "px"; // Convert rem-like size to pixels for images
-    baseStyles.height = (size * 20) + "px";
+    const selector = ref.kind === 'custom'
+      ? `#emojiGrid button[data-id="${CSS.escape(ref.id)}"]`
+      : `#emojiGrid button[data-src="${CSS.escape(ref.src)}"]`;
+    const source = document.querySelector(selector);
+    if (!source) return null;
+    button = source.cloneNode(true);
   }
   
-  Object.assign(particle.style, baseStyles);
-  document.body.appendChild(particle);
+  addFavoriteToggle(button);
+  button.addEventListener('click', () => {
+    handleEmojiClick(getEmojiRef(button));
+  });
+  return button;
+}
+
+function renderEmojiRow(containerId, refs, emptyText) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
   
-  // Animate fade out
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-    // Fade out in the last 30% of animation
-    const opacity = progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1;
-    particle.style.opacity = opacity;
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-  setTimeout(() => particle.remove(), duration);
+  refs.forEach(ref => {
+    const button = createEmojiRefButton(ref);
+    if (button) container.appendChild(button);
+  });
+  
+  if (!container.firstChild) {
+    const empty = document.createElement('div');
+    empty.className = 'emoji-row-empty';
+    empty.textContent = emptyText;
+    container.appendChild(empty);
+  }
 }
 
-function createDriveAnimation(content, isEmoji) {
-  const particleCount = 25;
-  const duration = 3000; // Animation duration in ms
+async function renderEmojiRows() {
+  const [favorites, recent] = await Promise.all([getFavoriteEmojis(), getRecentReactions()]);
+  favoriteKeys = new Set(favorites.map(emojiRefKey));
   
-  for (let i = 0; i < particleCount; i++) {
-    const particle = isEmoji ? document.createElement("div") : document.createElement("img");
-    
-    if (isEmoji) {
-      particle.textContent = content;
-    } else {
-      particle.src = content;
+  renderEmojiRow('favoritesRowItems', favorites, 'Star an emoji to pin it here');
+  renderEmojiRow('recentRowItems', recent, 'Emojis you fire show up here');
+  updateFavoriteToggles();
+}
+
+// ===== KEYBOARD NAVIGATION =====
+
+const EMOJI_GRID_SELECTOR = '.emoji-grid, .picker-grid';
+
+// Menu headers and submenu items are divs; let Tab reach them and Enter or Space click them
+function makeKeyboardClickable(element) {
+  element.setAttribute('role', 'button');
+  element.tabIndex = 0;
+  element.addEventListener('keydown', (e) => {
+    if (e.target === element && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      element.click();
     }
-    
-    // Random starting position on the left side, off-screen
-    const startX = -150;
-    const startY = Math.random() * window.innerHeight;
-    
-    // Random velocity (how fast they move right)
-    const velocity = 300 + Math.random() * 400; // pixels per second
-    
-    // Random size variation
-    const size = isEmoji ? (3 + Math.random() * 4) : (60 + Math.random() * 80);
-    
-    // Initial styles
-    const baseStyles = {
-            position: "fixed",
-            left: startX + "px",
-      top: startY + "px",
-            opacity: "1",
-            pointerEvents: "none",
-            zIndex: "999999",
-            transform: "translate(-50%, -50%)",
-            transition: "none"
-    };
-    
-    if (isEmoji) {
-      baseStyles.fontSize = size + "rem";
-    } else {
-      baseStyles.width = size + "px";
-      baseStyles.height = size + "px";
+  });
+}
+
+// Arrow keys move focus between the emojis of a grid, Home and End jump to its ends
+// and F stars or unstars the focused emoji
+function setupGridNavigation() {
+  document.getElementById('emojisSubmenu').addEventListener('keydown', (e) => {
+    const button = e.target.closest('button[data-type]');
+    const grid = button && button.closest(EMOJI_GRID_SELECTOR);
+    if (!grid || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    if (e.key === 'f' || e.key === 'F') {
+      e.preventDefault();
+      toggleFavoriteEmoji(getEmojiRef(button));
+      return;
     }
+
+    const buttons = Array.from(grid.querySelectorAll('button[data-type]'));
+    const target = getGridNeighbor(buttons, buttons.indexOf(button), e.key);
+    if (!target) return;
+
+    e.preventDefault();
+    target.focus();
+    target.scrollIntoView({ block: 'nearest' });
+  });
+}
+
+/**
+ * Find the emoji an arrow key moves to
+ * Grids wrap with the popup width, so up and down pick the closest emoji by position
+ * in the row above or below rather than counting columns.
+ * @param {HTMLButtonElement[]} buttons - The grid's emojis in order
+ * @param {number} index - The focused emoji
+ * @param {string} key - KeyboardEvent.key
+ * @returns {HTMLButtonElement|null} Null for keys that don't move, or at the edges
+ */
+function getGridNeighbor(buttons, index, key) {
+  if (key === 'ArrowLeft') return buttons[index - 1] || null;
+  if (key === 'ArrowRight') return buttons[index + 1] || null;
+  if (key === 'Home') return buttons[0];
+  if (key === 'End') return buttons[buttons.length - 1];
+  if (key !== 'ArrowUp' && key !== 'ArrowDown') return null;
+
+  const rects = buttons.map(button => button.getBoundingClientRect());
+  const current = rects[index];
+  const down = key === 'ArrowDown';
+  const centerX = rect => rect.left + rect.width / 2;
+
+  // The nearest row in that direction, then the emoji in it closest to this column
+  let best = null;
+  rects.forEach((rect, i) => {
+    const rowDistance = down ? rect.top - current.top : current.top - rect.top;
+    if (rowDistance < current.height / 2) return;
+    const columnDistance = Math.abs(centerX(rect) - centerX(current));
+    if (!best || rowDistance < best.rowDistance - 1 ||
+        (Math.abs(rowDistance - best.rowDistance) <= 1 && columnDistance < best.columnDistance)) {
+      best = { index: i, rowDistance, columnDistance };
+    }
+  });
+  return best ? buttons[best.index] : null;
+}
+
+// ===== UNICODE PICKER =====
+
+const PICKER_CHUNK_SIZE = 48; // Emojis rendered at a time as the picker grid scrolls
+
+let pickerCategoryIndex = 0;
+let pickerChunkObserver = null;
+
+// Render the picker the first time it scrolls into view, so opening the popup stays fast
+function setupUnicodePicker() {
+  const picker = document.getElementById('unicodePicker');
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      observer.disconnect();
+      renderUnicodePicker();
+    }
+  });
+  observer.observe(picker);
+  
+  document.getElementById('pickerGender').addEventListener('change', (e) => {
+    saveEmojiPreference('gender', e.target.value);
+  });
+}
+
+async function saveEmojiPreference(key, value) {
+  const preferences = await getEmojiPreferences();
+  preferences[key] = value;
+  await chrome.storage.local.set({ emojiPreferences: preferences });
+  await renderUnicodePicker();
+  filterEmojis(); // Search results use the same variants
+}
+
+async function renderUnicodePicker() {
+  let data;
+  try {
+    data = await loadEmojiPickerData();
+  } catch (error) {
+    console.error('Error loading emoji picker:', error);
+    return;
+  }
+  const preferences = await getEmojiPreferences();
+  
+  const tones = document.getElementById('pickerTones');
+  tones.innerHTML = '';
+  EMOJI_SKIN_TONES.forEach((tone, index) => {
+    const button = document.createElement('button');
+    button.textContent = tone;
+    button.title = index === 0 ? 'Default skin tone' : `Skin tone ${index}`;
+    button.classList.toggle('selected', index === preferences.skinTone);
+    button.addEventListener('click', () => saveEmojiPreference('skinTone', index));
+    tones.appendChild(button);
+  });
+  document.getElementById('pickerGender').value = preferences.gender;
+  
+  const tabs = document.getElementById('pickerTabs');
+  tabs.innerHTML = '';
+  data.categories.forEach((category, index) => {
+    const button = document.createElement('button');
+    button.textContent = category.icon;
+    button.title = category.name;
+    button.classList.toggle('selected', index === pickerCategoryIndex);
+    button.addEventListener('click', () => {
+      pickerCategoryIndex = index;
+      renderUnicodePicker();
+    });
+    tabs.appendChild(button);
+  });
+  
+  renderPickerCategory(data.categories[pickerCategoryIndex], preferences);
+}
+
+// Render a category a chunk at a time; the next chunk loads when the end scrolls into view
+function renderPickerCategory(category, preferences) {
+  const grid = document.getElementById('pickerGrid');
+  grid.innerHTML = '';
+  grid.scrollTop = 0;
+  
+  if (pickerChunkObserver) pickerChunkObserver.disconnect();
+  
+  const sentinel = document.createElement('div');
+  let rendered = 0;
+  
+  const renderChunk = () => {
+    if (!sentinel.isConnected) return; // The grid has moved on to another category
     
-    Object.assign(particle.style, baseStyles);
-          document.body.appendChild(particle);
-    
-    // Animate particle moving left to right
-    const startTime = Date.now();
+    category.emojis.slice(rendered, rendered + PICKER_CHUNK_SIZE).forEach(entry => {
+      const emoji = resolveEmojiVariant(entry, preferences);
+      const button = document.createElement('button');
+      button.dataset.type = 'emoji';
+      button.dataset.value = emoji;
+      button.textContent = emoji;
+      addFavoriteToggle(button);
+      button.addEventListener('click', () => {
+        handleEmojiClick(getEmojiRef(button));
+      });
+      grid.insertBefore(button, sentinel);
+    });
+    rendered += PICKER_CHUNK_SIZE;
     
-    function animate() {
-      const elapsed = (Date.now() - startTime) / 1000;
-      const progress = elapsed / (duration / 1000);
-      
-      if (progress >= 1) return;
-      
-      const x = startX + velocity * elapsed;
-      
-      // Fade out near the right edge
-      const screenWidth = window.innerWidth;
-      const fadeStart = screenWidth * 0.8;
-      const opacity = x > fadeStart ? 1 - ((x - fadeStart) / (screenWidth * 0.2)) : 1;
-      
-      particle.style.left = x + "px";
-      particle.style.transform = `translate(-50%, -50%)`;
-      particle.style.opacity = Math.max(0, opacity);
-      
-      requestAnimationFrame(animate);
+    if (rendered >= category.emojis.length) {
+      observer.disconnect();
+      sentinel.remove();
     }
-    
-    requestAnimationFrame(animate);
-          setTimeout(() => particle.remove(), duration);
-        }
+  };
+  
+  grid.appendChild(sentinel);
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) renderChunk();
+  }, { root: grid, rootMargin: '60px' });
+  observer.observe(sentinel);
+  pickerChunkObserver = observer;
+}
+
+// ===== EMOJI EDITOR =====
+
+// Custom emoji being edited, and the replacement image picked for it
+let editingImageId = null;
+let replacementImage = null;
+let emojiEditorPreviewURL = null;
+
+function setupEmojiEditorListeners() {
+  document.getElementById('emojiReplaceBtn').addEventListener('click', () => {
+    document.getElementById('emojiReplaceInput').click();
+  });
+  document.getElementById('emojiReplaceInput').addEventListener('change', handleReplaceImageSelect);
+  document.getElementById('emojiEditorSave').addEventListener('click', handleSaveEmojiEdits);
+  document.getElementById('emojiEditorCancel').addEventListener('click', closeEmojiEditor);
+  
+  const playbackSelect = document.getElementById('emojiEditorPlayback');
+  Object.entries(IMAGE_PLAYBACK_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    playbackSelect.appendChild(option);
+  });
+  setupSpriteFields('emojiEditorSprite', () => showEmojiEditorError(''));
+  
+  document.getElementById('emojiEditorName').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleSaveEmojiEdits();
+    }
+  });
+  
+  document.getElementById('emojiEditorModal').addEventListener('click', (e) => {
+    if (e.target.id === 'emojiEditorModal') {
+      closeEmojiEditor();
+    }
+  });
+}
+
+function setEmojiEditorPreview(blob) {
+  if (emojiEditorPreviewURL) URL.revokeObjectURL(emojiEditorPreviewURL);
+  emojiEditorPreviewURL = URL.createObjectURL(blob);
+  document.getElementById('emojiEditorImage').src = emojiEditorPreviewURL;
+}
+
+async function openEmojiEditor(imageId) {
+  const image = await getImage(imageId);
+  if (!image) {
+    alert('This emoji no longer exists.');
+    await loadCustomImages();
+    return;
+  }
+  if (image.objectURL) URL.revokeObjectURL(image.objectURL);
+  
+  editingImageId = imageId;
+  replacementImage = null;
+  setEmojiEditorPreview(image.blob);
+  document.getElementById('emojiEditorName').value = image.name;
+  document.getElementById('emojiEditorTags').value = image.tags.join(', ');
+  document.getElementById('emojiEditorDescription').value = image.description;
+  document.getElementById('emojiEditorPlayback').value = image.playback;
+  fillSpriteFields('emojiEditorSprite', image.sprite);
+  showEmojiEditorError('');
+  document.getElementById('emojiEditorModal').style.display = 'flex';
+  document.getElementById('emojiEditorName').focus();
+}
+
+function closeEmojiEditor() {
+  document.getElementById('emojiEditorModal').style.display = 'none';
+  if (emojiEditorPreviewURL) URL.revokeObjectURL(emojiEditorPreviewURL);
+  emojiEditorPreviewURL = null;
+  editingImageId = null;
+  replacementImage = null;
+}
+
+function showEmojiEditorError(message) {
+  const messageDiv = document.getElementById('emojiEditorMessage');
+  messageDiv.textContent = message;
+  messageDiv.className = message ? 'modal-message error' : 'modal-message';
+}
+
+async function handleReplaceImageSelect(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  // Reset file input
+  event.target.value = '';
+  
+  const validation = validateImageFile(file);
+  if (!validation.valid) {
+    showEmojiEditorError(validation.message);
+    return;
+  }
+  if (validation.large && !confirm('This file is quite large (>5MB). Continue?')) {
+    return;
+  }
+  
+  // A replacement sprite sheet is scaled per frame
+  const { sprite } = readSpriteFields('emojiEditorSprite');
+  const imageId = editingImageId;
+  let blob;
+  try {
+    blob = await processImage(file, { ...await getImageSettings(), grid: sprite });
+  } catch (error) {
+    showEmojiEditorError(error.message);
+    return;
+  }
+  if (imageId !== editingImageId) return; // The editor was closed meanwhile
+  
+  replacementImage = blob;
+  setEmojiEditorPreview(blob);
+  showEmojiEditorError('');
+}
+
+async function handleSaveEmojiEdits() {
+  const name = document.getElementById('emojiEditorName').value.trim();
+  if (!name) {
+    showEmojiEditorError('Please enter a name.');
+    return;
+  }
+  
+  // Unique, non-empty tags in the order they were typed
+  const tags = [...new Set(document.getElementById('emojiEditorTags').value.split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean))];
+  const description = document.getElementById('emojiEditorDescription').value.trim();
+  
+  const { enabled: isSprite, sprite } = readSpriteFields('emojiEditorSprite');
+  if (isSprite && !sprite) {
+    showEmojiEditorError(SPRITE_FIELDS_ERROR);
+    return;
+  }
+  
+  try {
+    await updateImage(editingImageId, {
+      name,
+      tags,
+      description,
+      sprite,
+      playback: document.getElementById('emojiEditorPlayback').value,
+      ...(replacementImage && { blob: replacementImage })
+    });
+  } catch (error) {
+    showEmojiEditorError(error.message.includes('quota')
+      ? 'Storage quota exceeded. Please delete some custom images first.'
+      : 'Error saving emoji: ' + error.message);
+    return;
+  }
+  
+  closeEmojiEditor();
+  await loadCustomImages();
+  filterEmojis(); // Search results are copies of the grid, so rebuild them too
+}
+
+// ===== UPLOAD CROP =====
+
+const CROP_AREA_SIZE = 160; // Matches .crop-area in popup.html
+
+// The upload being cropped, its prepared canvas, and the square to keep in canvas pixels
+let cropFile = null;
+let cropSource = null;
+let cropRect = null;
+let cropScale = 1; // Preview px per canvas px
+
+function setupCropListeners() {
+  const maxSizeSelect = document.getElementById('imageMaxSize');
+  IMAGE_MAX_SIZES.forEach(size => {
+    const option = document.createElement('option');
+    option.value = size;
+    option.textContent = `${size}px`;
+    maxSizeSelect.appendChild(option);
+  });
+
+  document.getElementById('cropBack').addEventListener('click', closeModal);
+  document.getElementById('cropSubmit').addEventListener('click', handleCropSubmit);
+  document.getElementById('cropEnabled').addEventListener('change', updateCropBox);
+  document.getElementById('cropSize').addEventListener('input', handleCropSizeChange);
+
+  document.getElementById('imageTrim').addEventListener('change', (e) => {
+    saveImageSetting('trim', e.target.checked);
+    loadCropSource();
+  });
+
+  // Sprite sheets are kept whole: no crop and no trim, which would shift the frame grid
+  setupSpriteFields('cropSprite', (e) => {
+    if (e.target.id === 'cropSpriteEnabled' && document.getElementById('imageTrim').checked) {
+      loadCropSource();
+    } else {
+      drawCropPreview();
+    }
+  });
+  maxSizeSelect.addEventListener('change', (e) => {
+    saveImageSetting('maxSize', Number(e.target.value));
+  });
+  document.getElementById('imageWebp').addEventListener('change', (e) => {
+    saveImageSetting('format', e.target.checked ? 'webp' : 'png');
+  });
+
+  // Drag the crop square around the preview
+  const cropBox = document.getElementById('cropBox');
+  cropBox.addEventListener('pointerdown', (e) => {
+    if (!cropRect) return;
+    cropBox.setPointerCapture(e.pointerId);
+    const start = { clientX: e.clientX, clientY: e.clientY, x: cropRect.x, y: cropRect.y };
+
+    const handleMove = (moveEvent) => {
+      moveCropRect(
+        start.x + (moveEvent.clientX - start.clientX) / cropScale,
+        start.y + (moveEvent.clientY - start.clientY) / cropScale
+      );
+    };
+    const handleUp = () => {
+      cropBox.removeEventListener('pointermove', handleMove);
+      cropBox.removeEventListener('pointerup', handleUp);
+      cropBox.removeEventListener('pointercancel', handleUp);
+    };
+    cropBox.addEventListener('pointermove', handleMove);
+    cropBox.addEventListener('pointerup', handleUp);
+    cropBox.addEventListener('pointercancel', handleUp);
+  });
+}
+
+async function saveImageSetting(key, value) {
+  const settings = await getImageSettings();
+  settings[key] = value;
+  await chrome.storage.local.set({ imageSettings: settings });
+}
+
+async function showCropStep(file) {
+  cropFile = file;
+  const settings = await getImageSettings();
+  document.getElementById('cropEnabled').checked = true;
+  document.getElementById('cropSize').value = 100;
+  document.getElementById('imageTrim').checked = settings.trim;
+  document.getElementById('imageMaxSize').value = settings.maxSize;
+  document.getElementById('imageWebp').checked = settings.format === 'webp';
+  fillSpriteFields('cropSprite', null);
+
+  hideAllModalSteps();
+  document.getElementById('cropInput').style.display = 'block';
+  focusModalStep('cropInput');
+  clearCropModalMessage();
+  await loadCropSource();
+}
+
+// Decode (and maybe trim) the upload, draw it into the preview and reset the crop square
+async function loadCropSource() {
+  cropSource = null;
+  cropRect = null;
+  document.getElementById('cropSubmit').disabled = true;
+
+  const file = cropFile;
+  const trim = document.getElementById('imageTrim').checked && !document.getElementById('cropSpriteEnabled').checked;
+  let source;
+  try {
+    source = await prepareImage(file, { trim });
+  } catch (error) {
+    showCropModalError(error.message);
+    updateCropBox();
+    return;
+  }
+  if (file !== cropFile) return; // The modal was closed while decoding
+
+  cropSource = source;
+  cropScale = Math.min(CROP_AREA_SIZE / source.width, CROP_AREA_SIZE / source.height);
+
+  const size = Math.round(Math.min(source.width, source.height) * document.getElementById('cropSize').value / 100);
+  cropRect = { x: 0, y: 0, size };
+  drawCropPreview();
+  moveCropRect((source.width - size) / 2, (source.height - size) / 2);
+  document.getElementById('cropSubmit').disabled = false;
+}
+
+// Draw the prepared upload into the preview, with the frame grid over sprite sheets
+function drawCropPreview() {
+  updateCropBox();
+  if (!cropSource) return;
+
+  const canvas = document.getElementById('cropCanvas');
+  canvas.width = Math.max(1, Math.round(cropSource.width * cropScale));
+  canvas.height = Math.max(1, Math.round(cropSource.height * cropScale));
+  canvas.style.left = `${(CROP_AREA_SIZE - canvas.width) / 2}px`;
+  canvas.style.top = `${(CROP_AREA_SIZE - canvas.height) / 2}px`;
+
+  const context = canvas.getContext('2d');
+  context.drawImage(cropSource, 0, 0, canvas.width, canvas.height);
+
+  const { sprite } = readSpriteFields('cropSprite');
+  if (!sprite) return;
+
+  context.strokeStyle = '#4CAF50';
+  context.beginPath();
+  for (let column = 1; column < sprite.columns; column++) {
+    const x = Math.round(canvas.width * column / sprite.columns) + 0.5;
+    context.moveTo(x, 0);
+    context.lineTo(x, canvas.height);
+  }
+  for (let row = 1; row < sprite.rows; row++) {
+    const y = Math.round(canvas.height * row / sprite.rows) + 0.5;
+    context.moveTo(0, y);
+    context.lineTo(canvas.width, y);
+  }
+  context.stroke();
+}
+
+// Move the crop square, keeping it inside the image
+function moveCropRect(x, y) {
+  cropRect.x = Math.round(Math.min(Math.max(x, 0), cropSource.width - cropRect.size));
+  cropRect.y = Math.round(Math.min(Math.max(y, 0), cropSource.height - cropRect.size));
+  updateCropBox();
+}
+
+// Resize the crop square around its center
+function handleCropSizeChange(e) {
+  if (!cropRect) return;
+  const size = Math.max(1, Math.round(Math.min(cropSource.width, cropSource.height) * e.target.value / 100));
+  const centerX = cropRect.x + cropRect.size / 2;
+  const centerY = cropRect.y + cropRect.size / 2;
+  cropRect.size = size;
+  moveCropRect(centerX - size / 2, centerY - size / 2);
+}
+
+function updateCropBox() {
+  const isSprite = document.getElementById('cropSpriteEnabled').checked;
+  const enabled = document.getElementById('cropEnabled').checked && !isSprite;
+  const cropBox = document.getElementById('cropBox');
+  document.getElementById('cropEnabled').disabled = isSprite;
+  document.getElementById('imageTrim').disabled = isSprite;
+  document.getElementById('cropSize').disabled = !enabled;
+
+  if (!enabled || !cropRect) {
+    cropBox.style.display = 'none';
+    return;
+  }
+
+  const canvas = document.getElementById('cropCanvas');
+  cropBox.style.display = 'block';
+  cropBox.style.left = `${(CROP_AREA_SIZE - canvas.width) / 2 + cropRect.x * cropScale}px`;
+  cropBox.style.top = `${(CROP_AREA_SIZE - canvas.height) / 2 + cropRect.y * cropScale}px`;
+  cropBox.style.width = cropBox.style.height = `${cropRect.size * cropScale}px`;
+}
+
+async function handleCropSubmit() {
+  if (!cropSource) return;
+
+  const { enabled: isSprite, sprite } = readSpriteFields('cropSprite');
+  if (isSprite && !sprite) {
+    showCropModalError(SPRITE_FIELDS_ERROR);
+    return;
+  }
+
+  try {
+    pendingFile = await exportImage(cropSource, {
+      crop: !isSprite && document.getElementById('cropEnabled').checked ? cropRect : null,
+      grid: sprite,
+      maxSize: Number(document.getElementById('imageMaxSize').value),
+      format: document.getElementById('imageWebp').checked ? 'webp' : 'png'
+    });
+  } catch (error) {
+    showCropModalError('Error processing image: ' + error.message);
+    return;
+  }
+
+  pendingSprite = sprite;
+  clearCropState();
+  showNameInputStep();
+}
+
+function clearCropState() {
+  cropFile = null;
+  cropSource = null;
+  cropRect = null;
+}
+
+function showCropModalError(message) {
+  const messageDiv = document.getElementById('cropModalMessage');
+  messageDiv.textContent = message;
+  messageDiv.className = 'modal-message error';
+}
+
+function clearCropModalMessage() {
+  const messageDiv = document.getElementById('cropModalMessage');
+  messageDiv.textContent = '';
+  messageDiv.className = 'modal-message';
+}
+
+// ===== SPRITE SHEETS =====
+
+// The crop step and the emoji editor share the sprite sheet fields; their ids start
+// with 'cropSprite' and 'emojiEditorSprite'
+
+const SPRITE_FIELDS_ERROR = 'Sprite sheets need 1-64 columns and rows, at most columns × rows frames, and 1-60 FPS.';
+
+function setupSpriteFields(prefix, onChange) {
+  const checkbox = document.getElementById(`${prefix}Enabled`);
+  checkbox.addEventListener('change', (e) => {
+    document.getElementById(`${prefix}Fields`).style.display = checkbox.checked ? 'grid' : 'none';
+    onChange(e);
+  });
+  ['Columns', 'Rows', 'Frames', 'Fps'].forEach(field => {
+    document.getElementById(prefix + field).addEventListener('input', onChange);
+  });
+}
+
+function fillSpriteFields(prefix, sprite) {
+  document.getElementById(`${prefix}Enabled`).checked = Boolean(sprite);
+  document.getElementById(`${prefix}Fields`).style.display = sprite ? 'grid' : 'none';
+  document.getElementById(`${prefix}Columns`).value = sprite ? sprite.columns : 4;
+  document.getElementById(`${prefix}Rows`).value = sprite ? sprite.rows : 1;
+  // An empty frame count means the whole grid
+  document.getElementById(`${prefix}Frames`).value = sprite && sprite.frames < sprite.columns * sprite.rows ? sprite.frames : '';
+  document.getElementById(`${prefix}Fps`).value = sprite ? sprite.fps : 12;
+}
+
+/**
+ * Read the sprite sheet fields
+ * @param {string} prefix - 'cropSprite' or 'emojiEditorSprite'
+ * @returns {{enabled: boolean, sprite: Object|null}} `sprite` is null when the checkbox is
+ *   off or the numbers are out of range
+ */
+function readSpriteFields(prefix) {
+  if (!document.getElementById(`${prefix}Enabled`).checked) {
+    return { enabled: false, sprite: null };
+  }
+
+  return {
+    enabled: true,
+    sprite: normalizeSpriteSheet({
+      columns: document.getElementById(`${prefix}Columns`).value,
+      rows: document.getElementById(`${prefix}Rows`).value,
+      frames: document.getElementById(`${prefix}Frames`).value,
+      fps: document.getElementById(`${prefix}Fps`).value
+    })
+  };
+}
+
+// ===== KEYBOARD SHORTCUTS =====
+
+/**
+ * Every emoji the shortcut, sequence and sound selects offer, grouped like the rule
+ * editor on the options page, followed by the built-in images and the picker's
+ * categories in the preferred skin tone and gender
+ * @returns {Promise<Array<{label: string, options: Array<{ref: Object, label: string}>}>>}
+ */
+async function getEmojiOptions() {
+  const [favorites, recent, images, pickerData, preferences] = await Promise.all([
+    getFavoriteEmojis(),
+    getRecentReactions(),
+    getAllImages(),
+    loadEmojiPickerData().catch(() => ({ categories: [] })),
+    getEmojiPreferences()
+  ]);
+  images.forEach(image => image.objectURL && URL.revokeObjectURL(image.objectURL));
+  const imageNames = new Map(images.map(({ id, name }) => [id, name]));
+
+  const groups = [
+    ['Favorites', favorites],
+    ['Recent', recent],
+    ['Custom emojis', images.map(({ id }) => ({ kind: 'custom', id }))],
+    ['Built-in', BUILTIN_EMOJI_SRCS.map(src => ({ kind: 'builtin', src }))],
+    ...pickerData.categories.map(({ name, emojis }) => [
+      name,
+      emojis.map(entry => ({ kind: 'unicode', value: resolveEmojiVariant(entry, preferences) }))
+    ])
+  ];
+
+  const seen = new Set();
+  return groups.map(([label, refs]) => ({
+    label,
+    options: refs.filter(ref => {
+      const key = emojiRefKey(ref);
+      // Favorites and recent reactions may point at custom images deleted since
+      if (seen.has(key) || (ref.kind === 'custom' && !imageNames.has(ref.id))) return false;
+      seen.add(key);
+      return true;
+    }).map(ref => ({
+      ref,
+      label: ref.kind === 'custom' ? imageNames.get(ref.id) : getUnlistedEmojiLabel(ref)
+    }))
+  })).filter(group => group.options.length > 0);
+}
+
+// Options for a select of emoji groups; records each option's reference in refs by key
+function getEmojiSelectOptions(groups, refs) {
+  return groups.map(({ label, options }) => ({
+    label,
+    options: options.map(({ ref, label }) => {
+      refs.set(emojiRefKey(ref), ref);
+      return { value: emojiRefKey(ref), label };
+    })
+  }));
+}
+
+// Whether a select built from getEmojiSelectOptions() offers the emoji with this key
+function hasEmojiOption(groups, key) {
+  return groups.some(group => group.options.some(option => option.value === key));
+}
+
+// Label for a saved emoji missing from getEmojiOptions(), such as a deleted custom image
+function getUnlistedEmojiLabel(ref) {
+  if (ref.kind === 'unicode') return ref.value;
+  if (ref.kind === 'builtin') return getBuiltinEmojiName(ref.src);
+  return 'Deleted emoji';
+}
+
+// Options are { value, label }, or { label, options } for an <optgroup> of them
+function createSelect(options, selectedValue) {
+  const select = document.createElement('select');
+  const addOptions = (parent, items) => items.forEach(item => {
+    if (item.options) {
+      const group = document.createElement('optgroup');
+      group.label = item.label;
+      addOptions(group, item.options);
+      parent.appendChild(group);
+      return;
+    }
+    const option = document.createElement('option');
+    option.value = item.value;
+    option.textContent = item.label;
+    parent.appendChild(option);
+  });
+  addOptions(select, options);
+  select.value = selectedValue;
+  return select;
+}
+
+async function saveShortcutSlot(index, slot) {
+  const slots = await getShortcutSlots();
+  slots[index] = slot;
+  await chrome.storage.local.set({ shortcutSlots: slots });
+}
+
+// Render one row per `fire-favorite-N` command with its emoji and animation selects
+async function renderShortcutSettings() {
+  const container = document.getElementById('shortcutSlots');
+  const [slots, commands] = await Promise.all([getShortcutSlots(), chrome.commands.getAll()]);
+  const shortcutKeys = Object.fromEntries(commands.map(command => [command.name, command.shortcut]));
+
+  const refsByKey = new Map();
+  const emojiOptions = [
+    { value: '', label: 'No emoji' },
+    ...getEmojiSelectOptions(await getEmojiOptions(), refsByKey)
+  ];
+
+  const animationOptions = [
+    { value: '', label: 'Selected animation' },
+    ...EmojiOverlay.listAnimations().map(({ name, label }) => ({ value: name, label }))
+  ];
+
+  container.innerHTML = '';
+
+  slots.forEach((slot, index) => {
+    const row = document.createElement('div');
+    row.className = 'shortcut-slot';
+
+    const header = document.createElement('div');
+    header.className = 'shortcut-slot-header';
+    const title = document.createElement('span');
+    title.textContent = `Favorite ${index + 1}`;
+    const key = document.createElement('span');
+    key.className = 'shortcut-key';
+    key.textContent = shortcutKeys[`fire-favorite-${index + 1}`] || 'No key set';
+    header.appendChild(title);
+    header.appendChild(key);
+
+    // Keep slots pointing at emojis that aren't offered, such as deleted custom ones, visible
+    const slotOptions = [...emojiOptions];
+    const slotKey = slot.emoji ? emojiRefKey(slot.emoji) : '';
+    if (slotKey && !refsByKey.has(slotKey)) {
+      slotOptions.push({ value: slotKey, label: getUnlistedEmojiLabel(slot.emoji) });
+    }
+
+    const emojiSelect = createSelect(slotOptions, slotKey);
+    const animationSelect = createSelect(animationOptions, slot.animation || '');
+
+    const saveSlot = () => saveShortcutSlot(index, {
+      emoji: emojiSelect.value ? (refsByKey.get(emojiSelect.value) || slot.emoji) : null,
+      animation: animationSelect.value || null
+    });
+    emojiSelect.addEventListener('change', saveSlot);
+    animationSelect.addEventListener('change', saveSlot);
+
+    const selects = document.createElement('div');
+    selects.className = 'shortcut-selects';
+    selects.appendChild(emojiSelect);
+    selects.appendChild(animationSelect);
+
+    row.appendChild(header);
+    row.appendChild(selects);
+    container.appendChild(row);
+  });
+}
+
+// ===== SEQUENCES =====
+
+const DEFAULT_SEQUENCE_DELAY = 800; // ms, for steps added in the editor
+
+// Id of the sequence being edited, null for a new one, the emoji references behind
+// the step selects, by emojiRefKey(), and the options those selects share
+let editingSequenceId = null;
+const sequenceStepRefs = new Map();
+let sequenceEmojiOptions = [];
+
+// List saved sequences; clicking one fires it in the current tab
+async function renderSequenceMenu() {
+  const submenu = document.getElementById('sequencesSubmenu');
+  const sequences = await getAllSequences();
+  submenu.innerHTML = '';
+
+  sequences.forEach(sequence => {
+    const item = document.createElement('div');
+    item.className = 'submenu-item';
+    makeKeyboardClickable(item);
+
+    const labelSpan = document.createElement('span');
+    labelSpan.textContent = sequence.name;
+
+    const actions = document.createElement('span');
+    actions.className = 'animation-item-actions';
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'tune-btn';
+    editBtn.title = `Edit ${sequence.name}`;
+    editBtn.textContent = '✎';
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openSequenceEditor(sequence);
+    });
+
+    actions.appendChild(editBtn);
+    item.appendChild(labelSpan);
+    item.appendChild(actions);
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      fireSequence(sequence);
+    });
+    submenu.appendChild(item);
+  });
+
+  const newItem = document.createElement('div');
+  newItem.className = 'submenu-item new-animation-item';
+  newItem.textContent = '+ New sequence';
+  makeKeyboardClickable(newItem);
+  newItem.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openSequenceEditor();
+  });
+  submenu.appendChild(newItem);
+}
+
+function setupSequenceEditorListeners() {
+  document.getElementById('sequenceAddStepBtn').addEventListener('click', () => {
+    addSequenceStepRow({ ref: null, animation: null, delay: DEFAULT_SEQUENCE_DELAY });
+  });
+  document.getElementById('sequencePlayBtn').addEventListener('click', handlePlaySequenceDraft);
+  document.getElementById('sequenceSaveBtn').addEventListener('click', handleSaveSequence);
+  document.getElementById('sequenceDeleteBtn').addEventListener('click', handleDeleteSequence);
+  document.getElementById('sequenceEditorCancel').addEventListener('click', closeSequenceEditor);
+
+  document.getElementById('sequenceEditorModal').addEventListener('click', (e) => {
+    if (e.target.id === 'sequenceEditorModal') {
+      closeSequenceEditor();
+    }
+  });
+}
+
+async function openSequenceEditor(sequence = null) {
+  sequenceStepRefs.clear();
+  sequenceEmojiOptions = getEmojiSelectOptions(await getEmojiOptions(), sequenceStepRefs);
+
+  editingSequenceId = sequence ? sequence.id : null;
+  document.getElementById('sequenceEditorTitle').textContent = sequence ? 'Edit Sequence' : 'New Sequence';
+  document.getElementById('sequenceDeleteBtn').style.display = sequence ? '' : 'none';
+  document.getElementById('sequenceNameField').value = sequence ? sequence.name : '';
+  document.getElementById('sequenceSteps').innerHTML = '';
+
+  const steps = sequence ? sequence.steps : [{ ref: null, animation: null, delay: 0 }];
+  steps.forEach(addSequenceStepRow);
+
+  showSequenceEditorError('');
+  document.getElementById('sequenceEditorModal').style.display = 'flex';
+  document.getElementById('sequenceNameField').focus();
+}
+
+function closeSequenceEditor() {
+  document.getElementById('sequenceEditorModal').style.display = 'none';
+  editingSequenceId = null;
+}
+
+function showSequenceEditorError(message) {
+  const messageDiv = document.getElementById('sequenceEditorMessage');
+  messageDiv.textContent = message;
+  messageDiv.className = message ? 'modal-message error' : 'modal-message';
+}
+
+// Renumber the step headers after a step is added or removed
+function updateSequenceStepTitles() {
+  document.querySelectorAll('#sequenceSteps .sequence-step').forEach((row, index) => {
+    row.querySelector('.sequence-step-title').textContent = `Step ${index + 1}`;
+  });
+}
+
+// One row per step: its delay, emoji and animation, in the same selects as the shortcut slots
+function addSequenceStepRow(step) {
+  const emojiOptions = [{ value: '', label: 'Pick an emoji' }, ...sequenceEmojiOptions];
+
+  // Keep steps pointing at emojis that aren't offered, such as deleted custom ones, visible
+  const stepKey = step.ref ? emojiRefKey(step.ref) : '';
+  if (stepKey && !hasEmojiOption(sequenceEmojiOptions, stepKey)) {
+    sequenceStepRefs.set(stepKey, step.ref);
+    emojiOptions.push({ value: stepKey, label: getUnlistedEmojiLabel(step.ref) });
+  }
+
+  const animationOptions = [
+    { value: '', label: 'Selected animation' },
+    ...EmojiOverlay.listAnimations().map(({ name, label }) => ({ value: name, label }))
+  ];
+
+  const row = document.createElement('div');
+  row.className = 'sequence-step';
+
+  const header = document.createElement('div');
+  header.className = 'sequence-step-header';
+  const title = document.createElement('span');
+  title.className = 'sequence-step-title';
+
+  const delayLabel = document.createElement('label');
+  const delayInput = document.createElement('input');
+  delayInput.type = 'number';
+  delayInput.className = 'sequence-step-delay';
+  delayInput.min = 0;
+  delayInput.step = 100;
+  delayInput.value = step.delay;
+  delayLabel.append('after ', delayInput, ' ms');
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'tune-btn';
+  removeBtn.title = 'Remove step';
+  removeBtn.textContent = '✕';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    updateSequenceStepTitles();
+  });
+
+  header.appendChild(title);
+  header.appendChild(delayLabel);
+  header.appendChild(removeBtn);
+
+  const emojiSelect = createSelect(emojiOptions, stepKey);
+  emojiSelect.className = 'sequence-step-emoji';
+  const animationSelect = createSelect(animationOptions, step.animation || '');
+  animationSelect.className = 'sequence-step-animation';
+  const selects = document.createElement('div');
+  selects.className = 'shortcut-selects';
+  selects.appendChild(emojiSelect);
+  selects.appendChild(animationSelect);
+
+  row.appendChild(header);
+  row.appendChild(selects);
+  document.getElementById('sequenceSteps').appendChild(row);
+  updateSequenceStepTitles();
+}
+
+/**
+ * Read and check the steps in the editor
+ * @returns {{steps: Array<Object>|null, error?: string}}
+ */
+function readSequenceSteps() {
+  const steps = Array.from(document.querySelectorAll('#sequenceSteps .sequence-step'), row => ({
+    ref: sequenceStepRefs.get(row.querySelector('.sequence-step-emoji').value) || null,
+    animation: row.querySelector('.sequence-step-animation').value || null,
+    delay: Math.max(0, Math.round(Number(row.querySelector('.sequence-step-delay').value) || 0))
+  }));
+  if (steps.length === 0) {
+    return { steps: null, error: 'Add at least one step.' };
+  }
+  if (steps.some(step => !step.ref)) {
+    return { steps: null, error: 'Pick an emoji for every step.' };
+  }
+  return { steps };
+}
+
+async function handlePlaySequenceDraft() {
+  const { steps, error } = readSequenceSteps();
+  showSequenceEditorError(error || '');
+  if (!steps) return;
+
+  if (!await fireSequence({ steps })) {
+    showSequenceEditorError('Cannot play the sequence on this page.');
+  }
+}
+
+async function handleSaveSequence() {
+  const name = document.getElementById('sequenceNameField').value.trim();
+  if (!name) {
+    showSequenceEditorError('Please enter a name.');
+    return;
+  }
+
+  const { steps, error } = readSequenceSteps();
+  showSequenceEditorError(error || '');
+  if (!steps) return;
+
+  try {
+    await saveSequence({ id: editingSequenceId || `sequence_${Date.now()}`, name, steps });
+  } catch (saveError) {
+    showSequenceEditorError('Error saving sequence: ' + saveError.message);
+    return;
+  }
+  closeSequenceEditor();
+  await renderSequenceMenu();
+}
+
+async function handleDeleteSequence() {
+  if (!editingSequenceId || !confirm('Delete this sequence?')) return;
+
+  await deleteSequence(editingSequenceId);
+  closeSequenceEditor();
+  await renderSequenceMenu();
+}
+
+// ===== SOUNDS =====
+
+// Emoji references behind the emoji sound selects, by emojiRefKey(), the options those
+// selects share, and the sound references and labels behind every sound select, by soundRefKey()
+const soundEmojiRefs = new Map();
+let soundEmojiOptions = [];
+const soundChoices = new Map();
+
+async function saveSoundSettings(changes) {
+  const settings = await getSoundSettings();
+  await chrome.storage.local.set({ soundSettings: { ...settings, ...changes } });
+}
+
+async function saveSoundAssignments(changes) {
+  const assignments = await getSoundAssignments();
+  await chrome.storage.local.set({ soundAssignments: { ...assignments, ...changes } });
+}
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab || null;
+}
+
+async function renderSoundSettings() {
+  const [settings, assignments, sounds, tab, emojiGroups] = await Promise.all([
+    getSoundSettings(),
+    getSoundAssignments(),
+    getAllSounds(),
+    getActiveTab(),
+    getEmojiOptions()
+  ]);
+
+  document.getElementById('soundMuted').checked = settings.muted;
+  document.getElementById('soundVolume').value = Math.round(settings.volume * 100);
+  document.getElementById('soundVolumeValue').textContent = `${Math.round(settings.volume * 100)}%`;
+
+  const host = tab && getSiteHost(tab.url);
+  const siteToggle = document.getElementById('soundSiteMuted');
+  siteToggle.disabled = !host;
+  siteToggle.dataset.host = host || '';
+  siteToggle.checked = Boolean(host) && isSoundSiteMuted(tab.url, settings.mutedSites);
+  document.getElementById('soundSiteLabel').textContent = host ? `Mute on ${host}` : 'Mute on this site';
+  renderMutedSites(settings.mutedSites);
+
+  soundChoices.clear();
+  EmojiOverlay.listSounds().forEach(({ name, label }) => {
+    soundChoices.set(soundRefKey({ kind: 'builtin', name }), { ref: { kind: 'builtin', name }, label });
+  });
+  sounds.forEach(({ id, name }) => {
+    soundChoices.set(soundRefKey({ kind: 'custom', id }), { ref: { kind: 'custom', id }, label: name });
+  });
+
+  document.getElementById('emojiSoundRows').innerHTML = '';
+  soundEmojiRefs.clear();
+  soundEmojiOptions = getEmojiSelectOptions(emojiGroups, soundEmojiRefs);
+  assignments.emojis.forEach(addEmojiSoundRow);
+
+  renderAnimationSounds(assignments.animations);
+  renderSoundLibrary();
+}
+
+function renderMutedSites(mutedSites) {
+  const list = document.getElementById('soundMutedSites');
+  list.innerHTML = '';
+
+  mutedSites.forEach(site => {
+    const item = document.createElement('div');
+    item.className = 'sound-item';
+    const label = document.createElement('span');
+    label.textContent = `Muted on ${site}`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'tune-btn';
+    removeBtn.title = `Unmute ${site}`;
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', async () => {
+      const settings = await getSoundSettings();
+      await saveSoundSettings({ mutedSites: settings.mutedSites.filter(item => item !== site) });
+      await renderSoundSettings();
+    });
+
+    item.appendChild(label);
+    item.appendChild(removeBtn);
+    list.appendChild(item);
+  });
+}
+
+// Muting adds the tab's hostname; unmuting also drops parent domains that cover it
+async function handleSiteMuteToggle(e) {
+  const host = e.target.dataset.host;
+  if (!host) return;
+
+  const settings = await getSoundSettings();
+  const mutedSites = e.target.checked
+    ? [...settings.mutedSites, host]
+    : settings.mutedSites.filter(site => host !== site && !host.endsWith('.' + site));
+  await saveSoundSettings({ mutedSites });
+  renderMutedSites(mutedSites);
+}
+
+function getSoundOptions() {
+  return [
+    { value: '', label: 'No sound' },
+    ...Array.from(soundChoices, ([value, { label }]) => ({ value, label }))
+  ];
+}
+
+// One row per emoji with a sound: its emoji and sound, saved as either changes
+function addEmojiSoundRow(entry) {
+  const emojiOptions = [{ value: '', label: 'Pick an emoji' }, ...soundEmojiOptions];
+
+  // Keep emojis that aren't offered, such as another skin tone of a picker emoji, selectable
+  const emojiKey = entry.emoji ? emojiRefKey(entry.emoji) : '';
+  if (emojiKey && !hasEmojiOption(soundEmojiOptions, emojiKey)) {
+    soundEmojiRefs.set(emojiKey, entry.emoji);
+    emojiOptions.push({ value: emojiKey, label: getUnlistedEmojiLabel(entry.emoji) });
+  }
+
+  const row = document.createElement('div');
+  row.className = 'sound-row emoji-sound-row';
+
+  const emojiSelect = createSelect(emojiOptions, emojiKey);
+  emojiSelect.className = 'emoji-sound-emoji';
+  const soundSelect = createSelect(getSoundOptions(), entry.sound ? soundRefKey(entry.sound) : '');
+  soundSelect.className = 'emoji-sound-sound';
+  emojiSelect.addEventListener('change', saveEmojiSounds);
+  soundSelect.addEventListener('change', saveEmojiSounds);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'tune-btn';
+  removeBtn.title = 'Remove';
+  removeBtn.textContent = '✕';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    saveEmojiSounds();
+  });
+
+  const selects = document.createElement('div');
+  selects.className = 'shortcut-selects';
+  selects.appendChild(emojiSelect);
+  selects.appendChild(soundSelect);
+  selects.appendChild(removeBtn);
+  row.appendChild(selects);
+  document.getElementById('emojiSoundRows').appendChild(row);
+}
+
+// Rows missing an emoji or a sound are left out until both are picked
+async function saveEmojiSounds() {
+  const emojis = Array.from(document.querySelectorAll('#emojiSoundRows .emoji-sound-row'), row => ({
+    emoji: soundEmojiRefs.get(row.querySelector('.emoji-sound-emoji').value) || null,
+    sound: soundChoices.get(row.querySelector('.emoji-sound-sound').value)?.ref || null
+  })).filter(entry => entry.emoji && entry.sound);
+
+  await saveSoundAssignments({ emojis });
+}
+
+function renderAnimationSounds(animationSounds) {
+  const container = document.getElementById('animationSoundRows');
+  container.innerHTML = '';
+
+  EmojiOverlay.listAnimations().forEach(({ name, label }) => {
+    const row = document.createElement('div');
+    row.className = 'sound-row';
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'sound-row-label';
+    labelSpan.textContent = label;
+
+    const soundRef = animationSounds[name];
+    const soundSelect = createSelect(getSoundOptions(), soundRef ? soundRefKey(soundRef) : '');
+    soundSelect.addEventListener('change', async () => {
+      const { animations } = await getSoundAssignments();
+      const choice = soundChoices.get(soundSelect.value);
+      if (choice) {
+        animations[name] = choice.ref;
+      } else {
+        delete animations[name];
+      }
+      await saveSoundAssignments({ animations });
+    });
+
+    const selects = document.createElement('div');
+    selects.className = 'shortcut-selects';
+    selects.appendChild(labelSpan);
+    selects.appendChild(soundSelect);
+    row.appendChild(selects);
+    container.appendChild(row);
+  });
+}
+
+// Built-in and uploaded sounds, with a preview button each and a delete button for uploads
+function renderSoundLibrary() {
+  const list = document.getElementById('soundList');
+  list.innerHTML = '';
+
+  soundChoices.forEach(({ ref, label }) => {
+    const item = document.createElement('div');
+    item.className = 'sound-item';
+    const labelSpan = document.createElement('span');
+    labelSpan.textContent = label;
+
+    const actions = document.createElement('span');
+    actions.className = 'animation-item-actions';
+
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'tune-btn';
+    previewBtn.title = `Play ${label}`;
+    previewBtn.textContent = '▶';
+    previewBtn.addEventListener('click', () => previewSound(ref));
+    actions.appendChild(previewBtn);
+
+    if (ref.kind === 'custom') {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'tune-btn';
+      deleteBtn.title = `Delete ${label}`;
+      deleteBtn.textContent = '✕';
+      deleteBtn.addEventListener('click', () => handleDeleteSound(ref.id, label));
+      actions.appendChild(deleteBtn);
+    }
+
+    item.appendChild(labelSpan);
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
+
+// Previews play at the set volume even while sounds are muted
+async function previewSound(ref) {
+  const settings = await getSoundSettings();
+  const sound = await resolveSoundRef(ref, settings.volume);
+  if (!sound) return;
+
+  try {
+    await EmojiOverlay.playSound(sound);
+  } catch (error) {
+    console.error('Error playing sound:', error);
+    document.getElementById('soundStatus').textContent = 'Could not play this sound.';
+  }
+}
+
+async function handleSoundUpload(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  // Reset file input
+  event.target.value = '';
+
+  const statusDiv = document.getElementById('soundStatus');
+  const validation = validateSoundFile(file);
+  if (!validation.valid) {
+    statusDiv.textContent = validation.message;
+    return;
+  }
+
+  const name = file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || 'Custom Sound';
+  try {
+    await saveSound(new Blob([file], { type: validation.type }), `sound_${Date.now()}`, name);
+    await renderSoundSettings();
+    statusDiv.textContent = `Added ${name}.`;
+  } catch (error) {
+    console.error('Error saving sound:', error);
+    statusDiv.textContent = error.message.includes('quota')
+      ? 'Storage quota exceeded. Please delete some sounds first.'
+      : 'Error saving sound: ' + error.message;
+  }
+}
+
+async function handleDeleteSound(id, name) {
+  if (!confirm(`Delete ${name}? Emojis and animations using it will play no sound.`)) return;
+
+  await deleteSound(id);
+  await forgetCustomSound(id);
+  await renderSoundSettings();
+}
+
+// ===== SITE PROFILE =====
+
+// The top of the max particles slider, which leaves the renderer's own limit
+const SITE_PARTICLES_NO_LIMIT = 300;
+
+function formatMaxParticles(value) {
+  return value >= SITE_PARTICLES_NO_LIMIT ? 'No limit' : String(value);
+}
+
+// Header with the active tab's site, whether reactions are on there, and its profile
+async function renderSiteHeader() {
+  const tab = await getActiveTab();
+  const host = tab && getSiteHost(tab.url);
+  const profile = host ? await getSiteProfile(tab.url) : DEFAULT_SITE_PROFILE;
+
+  document.getElementById('siteName').textContent = host || 'No site settings on this page';
+  document.body.classList.toggle('site-disabled', !profile.enabled);
+  const enabledToggle = document.getElementById('siteEnabled');
+  enabledToggle.checked = profile.enabled;
+  enabledToggle.disabled = !host;
+  document.getElementById('siteSettingsBtn').disabled = !host;
+
+  const animationSelect = document.getElementById('siteAnimation');
+  animationSelect.innerHTML = '';
+  animationSelect.appendChild(new Option('Selected animation', ''));
+  EmojiOverlay.listAnimations().forEach(({ name, label }) => {
+    animationSelect.appendChild(new Option(label, name));
+  });
+  animationSelect.value = profile.animation || '';
+
+  const maxParticles = profile.maxParticles || SITE_PARTICLES_NO_LIMIT;
+  document.getElementById('siteMaxParticles').value = maxParticles;
+  document.getElementById('siteMaxParticlesValue').textContent = formatMaxParticles(maxParticles);
+  document.getElementById('siteOpacity').value = Math.round(profile.opacity * 100);
+  document.getElementById('siteOpacityValue').textContent = `${Math.round(profile.opacity * 100)}%`;
+}
+
+async function saveActiveSiteProfile(changes) {
+  const tab = await getActiveTab();
+  if (!tab) return;
+  await saveSiteProfile(tab.url, changes);
+  await renderSiteHeader();
+}
+
+// ===== STICKERS =====
+
+let stickerModeEnabled = false;
+
+async function loadStickerMode() {
+  stickerModeEnabled = await getStickerMode();
+  document.getElementById('stickerMode').checked = stickerModeEnabled;
+  document.body.classList.toggle('sticker-mode', stickerModeEnabled);
+}
+
+async function handleStickerModeToggle(e) {
+  await chrome.storage.local.set({ stickerMode: e.target.checked });
+  await loadStickerMode();
+}
+
+// Grid clicks fire the emoji, or pin it to the page while sticker mode is on
+async function handleEmojiClick(ref) {
+  if (!stickerModeEnabled) {
+    fireEmoji(ref);
+    return;
+  }
+
+  const dropped = await dropSticker(ref);
+  if (dropped) await renderStickerList();
+  document.getElementById('stickerStatus').textContent = dropped
+    ? 'Sticker pinned. Drag it, or use its handles to resize and rotate it.'
+    : 'Stickers can\'t be pinned to this page.';
+}
+
+async function getStickerTab() {
+  const tab = await getActiveTab();
+  const page = tab && getStickerPage(tab.url);
+  return page ? { tab, page } : null;
+}
+
+async function renderStickerList() {
+  const list = document.getElementById('stickerList');
+  const statusDiv = document.getElementById('stickerStatus');
+  const target = await getStickerTab();
+  const stickers = target ? await getStickersForPage(target.page) : [];
+
+  list.innerHTML = '';
+  document.getElementById('stickerClearBtn').disabled = stickers.length === 0;
+  document.getElementById('stickerExportBtn').disabled = stickers.length === 0;
+  if (!target) {
+    statusDiv.textContent = 'Stickers can\'t be pinned to this page.';
+    return;
+  }
+  if (stickers.length === 0) {
+    statusDiv.textContent = 'No stickers on this page.';
+    return;
+  }
+  statusDiv.textContent = '';
+
+  for (const sticker of stickers) {
+    list.appendChild(await createStickerItem(sticker, target));
+  }
+}
+
+// One row per sticker: its emoji, where it is anchored, and hide and remove buttons
+async function createStickerItem(sticker, { tab, page }) {
+  const content = await resolveEmojiRef(sticker.emoji);
+  const item = document.createElement('div');
+  item.className = 'sticker-item';
+  item.classList.toggle('hidden-sticker', sticker.hidden);
+
+  let preview;
+  if (content && content.type === 'image') {
+    preview = document.createElement('img');
+    preview.src = content.src;
+    preview.alt = '';
+  } else {
+    preview = document.createElement('span');
+    preview.textContent = content ? content.value : '?';
+  }
+  preview.className = 'sticker-preview';
+
+  const label = document.createElement('span');
+  label.className = 'sticker-label';
+  label.textContent = content ? (content.label || content.value) : 'Deleted emoji';
+  label.title = sticker.anchor.selector ? `Pinned to ${sticker.anchor.selector}` : 'Pinned to the page';
+
+  const hideBtn = document.createElement('button');
+  hideBtn.className = 'tune-btn';
+  hideBtn.textContent = sticker.hidden ? 'Show' : 'Hide';
+  hideBtn.addEventListener('click', async () => {
+    await saveSticker({ ...sticker, hidden: !sticker.hidden });
+    await updatePageStickers(tab, page);
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'tune-btn';
+  removeBtn.title = 'Remove sticker';
+  removeBtn.setAttribute('aria-label', `Remove ${label.textContent} sticker`);
+  removeBtn.textContent = '✕';
+  removeBtn.addEventListener('click', async () => {
+    await deleteSticker(sticker.id);
+    await updatePageStickers(tab, page);
+  });
+
+  item.appendChild(preview);
+  item.appendChild(label);
+  item.appendChild(hideBtn);
+  item.appendChild(removeBtn);
+  return item;
+}
+
+// Redraw the list and the stickers shown in the page after a change made here
+async function updatePageStickers(tab, page) {
+  try {
+    await showStickersInTab(tab.id, tab.url);
+  } catch (error) {
+    // The tab may have navigated away; the page picks the change up when it loads
+    console.error('Error updating stickers in page:', error);
+  }
+  await renderStickerList();
+}
+
+async function handleClearStickers() {
+  const target = await getStickerTab();
+  if (!target) return;
+
+  if (!confirm('Remove every sticker from this page?')) {
+    return;
+  }
+
+  await deleteStickersForPage(target.page);
+  await updatePageStickers(target.tab, target.page);
+  document.getElementById('stickerStatus').textContent = 'Stickers removed.';
+}
+
+async function handleExportStickers() {
+  const statusDiv = document.getElementById('stickerStatus');
+  const target = await getStickerTab();
+  if (!target) return;
+
+  try {
+    const { blob, count } = await exportPageStickers(target.page);
+    const host = getSiteHost(target.tab.url) || 'page';
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `stickers-${host}-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    statusDiv.textContent = `Exported ${count} sticker(s).`;
+  } catch (error) {
+    console.error('Error exporting stickers:', error);
+    statusDiv.textContent = 'Error exporting stickers: ' + error.message;
+  }
+}
+
+// ===== RULES =====
+
+async function renderRulesStatus() {
+  const rules = await getReactionRules();
+  const enabled = rules.filter(rule => rule.enabled).length;
+  document.getElementById('rulesStatus').textContent = rules.length === 0
+    ? 'Fire reactions automatically when pages show certain text, elements or URLs.'
+    : `${rules.length} rule(s), ${enabled} on.`;
+}
+
+// ===== EMOJI PACKS =====
+
+// List custom emojis with a checkbox each, to export a selection instead of everything
+async function renderPackList() {
+  const list = document.getElementById('packList');
+  const selectAll = document.getElementById('packSelectAll');
+  const images = await getAllImages();
+
+  // Reuse the grid's object URLs rather than creating more to clean up
+  const gridURLs = new Map(Array.from(document.querySelectorAll('#customImagesContainer button[data-id]'),
+    button => [button.dataset.id, button.dataset.src]));
+  images.forEach(image => image.objectURL && URL.revokeObjectURL(image.objectURL));
+
+  list.innerHTML = '';
+  document.getElementById('packStatus').textContent = '';
+
+  if (images.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'pack-empty';
+    empty.textContent = 'No custom emojis yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  images.forEach(image => {
+    const item = document.createElement('label');
+    item.className = 'pack-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = image.id;
+    checkbox.checked = selectAll.checked;
+    checkbox.addEventListener('change', () => {
+      selectAll.checked = Array.from(list.querySelectorAll('input[type="checkbox"]')).every(box => box.checked);
+    });
+
+    const img = document.createElement('img');
+    img.src = gridURLs.get(image.id) || '';
+    img.alt = '';
+
+    const name = document.createElement('span');
+    name.textContent = image.name;
+
+    item.appendChild(checkbox);
+    item.appendChild(img);
+    item.appendChild(name);
+    list.appendChild(item);
+  });
+}
+
+async function handleExportPack() {
+  const statusDiv = document.getElementById('packStatus');
+  const checkboxes = Array.from(document.querySelectorAll('#packList input[type="checkbox"]'));
+  const ids = document.getElementById('packSelectAll').checked
+    ? undefined
+    : checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+
+  if (ids && ids.length === 0) {
+    statusDiv.textContent = 'Select at least one emoji to export.';
+    return;
+  }
+
+  try {
+    const { blob, count } = await exportEmojiPack(ids);
+    if (count === 0) {
+      statusDiv.textContent = 'No custom emojis to export.';
+      return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `emoji-pack-${new Date().toISOString().slice(0, 10)}.zip`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    statusDiv.textContent = `Exported ${count} emoji(s).`;
+  } catch (error) {
+    console.error('Error exporting pack:', error);
+    statusDiv.textContent = 'Error exporting pack: ' + error.message;
+  }
+}
+
+async function handleImportPack(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  // Reset file input
+  event.target.value = '';
+
+  const statusDiv = document.getElementById('packStatus');
+  statusDiv.textContent = 'Importing...';
+
+  try {
+    const result = await importEmojiPack(file, document.getElementById('packConflictMode').value);
+    const summary = [`${result.added} added`];
+    if (result.renamed) summary.push(`${result.renamed} renamed`);
+    if (result.overwritten) summary.push(`${result.overwritten} overwritten`);
+    if (result.skipped) summary.push(`${result.skipped} skipped`);
+    if (result.invalid) summary.push(`${result.invalid} invalid`);
+
+    await loadCustomImages();
+    await renderPackList(); // Clears the status, so set it afterwards
+    statusDiv.textContent = `Import done: ${summary.join(', ')}.`;
+  } catch (error) {
+    console.error('Error importing pack:', error);
+    statusDiv.textContent = error.message.includes('quota')
+      ? 'Storage quota exceeded. Please delete some custom images first.'
+      : 'Error importing pack: ' + error.message;
+  }
 }
 
-function createReverseAnimation(content, isEmoji) {
-  const particleCount = 25;
-  const duration = 3000; // Animation duration in ms
-  
-  for (let i = 0; i < particleCount; i++) {
-    const particle = isEmoji ? document.createElement("div") : document.createElement("img");
-    
-    if (isEmoji) {
-      particle.textContent = content;
-  } else {
-      particle.src = content;
-    }
-    
-    // Random starting position on the right side, off-screen
-    const startX = window.innerWidth + 150;
-    const startY = Math.random() * window.innerHeight;
-    
-    // Random velocity (how fast they move left, negative)
-    const velocity = -(300 + Math.random() * 400); // pixels per second (negative for left movement)
-    
-    // Random size variation
-    const size = isEmoji ? (3 + Math.random() * 4) : (60 + Math.random() * 80);
-    
-    // Initial styles
-    const baseStyles = {
-      position: "fixed",
-      left: startX + "px",
-      top: startY + "px",
-      opacity: "1",
-      pointerEvents: "none",
-      zIndex: "999999",
-      transform: "translate(-50%, -50%)",
-      transition: "none"
-    };
-    
-    if (isEmoji) {
-      baseStyles.fontSize = size + "rem";
-    } else {
-      baseStyles.width = size + "px";
-      baseStyles.height = size + "px";
-    }
-    
-    Object.assign(particle.style, baseStyles);
-    document.body.appendChild(particle);
-    
-    // Animate particle moving right to left
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-      const x = startX + velocity * elapsed;
-      
-      // Fade out near the left edge
-      const fadeStart = window.innerWidth * 0.2;
-      const opacity = x < fadeStart ? 1 - ((fadeStart - x) / (window.innerWidth * 0.2)) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.transform = `translate(-50%, -50%)`;
-      particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-    setTimeout(() => particle.remove(), duration);
+// ===== SHARED REACTIONS =====
+
+const SHARING_STATUS_LABELS = {
+  connected: 'Connected',
+  connecting: 'Connecting...',
+  disconnected: 'Not connected',
+  error: 'Invalid relay URL'
+};
+
+async function loadSharingSettings() {
+  const settings = await getSharingSettings();
+  document.getElementById('sharingEnabled').checked = settings.enabled;
+  document.getElementById('sharingName').value = settings.name;
+  document.getElementById('sharingRoom').value = settings.room;
+  document.getElementById('sharingRelayUrl').value = settings.relayUrl;
+}
+
+async function saveSharingSettings() {
+  const relayUrl = document.getElementById('sharingRelayUrl').value.trim() || DEFAULT_SHARING_SETTINGS.relayUrl;
+  if (!/^wss?:\/\//.test(relayUrl)) {
+    document.getElementById('sharingStatus').textContent = 'Relay URL must start with ws:// or wss://';
+    return;
   }
+
+  await chrome.storage.local.set({
+    sharingSettings: {
+      enabled: document.getElementById('sharingEnabled').checked,
+      name: document.getElementById('sharingName').value.trim(),
+      room: document.getElementById('sharingRoom').value.trim(),
+      relayUrl
     }
-    
-function createTornadoAnimation(content, isEmoji) {
-    const particleCount = 25;
-  const duration = 4000; // Animation duration in ms
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    
-    for (let i = 0; i < particleCount; i++) {
-    const particle = isEmoji ? document.createElement("div") : document.createElement("img");
-    
-    if (isEmoji) {
-      particle.textContent = content;
-    } else {
-      particle.src = content;
-    }
-    
-    // Each particle starts at a different angle
-    const startAngle = (i / particleCount) * Math.PI * 2;
-    
-    // Random size variation
-    const size = isEmoji ? (3 + Math.random() * 4) : (60 + Math.random() * 80);
-    
-    // Initial styles
-    const baseStyles = {
-        position: "fixed",
-        left: centerX + "px",
-        top: centerY + "px",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-    };
-    
-    if (isEmoji) {
-      baseStyles.fontSize = size + "rem";
-    } else {
-      baseStyles.width = size + "px";
-      baseStyles.height = size + "px";
-    }
-    
-    Object.assign(particle.style, baseStyles);
-      document.body.appendChild(particle);
-    
-    // Animate in cyclone/tornado spiral pattern
-    const startTime = Date.now();
-    
-    function animate() {
-      const elapsed = (Date.now() - startTime) / 1000;
-      const progress = elapsed / (duration / 1000);
-      
-      if (progress >= 1) return;
-      
-      // Spiral outward while rotating
-      const angle = startAngle + elapsed * 3 * Math.PI; // 1.5 full rotations per second
-      const radius = progress * 300; // Spiral outward
-      
-      const x = centerX + Math.cos(angle) * radius;
-      const y = centerY + Math.sin(angle) * radius;
-      
-      // Particle spins on its own axis
-      const rotation = elapsed * 360;
-      
-      // Fade out as it spirals out
-      const opacity = 1 - progress * 0.8;
-      
-      particle.style.left = x + "px";
-      particle.style.top = y + "px";
-      particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-      particle.style.opacity = Math.max(0, opacity);
-      
-      requestAnimationFrame(animate);
-    }
-    
-    requestAnimationFrame(animate);
-      setTimeout(() => particle.remove(), duration);
-    }
+  });
+
+  // Give the background a moment to (re)connect before showing the status
+  updateSharingStatus();
+  setTimeout(updateSharingStatus, 1000);
 }
 
-function createWaveAnimation(content, isEmoji) {
-  const particleCount = 25;
-  const duration = 4000; // Animation duration in ms
-  const waveHeight = window.innerHeight * 0.3; // Wave amplitude
-  const baseY = window.innerHeight / 2;
-  
-  for (let i = 0; i < particleCount; i++) {
-    const particle = isEmoji ? document.createElement("div") : document.createElement("img");
-    
-    if (isEmoji) {
-      particle.textContent = content;
-    } else {
-      particle.src = content;
-    }
-    
-    // Stagger the start positions across the left side
-    const delay = (i / particleCount) * 1000; // Stagger by up to 1 second
-    
-    // Random size variation
-    const size = isEmoji ? (3 + Math.random() * 3) : (60 + Math.random() * 60);
-    
-    // Random vertical offset within the wave
-    const verticalOffset = (Math.random() - 0.5) * 100;
-    
-    // Initial styles
-    const baseStyles = {
-      position: "fixed",
-      left: "-100px",
-      top: baseY + "px",
-      opacity: "0",
-      pointerEvents: "none",
-      zIndex: "999999",
-      transform: "translate(-50%, -50%)",
-      transition: "none"
-    };
-    
-    if (isEmoji) {
-      baseStyles.fontSize = size + "rem";
-    } else {
-      baseStyles.width = size + "px";
-      baseStyles.height = size + "px";
-    }
-    
-    Object.assign(particle.style, baseStyles);
-    document.body.appendChild(particle);
-    
-    // Animate wave motion
-    setTimeout(() => {
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        // Move from left to right
-        const x = -100 + progress * (window.innerWidth + 200);
-        
-        // Wave motion (sine wave that "crests" and "crashes")
-        // Creates an ocean wave effect
-        const waveProgress = (x + 100) / window.innerWidth;
-        let waveY;
-        
-        if (waveProgress < 0.3) {
-          // Building wave
-          waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (waveProgress / 0.3);
-        } else if (waveProgress < 0.7) {
-          // Cresting wave
-          waveY = Math.sin(waveProgress * Math.PI * 3) * waveHeight;
-        } else {
-          // Crashing wave
-          waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (1 - (waveProgress - 0.7) / 0.3);
-        }
-        
-        const y = baseY + waveY + verticalOffset;
-        
-        // Rotation based on wave direction
-        const rotation = Math.sin(waveProgress * Math.PI * 3) * 30;
-        
-        // Fade in at start, fade out at end
-        let opacity = 1;
-        if (progress < 0.1) {
-          opacity = progress / 0.1;
-        } else if (progress > 0.9) {
-          opacity = 1 - ((progress - 0.9) / 0.1);
-        }
-        
-        particle.style.left = x + "px";
-        particle.style.top = y + "px";
-        particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-        particle.style.opacity = opacity;
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-    }, delay);
-    
-    setTimeout(() => particle.remove(), duration + delay);
+async function updateSharingStatus() {
+  const statusDiv = document.getElementById('sharingStatus');
+  if (!document.getElementById('sharingEnabled').checked) {
+    statusDiv.textContent = 'Off';
+    return;
   }
-}
 
-function showImageOverlay(src, animationType = 'burst') {
-  if (animationType === 'boring' || animationType === 'boring-giant') {
-    // Boring animation - single image centered
-    const particle = document.createElement("img");
-    particle.src = src;
-    
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    const duration = 2500;
-    const size = animationType === 'boring-giant' ? 600 : 200;
-    
-    Object.assign(particle.style, {
-      position: "fixed",
-      left: centerX + "px",
-      top: centerY + "px",
-      width: size + "px",
-      height: size + "px",
-      opacity: "1",
-      pointerEvents: "none",
-      zIndex: "999999",
-      transform: "translate(-50%, -50%)",
-      transition: "none"
-    });
-    
-    document.body.appendChild(particle);
-    
-    const startTime = Date.now();
-    
-    function animate() {
-      const elapsed = (Date.now() - startTime) / 1000;
-      const progress = elapsed / (duration / 1000);
-      
-      if (progress >= 1) return;
-      
-      const opacity = progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1;
-      particle.style.opacity = opacity;
-      
-      requestAnimationFrame(animate);
-    }
-    
-    requestAnimationFrame(animate);
-    setTimeout(() => particle.remove(), duration);
-    
-  } else if (animationType === 'drive') {
-    // Drive animation - left to right
-    const particleCount = 25;
-    const duration = 3000;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("img");
-      particle.src = src;
-      
-      const startX = -150;
-      const startY = Math.random() * window.innerHeight;
-      const velocity = 300 + Math.random() * 400;
-      const size = 60 + Math.random() * 80;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: startX + "px",
-        top: startY + "px",
-        width: size + "px",
-        height: size + "px",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const x = startX + velocity * elapsed;
-        
-        const screenWidth = window.innerWidth;
-        const fadeStart = screenWidth * 0.8;
-        const opacity = x > fadeStart ? 1 - ((x - fadeStart) / (screenWidth * 0.2)) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.transform = `translate(-50%, -50%)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-      setTimeout(() => particle.remove(), duration);
-    }
-    
-  } else if (animationType === 'reverse') {
-    // Reverse animation - right to left
-    const particleCount = 25;
-    const duration = 3000;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("img");
-      particle.src = src;
-      
-      const startX = window.innerWidth + 150;
-      const startY = Math.random() * window.innerHeight;
-      const velocity = -(300 + Math.random() * 400);
-      const size = 60 + Math.random() * 80;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: startX + "px",
-        top: startY + "px",
-        width: size + "px",
-        height: size + "px",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const x = startX + velocity * elapsed;
-        
-        const fadeStart = window.innerWidth * 0.2;
-        const opacity = x < fadeStart ? 1 - ((fadeStart - x) / (window.innerWidth * 0.2)) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.transform = `translate(-50%, -50%)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-      setTimeout(() => particle.remove(), duration);
-    }
-    
-  } else if (animationType === 'tornado') {
-    // Tornado animation - spiral cyclone
-    const particleCount = 25;
-    const duration = 4000;
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("img");
-      particle.src = src;
-      
-      const startAngle = (i / particleCount) * Math.PI * 2;
-      const size = 60 + Math.random() * 80;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: centerX + "px",
-        top: centerY + "px",
-        width: size + "px",
-        height: size + "px",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      const startTime = Date.now();
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const angle = startAngle + elapsed * 3 * Math.PI;
-        const radius = progress * 300;
-        
-        const x = centerX + Math.cos(angle) * radius;
-        const y = centerY + Math.sin(angle) * radius;
-        const rotation = elapsed * 360;
-        const opacity = 1 - progress * 0.8;
-        
-        particle.style.left = x + "px";
-        particle.style.top = y + "px";
-        particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-      setTimeout(() => particle.remove(), duration);
-    }
-    
-  } else if (animationType === 'wave') {
-    // Wave animation - ocean wave
-    const particleCount = 25;
-    const duration = 4000;
-    const waveHeight = window.innerHeight * 0.3;
-    const baseY = window.innerHeight / 2;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("img");
-      particle.src = src;
-      
-      const delay = (i / particleCount) * 1000;
-      const size = 60 + Math.random() * 60;
-      const verticalOffset = (Math.random() - 0.5) * 100;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: "-100px",
-        top: baseY + "px",
-        width: size + "px",
-        height: size + "px",
-        opacity: "0",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      
-      setTimeout(() => {
-        const startTime = Date.now();
-        
-        function animate() {
-          const elapsed = (Date.now() - startTime) / 1000;
-          const progress = elapsed / (duration / 1000);
-          
-          if (progress >= 1) return;
-          
-          const x = -100 + progress * (window.innerWidth + 200);
-          const waveProgress = (x + 100) / window.innerWidth;
-          let waveY;
-          
-          if (waveProgress < 0.3) {
-            waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (waveProgress / 0.3);
-          } else if (waveProgress < 0.7) {
-            waveY = Math.sin(waveProgress * Math.PI * 3) * waveHeight;
-          } else {
-            waveY = Math.sin(waveProgress * Math.PI * 5) * waveHeight * (1 - (waveProgress - 0.7) / 0.3);
-          }
-          
-          const y = baseY + waveY + verticalOffset;
-          const rotation = Math.sin(waveProgress * Math.PI * 3) * 30;
-          
-          let opacity = 1;
-          if (progress < 0.1) {
-            opacity = progress / 0.1;
-          } else if (progress > 0.9) {
-            opacity = 1 - ((progress - 0.9) / 0.1);
-          }
-          
-          particle.style.left = x + "px";
-          particle.style.top = y + "px";
-          particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-          particle.style.opacity = opacity;
-          
-          requestAnimationFrame(animate);
-        }
-        
-        requestAnimationFrame(animate);
-      }, delay);
-      
-      setTimeout(() => particle.remove(), duration + delay);
-    }
-    
-  } else if (animationType === 'drift') {
-    // Drift animation
-    const waveCount = 4;
-    const particlesPerWave = 7;
-    const waveInterval = 300;
-    const duration = 3500;
-    
-    function animateRainParticle(particle, startX, duration) {
-      const startTime = Date.now();
-      const gravity = 500;
-      const startY = -100;
-      const driftAmplitude = 30;
-      const driftFrequency = 2;
-      const baseTilt = (Math.random() - 0.5) * 40;
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const y = startY + 0.5 * gravity * elapsed * elapsed;
-        const drift = Math.sin(elapsed * driftFrequency * Math.PI) * driftAmplitude;
-        const x = startX + drift;
-        const tilt = baseTilt + (drift / driftAmplitude) * 15;
-        
-        const screenHeight = window.innerHeight;
-        const fadeStart = screenHeight * 0.8;
-        const opacity = y > fadeStart ? 1 - ((y - fadeStart) / (screenHeight * 0.2)) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.top = y + "px";
-        particle.style.transform = `translate(-50%, -50%) rotate(${tilt}deg)`;
-        particle.style.opacity = Math.max(0, opacity);
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-    }
-    
-    for (let wave = 0; wave < waveCount; wave++) {
-      setTimeout(() => {
-        for (let i = 0; i < particlesPerWave; i++) {
-          const particle = document.createElement("img");
-          particle.src = src;
-          
-          const startX = Math.random() * window.innerWidth;
-          const size = 60 + Math.random() * 80;
-          
-          Object.assign(particle.style, {
-            position: "fixed",
-            left: startX + "px",
-            top: "-100px",
-            width: size + "px",
-            height: size + "px",
-            opacity: "1",
-            pointerEvents: "none",
-            zIndex: "999999",
-            transform: "translate(-50%, -50%)",
-            transition: "none"
-          });
-          
-          document.body.appendChild(particle);
-          animateRainParticle(particle, startX, duration);
-          setTimeout(() => particle.remove(), duration);
-        }
-      }, wave * waveInterval);
-    }
-    
-  } else {
-    // Burst animation (default)
-    function animateParticle(particle, velocityX, velocityY, rotationSpeed, duration) {
-      const startTime = Date.now();
-      const gravity = 500;
-      const startX = parseFloat(particle.style.left);
-      const startY = parseFloat(particle.style.top);
-      
-      function animate() {
-        const elapsed = (Date.now() - startTime) / 1000;
-        const progress = elapsed / (duration / 1000);
-        
-        if (progress >= 1) return;
-        
-        const x = startX + velocityX * elapsed;
-        const y = startY + velocityY * elapsed + 0.5 * gravity * elapsed * elapsed;
-        const rotation = rotationSpeed * elapsed;
-        const opacity = progress > 0.7 ? (1 - (progress - 0.7) / 0.3) : 1;
-        
-        particle.style.left = x + "px";
-        particle.style.top = y + "px";
-        particle.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
-        particle.style.opacity = opacity;
-        
-        requestAnimationFrame(animate);
-      }
-      
-      requestAnimationFrame(animate);
-    }
-    
-    const particleCount = 25;
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-    const duration = 2500;
-    
-    for (let i = 0; i < particleCount; i++) {
-      const particle = document.createElement("img");
-      particle.src = src;
-      
-      const angle = Math.random() * Math.PI * 2;
-      const velocity = 200 + Math.random() * 300;
-      const velocityX = Math.cos(angle) * velocity;
-      const velocityY = Math.sin(angle) * velocity;
-      const rotationSpeed = (Math.random() - 0.5) * 720;
-      const size = 80 + Math.random() * 120;
-      
-      Object.assign(particle.style, {
-        position: "fixed",
-        left: centerX + "px",
-        top: centerY + "px",
-        width: size + "px",
-        height: size + "px",
-        opacity: "1",
-        pointerEvents: "none",
-        zIndex: "999999",
-        transform: "translate(-50%, -50%)",
-        transition: "none"
-      });
-      
-      document.body.appendChild(particle);
-      animateParticle(particle, velocityX, velocityY, rotationSpeed, duration);
-      setTimeout(() => particle.remove(), duration);
-    }
+  try {
+    const { status } = await chrome.runtime.sendMessage({ type: 'get-sharing-status' });
+    statusDiv.textContent = SHARING_STATUS_LABELS[status] || status;
+  } catch (error) {
+    statusDiv.textContent = SHARING_STATUS_LABELS.disconnected;
   }
 }
 
@@ -1925,16 +2755,26 @@ function setupModalListeners() {
   });
   document.getElementById('nameSubmit').addEventListener('click', handleNameSubmit);
 
+  // Crop step (for uploads)
+  setupCropListeners();
+
   // Prompt navigation
   document.getElementById('promptBack').addEventListener('click', async () => {
-    const apiKey = await getApiKey();
-    if (apiKey) {
-      showModalStep1();
-    } else {
+    if (needsApiKey(await getImageProviderSettings())) {
       showModalStep2();
+    } else {
+      showModalStep1();
     }
   });
+  document.getElementById('apiKeyProviderBtn').addEventListener('click', openImageProviderSettings);
+  document.getElementById('aiProviderBtn').addEventListener('click', openImageProviderSettings);
   document.getElementById('generateBtn').addEventListener('click', handleGenerateEmoji);
+  setupAiOptionListeners();
+
+  // Candidate step
+  document.getElementById('candidateBack').addEventListener('click', showModalStep3);
+  document.getElementById('regenerateBtn').addEventListener('click', generateCandidates);
+  document.getElementById('candidateSave').addEventListener('click', handleSaveCandidates);
 
   // Allow Enter key to submit
   document.getElementById('apiKeyField').addEventListener('keypress', (e) => {
@@ -1961,28 +2801,87 @@ function setupModalListeners() {
       closeModal();
     }
   });
+
+  document.getElementById('aiModal').addEventListener('keydown', handleModalKeydown);
+}
+
+// Element focused before the modal opened, focused again when it closes
+let modalReturnFocus = null;
+
+const FOCUSABLE_SELECTOR = 'button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Controls of the visible step that can take focus, in tab order
+function getModalFocusables() {
+  return Array.from(document.querySelectorAll('#aiModal .modal-step'))
+    .filter(step => step.style.display !== 'none')
+    .flatMap(step => Array.from(step.querySelectorAll(FOCUSABLE_SELECTOR)))
+    .filter(element => !element.disabled && element.offsetParent !== null);
+}
+
+// Focus the first control of the visible step, or the step itself if it has none
+function focusModalStep(stepId) {
+  const [first] = getModalFocusables();
+  (first || document.getElementById(stepId)).focus();
+}
+
+// Escape closes the modal and Tab cycles within the visible step
+function handleModalKeydown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeModal();
+    return;
+  }
+  if (e.key !== 'Tab') return;
+
+  const focusables = getModalFocusables();
+  if (focusables.length === 0) {
+    e.preventDefault();
+    return;
+  }
+
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  if (e.shiftKey && (document.activeElement === first || !focusables.includes(document.activeElement))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (document.activeElement === last || !focusables.includes(document.activeElement))) {
+    e.preventDefault();
+    first.focus();
+  }
 }
 
 function openModal() {
+  // Only remember where focus came from when the modal wasn't open already
+  if (document.getElementById('aiModal').style.display !== 'flex') {
+    modalReturnFocus = document.activeElement;
+  }
   document.getElementById('aiModal').style.display = 'flex';
   showModalStep1();
 }
 
 function closeModal() {
   document.getElementById('aiModal').style.display = 'none';
+  if (modalReturnFocus && modalReturnFocus.isConnected) {
+    modalReturnFocus.focus();
+  }
   clearModalMessage();
   clearNameModalMessage();
+  clearCandidateModalMessage();
   // Clear inputs
   document.getElementById('apiKeyField').value = '';
   document.getElementById('promptField').value = '';
   document.getElementById('nameField').value = '';
   document.getElementById('aiNameField').value = '';
+  clearCandidates();
   pendingFile = null;
+  pendingSprite = null;
+  clearCropState();
 }
 
 function showModalStep1() {
   hideAllModalSteps();
   document.getElementById('optionSelect').style.display = 'block';
+  focusModalStep('optionSelect');
   clearModalMessage();
 }
 
@@ -1998,18 +2897,23 @@ function showModalStep3() {
   document.getElementById('promptInput').style.display = 'block';
   document.getElementById('promptField').focus();
   clearModalMessage();
+  loadAiOptions();
 }
 
-function showLoadingState() {
+function showLoadingState(message = 'Generating your emoji...') {
   hideAllModalSteps();
+  document.getElementById('loadingText').textContent = message;
   document.getElementById('loadingState').style.display = 'block';
+  focusModalStep('loadingState');
 }
 
 function hideAllModalSteps() {
   document.getElementById('optionSelect').style.display = 'none';
   document.getElementById('apiKeyInput').style.display = 'none';
+  document.getElementById('cropInput').style.display = 'none';
   document.getElementById('nameInput').style.display = 'none';
   document.getElementById('promptInput').style.display = 'none';
+  document.getElementById('candidateInput').style.display = 'none';
   document.getElementById('loadingState').style.display = 'none';
 }
 
@@ -2030,7 +2934,7 @@ async function handleNameSubmit() {
   }
 
   try {
-    await processImageFile(pendingFile, name);
+    await processImageFile(pendingFile, name, pendingSprite);
     closeModal();
     pendingFile = null;
   } catch (error) {
@@ -2053,27 +2957,35 @@ function clearNameModalMessage() {
 }
 
 async function handleAIOptionClick() {
-  const apiKey = await getApiKey();
-  if (apiKey && validateApiKey(apiKey)) {
-    showModalStep3();
-  } else {
+  if (needsApiKey(await getImageProviderSettings())) {
     showModalStep2();
+  } else {
+    showModalStep3();
   }
 }
 
 async function handleApiKeySubmit() {
   const apiKeyField = document.getElementById('apiKeyField');
-  const apiKey = apiKeyField.value.trim();
+  const settings = await getImageProviderSettings();
+  settings.openai.apiKey = apiKeyField.value.trim();
 
-  if (!validateApiKey(apiKey)) {
-    showModalError('Please enter a valid OpenAI API key (starts with sk-)');
+  const errors = validateImageProvider(settings);
+  if (errors.length > 0) {
+    showModalError(errors.join(' '));
     return;
   }
 
-  await saveApiKey(apiKey);
+  await saveImageProviderSettings(settings);
   showModalStep3();
 }
 
+// ===== AI CANDIDATES =====
+
+// The last generate request, reused by Regenerate, and the images it returned, each
+// { url, name, selected }. Nothing is saved until candidates are picked.
+let aiRequest = null;
+let aiCandidates = [];
+
 async function handleGenerateEmoji() {
   const promptField = document.getElementById('promptField');
   const aiNameField = document.getElementById('aiNameField');
@@ -2085,43 +2997,221 @@ async function handleGenerateEmoji() {
     return;
   }
 
-  const generateBtn = document.getElementById('generateBtn');
-  generateBtn.disabled = true;
+  aiRequest = { prompt, name, options: readAiOptions() };
+  aiCandidates = [];
+  await generateCandidates();
+}
 
-  try {
-    showLoadingState();
+function setupAiOptionListeners() {
+  const countSelect = document.getElementById('aiCount');
+  for (let count = MIN_AI_CANDIDATES; count <= MAX_AI_CANDIDATES; count++) {
+    countSelect.appendChild(new Option(String(count), count));
+  }
 
-    const apiKey = await getApiKey();
-    if (!apiKey) {
-      throw new Error('No API key found');
-    }
+  ['aiCount', 'aiSize', 'aiQuality', 'aiTransparent'].forEach(id => {
+    document.getElementById(id).addEventListener('change', async () => {
+      await saveAiSettings({ ...await getAiSettings(), ...readAiOptions() });
+    });
+  });
+}
 
-    // Generate image
-    const imageUrl = await generateImageWithOpenAI(prompt, apiKey);
+// Quality is left out while the provider offers none, so the stored preference
+// carries over to the next provider that does
+function readAiOptions() {
+  const options = {
+    count: Number(document.getElementById('aiCount').value),
+    size: document.getElementById('aiSize').value,
+    transparent: document.getElementById('aiTransparent').checked
+  };
+  if (!document.getElementById('aiQualityField').hidden) {
+    options.quality = document.getElementById('aiQuality').value;
+  }
+  return options;
+}
 
-    // Download as blob
-    const blob = await downloadImageAsBlob(imageUrl);
+async function loadAiOptions() {
+  const [settings, providerSettings] = await Promise.all([getAiSettings(), getImageProviderSettings()]);
+  const { sizes, qualities, transparent } = getImageProviderCapabilities(providerSettings);
+  const sizeLabels = Object.fromEntries(Object.entries(sizes).map(([size, label]) => [size, `${label} (${size.replace('x', '×')})`]));
 
-    // Save to IndexedDB with custom name
-    const imageId = `ai_generated_${Date.now()}`;
-    await saveCustomImage(blob, imageId, name);
+  document.getElementById('aiCount').value = settings.count;
+  fillAiOptionSelect('aiSize', sizeLabels, settings.size);
+  fillAiOptionSelect('aiQuality', qualities, settings.quality);
+  document.getElementById('aiTransparent').checked = settings.transparent;
 
-    // Refresh display
-    await loadCustomImages();
+  // Options the provider can't take are hidden; it ignores them
+  document.getElementById('aiQualityField').hidden = Object.keys(qualities).length === 0;
+  document.getElementById('aiTransparentField').hidden = !transparent;
+  document.getElementById('aiProviderName').textContent = describeImageProvider(providerSettings);
+}
 
-    // Close modal and show success
-    closeModal();
-    console.log('AI emoji generated successfully:', imageId);
+// Replace a select's options, keeping the preferred value when it is still offered
+function fillAiOptionSelect(id, choices, preferred) {
+  const select = document.getElementById(id);
+  select.innerHTML = '';
+  Object.entries(choices).forEach(([value, label]) => {
+    select.appendChild(new Option(label, value));
+  });
+  if (preferred in choices) {
+    select.value = preferred;
+  }
+}
+
+// Request candidates for aiRequest and show them; names typed for earlier candidates stay
+async function generateCandidates() {
+  if (!aiRequest) return;
+
+  const { prompt, name, options } = aiRequest;
+  const generateBtn = document.getElementById('generateBtn');
+  const regenerateBtn = document.getElementById('regenerateBtn');
+  generateBtn.disabled = true;
+  regenerateBtn.disabled = true;
 
+  try {
+    showLoadingState(options.count > 1 ? `Generating ${options.count} emojis...` : 'Generating your emoji...');
+
+    const urls = await generateImages(prompt, options);
+    aiCandidates = urls.map((url, index) => ({
+      url,
+      name: aiCandidates[index] ? aiCandidates[index].name : (urls.length > 1 ? `${name} ${index + 1}` : name),
+      selected: index === 0
+    }));
+    showCandidateStep();
   } catch (error) {
     console.error('Error generating emoji:', error);
-    showModalStep3();
-    showModalError(getErrorMessage(error));
+    // A failed regenerate keeps the candidates it would have replaced
+    if (aiCandidates.length > 0) {
+      showCandidateStep();
+      showCandidateModalError(getErrorMessage(error));
+    } else {
+      showModalStep3();
+      showModalError(getErrorMessage(error));
+    }
   } finally {
     generateBtn.disabled = false;
+    regenerateBtn.disabled = false;
+  }
+}
+
+function showCandidateStep() {
+  hideAllModalSteps();
+  document.getElementById('candidateInput').style.display = 'block';
+  clearCandidateModalMessage();
+  renderCandidates();
+  focusModalStep('candidateInput');
+}
+
+// One card per candidate: the preview, whether to keep it, and the name to save it under
+function renderCandidates() {
+  const grid = document.getElementById('candidateGrid');
+  grid.innerHTML = '';
+
+  aiCandidates.forEach((candidate, index) => {
+    const item = document.createElement('div');
+    item.className = 'candidate';
+    item.classList.toggle('selected', candidate.selected);
+
+    const preview = document.createElement('img');
+    preview.src = candidate.url;
+    preview.alt = `Candidate ${index + 1}`;
+
+    const pick = document.createElement('label');
+    pick.className = 'candidate-pick';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = candidate.selected;
+    checkbox.addEventListener('change', () => {
+      candidate.selected = checkbox.checked;
+      item.classList.toggle('selected', candidate.selected);
+      updateCandidateSaveButton();
+    });
+    pick.appendChild(checkbox);
+    pick.appendChild(document.createTextNode(' Keep'));
+
+    // Clicking the preview picks the candidate too
+    preview.addEventListener('click', () => checkbox.click());
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = candidate.name;
+    nameInput.placeholder = 'Name';
+    nameInput.setAttribute('aria-label', `Name of candidate ${index + 1}`);
+    nameInput.addEventListener('input', () => {
+      candidate.name = nameInput.value;
+    });
+    nameInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        handleSaveCandidates();
+      }
+    });
+
+    item.appendChild(preview);
+    item.appendChild(pick);
+    item.appendChild(nameInput);
+    grid.appendChild(item);
+  });
+
+  updateCandidateSaveButton();
+}
+
+function updateCandidateSaveButton() {
+  const count = aiCandidates.filter(candidate => candidate.selected).length;
+  const saveBtn = document.getElementById('candidateSave');
+  saveBtn.disabled = count === 0;
+  saveBtn.textContent = count > 1 ? `Save ${count} emojis` : 'Save';
+}
+
+async function handleSaveCandidates() {
+  const selected = aiCandidates.filter(candidate => candidate.selected);
+  if (selected.length === 0) {
+    showCandidateModalError('Pick at least one emoji to save');
+    return;
+  }
+
+  const saveBtn = document.getElementById('candidateSave');
+  saveBtn.disabled = true;
+  const settings = await getImageSettings();
+  const timestamp = Date.now();
+
+  try {
+    for (const [index, candidate] of selected.entries()) {
+      // Download as blob, trimmed and scaled down like uploads
+      const blob = await processImage(await downloadImageAsBlob(candidate.url), settings);
+      const imageId = `ai_generated_${timestamp}_${index}`;
+      await saveCustomImage(blob, imageId, candidate.name.trim() || aiRequest.name);
+      // Saved ones leave the list, so a failure further on doesn't save them twice
+      aiCandidates = aiCandidates.filter(item => item !== candidate);
+      console.log('AI emoji generated successfully:', imageId);
+    }
+
+    await loadCustomImages();
+    closeModal();
+  } catch (error) {
+    console.error('Error saving emoji:', error);
+    await loadCustomImages();
+    renderCandidates();
+    showCandidateModalError('Error saving emoji: ' + error.message);
   }
 }
 
+function clearCandidates() {
+  aiRequest = null;
+  aiCandidates = [];
+  document.getElementById('candidateGrid').innerHTML = '';
+}
+
+function showCandidateModalError(message) {
+  const messageDiv = document.getElementById('candidateModalMessage');
+  messageDiv.textContent = message;
+  messageDiv.className = 'modal-message error';
+}
+
+function clearCandidateModalMessage() {
+  const messageDiv = document.getElementById('candidateModalMessage');
+  messageDiv.textContent = '';
+  messageDiv.className = 'modal-message';
+}
+
 function showModalError(message) {
   const messageDiv = document.getElementById('modalMessage');
   messageDiv.textContent = message;
@@ -2144,7 +3234,7 @@ function getErrorMessage(error) {
   const message = error.message || 'Unknown error';
   
   if (message.includes('401') || message.includes('authentication')) {
-    return 'Invalid API key. Please check your OpenAI API key and try again.';
+    return 'Invalid API key. Please check your API key and try again.';
   }
   
   if (message.includes('429') || message.includes('rate limit')) {
@@ -2152,7 +3242,7 @@ function getErrorMessage(error) {
   }
   
   if (message.includes('quota')) {
-    return 'API quota exceeded. Please check your OpenAI account.';
+    return 'API quota exceeded. Please check your account with the image provider.';
   }
   
   if (message.includes('content_policy')) {
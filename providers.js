@@ -0,0 +1,451 @@
+// Image generation providers for AI emojis. The popup generates with the selected provider and
+// the options page edits the settings, stored in chrome.storage.local:
+//   { type: 'openai', openai: {...}, azure: {...}, sdwebui: {...}, comfyui: {...} }
+// Every provider keeps its own settings, so switching between them loses nothing.
+//
+// A provider lists its settings fields for the options page, checks them, and turns a prompt
+// and the popup's generate options ({ count, size, quality, transparent }) into image URLs or
+// data URLs. `capabilities` gives the sizes and qualities it accepts with its settings, and
+// whether it can draw transparent backgrounds; the popup offers only those.
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const SD_QUALITY_STEPS = { low: 15, medium: 25, high: 40 }; // Sampling steps per quality
+const COMFYUI_POLL_INTERVAL = 1000; // ms between checks for a queued workflow
+const COMFYUI_TIMEOUT = 5 * 60 * 1000; // ms before giving up on a queued workflow
+
+// What the OpenAI image models accept, by model name prefix. Models served by compatible
+// servers are assumed to take what gpt-image-1 takes. The first size is the default.
+const OPENAI_IMAGE_MODELS = {
+  'gpt-image': {
+    sizes: { '1024x1024': 'Square', '1024x1536': 'Portrait', '1536x1024': 'Landscape' },
+    qualities: { low: 'Low', medium: 'Medium', high: 'High' },
+    transparent: true,
+    batch: true
+  },
+  'dall-e-3': {
+    sizes: { '1024x1024': 'Square', '1024x1792': 'Portrait', '1792x1024': 'Landscape' },
+    qualities: { standard: 'Standard', hd: 'HD' },
+    transparent: false,
+    batch: false // One image per request
+  },
+  'dall-e-2': {
+    sizes: { '1024x1024': 'Large', '512x512': 'Medium', '256x256': 'Small' },
+    qualities: {},
+    transparent: false,
+    batch: true
+  }
+};
+
+// Stable Diffusion checkpoints are trained at 512 (1.5) or 1024 (SDXL) pixels
+const SD_IMAGE_SIZES = {
+  '1024x1024': 'Square, SDXL',
+  '832x1216': 'Portrait, SDXL',
+  '1216x832': 'Landscape, SDXL',
+  '768x768': 'Square, SD 2',
+  '512x512': 'Square, SD 1.5'
+};
+const SD_QUALITIES = { low: 'Fast', medium: 'Balanced', high: 'Detailed' };
+
+const IMAGE_PROVIDERS = {
+  openai: {
+    label: 'OpenAI or compatible',
+    help: 'Any server with an OpenAI-style /images/generations endpoint. Servers on your own network may not need a key.',
+    fields: [
+      { key: 'baseUrl', label: 'Base URL', placeholder: OPENAI_BASE_URL },
+      { key: 'model', label: 'Model', placeholder: 'gpt-image-1' },
+      { key: 'apiKey', label: 'API key', type: 'password', placeholder: 'sk-...' }
+    ],
+    defaults: { baseUrl: OPENAI_BASE_URL, model: 'gpt-image-1', apiKey: '' },
+    capabilities: config => getOpenAIImageModel(config.model),
+    validate: validateOpenAISettings,
+    generate: generateWithOpenAI
+  },
+  azure: {
+    label: 'Azure OpenAI',
+    help: 'Images are generated with a deployment of an image model in your Azure OpenAI resource.',
+    fields: [
+      { key: 'endpoint', label: 'Endpoint', placeholder: 'https://my-resource.openai.azure.com' },
+      { key: 'deployment', label: 'Deployment', placeholder: 'my-image-deployment' },
+      { key: 'model', label: 'Model of the deployment', placeholder: 'gpt-image-1 or dall-e-3' },
+      { key: 'apiVersion', label: 'API version', placeholder: '2025-04-01-preview' },
+      { key: 'apiKey', label: 'API key', type: 'password' }
+    ],
+    defaults: { endpoint: '', deployment: '', model: 'gpt-image-1', apiVersion: '2025-04-01-preview', apiKey: '' },
+    capabilities: config => getOpenAIImageModel(config.model),
+    validate: validateAzureSettings,
+    generate: generateWithAzure
+  },
+  sdwebui: {
+    label: 'Stable Diffusion WebUI',
+    help: 'Start the WebUI with --api. The username and password are the ones given to --api-auth, if any.',
+    fields: [
+      { key: 'baseUrl', label: 'URL', placeholder: 'http://127.0.0.1:7860' },
+      { key: 'username', label: 'Username (optional)' },
+      { key: 'password', label: 'Password (optional)', type: 'password' },
+      { key: 'negativePrompt', label: 'Negative prompt (optional)', placeholder: 'text, watermark, blurry' }
+    ],
+    defaults: { baseUrl: 'http://127.0.0.1:7860', username: '', password: '', negativePrompt: '' },
+    capabilities: () => ({ sizes: SD_IMAGE_SIZES, qualities: SD_QUALITIES, transparent: false }),
+    validate: validateSDWebUISettings,
+    generate: generateWithSDWebUI
+  },
+  comfyui: {
+    label: 'ComfyUI',
+    help: 'Export the workflow with "Save (API Format)" and put {{prompt}} where the prompt goes. ' +
+      '{{width}}, {{height}}, {{count}} and {{seed}} are filled in as well.',
+    fields: [
+      { key: 'baseUrl', label: 'URL', placeholder: 'http://127.0.0.1:8188' },
+      { key: 'token', label: 'Bearer token (optional)', type: 'password' },
+      { key: 'workflow', label: 'Workflow (API format JSON)', type: 'textarea' }
+    ],
+    defaults: { baseUrl: 'http://127.0.0.1:8188', token: '', workflow: '' },
+    // The workflow decides the quality; the size is only what {{width}} and {{height}} become
+    capabilities: () => ({ sizes: SD_IMAGE_SIZES, qualities: {}, transparent: false }),
+    validate: validateComfyUISettings,
+    generate: generateWithComfyUI
+  }
+};
+
+// ===== SETTINGS =====
+
+async function getImageProviderSettings() {
+  const data = await chrome.storage.local.get(['imageProvider', 'openaiApiKey']);
+  const stored = data.imageProvider || {};
+  const settings = { type: IMAGE_PROVIDERS[stored.type] ? stored.type : 'openai' };
+  Object.entries(IMAGE_PROVIDERS).forEach(([type, provider]) => {
+    settings[type] = { ...provider.defaults, ...stored[type] };
+  });
+
+  // Key saved before there was a choice of providers
+  if (!settings.openai.apiKey && data.openaiApiKey) {
+    settings.openai.apiKey = data.openaiApiKey;
+  }
+  return settings;
+}
+
+async function saveImageProviderSettings(settings) {
+  await chrome.storage.local.set({ imageProvider: settings });
+  await chrome.storage.local.remove('openaiApiKey');
+}
+
+/**
+ * Check the settings of the selected provider
+ * @param {Object} settings - As returned by getImageProviderSettings()
+ * @returns {string[]} Problems found, empty if the provider is ready to generate
+ */
+function validateImageProvider(settings) {
+  const provider = IMAGE_PROVIDERS[settings.type];
+  return provider.validate(settings[settings.type]);
+}
+
+/**
+ * What the selected provider can be asked for
+ * @param {Object} settings - As returned by getImageProviderSettings()
+ * @returns {{sizes: Object, qualities: Object, transparent: boolean}} Sizes ('WIDTHxHEIGHT')
+ *   and qualities map to their labels, the first size is the default; no qualities means the
+ *   provider has no choice of quality
+ */
+function getImageProviderCapabilities(settings) {
+  return IMAGE_PROVIDERS[settings.type].capabilities(settings[settings.type]);
+}
+
+// Short description of the selected provider for the popup, such as "Azure OpenAI (emojis)"
+function describeImageProvider(settings) {
+  const config = settings[settings.type];
+  if (settings.type === 'openai' && config.baseUrl === OPENAI_BASE_URL) {
+    return `OpenAI (${config.model})`;
+  }
+
+  const detail = settings.type === 'azure' ? config.deployment : getUrlHost(config.baseUrl);
+  const label = IMAGE_PROVIDERS[settings.type].label;
+  return detail ? `${label} (${detail})` : label;
+}
+
+/**
+ * Generate images with the selected provider
+ * @param {string} prompt
+ * @param {Object} options - { count, size: 'WIDTHxHEIGHT', quality, transparent }
+ * @returns {Promise<string[]>} One URL or data URL per image
+ */
+async function generateImages(prompt, options) {
+  const settings = await getImageProviderSettings();
+  const errors = validateImageProvider(settings);
+  if (errors.length > 0) {
+    throw new Error(`${IMAGE_PROVIDERS[settings.type].label} isn't set up: ${errors.join(' ')}`);
+  }
+
+  const urls = await IMAGE_PROVIDERS[settings.type].generate(settings[settings.type], prompt, options);
+  if (urls.length === 0) {
+    throw new Error('The image provider returned no images');
+  }
+  return urls;
+}
+
+// ===== HELPERS =====
+
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function getUrlHost(value) {
+  try {
+    return new URL(value).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+function joinUrl(base, path) {
+  return base.replace(/\/+$/, '') + path;
+}
+
+function parseImageSize(size) {
+  const [width, height] = size.split('x').map(Number);
+  return { width, height };
+}
+
+// POST JSON and read the JSON reply, with the server's own error message when it has one
+async function postJSON(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return readJSONResponse(response);
+}
+
+async function readJSONResponse(response) {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error('Image API Error:', errorData);
+    const message = errorData.error?.message || errorData.error || errorData.detail;
+    throw new Error(typeof message === 'string' ? message : `API request failed with status ${response.status}`);
+  }
+  return await response.json();
+}
+
+// ===== OPENAI AND AZURE =====
+
+function validateOpenAISettings(config) {
+  const errors = [];
+  if (!isHttpUrl(config.baseUrl)) {
+    errors.push('The base URL should start with http:// or https://.');
+  }
+  if (!config.model) {
+    errors.push('Enter the model to use.');
+  }
+  // Keys are only known to look like this on OpenAI itself
+  const key = config.apiKey.trim();
+  if (config.baseUrl === OPENAI_BASE_URL && !(key.startsWith('sk-') && key.length > 20)) {
+    errors.push('Please enter a valid OpenAI API key (starts with sk-)');
+  }
+  return errors;
+}
+
+function validateAzureSettings(config) {
+  const errors = [];
+  if (!isHttpUrl(config.endpoint)) {
+    errors.push('The endpoint should be the https:// URL of your Azure OpenAI resource.');
+  }
+  if (!config.deployment) {
+    errors.push('Enter the name of the deployment.');
+  }
+  if (!config.model) {
+    errors.push('Enter the model the deployment runs.');
+  }
+  if (!config.apiVersion) {
+    errors.push('Enter the API version.');
+  }
+  if (!config.apiKey) {
+    errors.push('Enter the API key of the resource.');
+  }
+  return errors;
+}
+
+function getOpenAIImageModel(model) {
+  const prefix = Object.keys(OPENAI_IMAGE_MODELS).find(name => model.toLowerCase().startsWith(name));
+  return OPENAI_IMAGE_MODELS[prefix || 'gpt-image'];
+}
+
+// Both speak the OpenAI images API; the request only differs in URL, auth and whether the
+// body names the model. Options the model doesn't take are left out, and models that make
+// one image per request get several requests.
+async function requestOpenAIImages(url, headers, model, prompt, options, fields = {}) {
+  const capabilities = getOpenAIImageModel(model);
+  const body = { ...fields, prompt: prompt, size: options.size };
+  if (options.quality in capabilities.qualities) {
+    body.quality = options.quality;
+  }
+  if (options.transparent && capabilities.transparent) {
+    body.background = 'transparent';
+  }
+
+  if (capabilities.batch) {
+    return readOpenAIImages(await postJSON(url, { ...body, n: options.count }, headers));
+  }
+  const requests = Array.from({ length: options.count }, () => postJSON(url, { ...body, n: 1 }, headers));
+  return (await Promise.all(requests)).flatMap(readOpenAIImages);
+}
+
+// Handle both URL and base64 formats
+function readOpenAIImages(data) {
+  if (!Array.isArray(data.data) || data.data.length === 0) {
+    console.error('Unexpected API response structure:', data);
+    throw new Error('Invalid response from the image API: ' + JSON.stringify(data).substring(0, 200));
+  }
+
+  return data.data.map(imageData => {
+    if (imageData.url) {
+      return imageData.url;
+    } else if (imageData.b64_json) {
+      return `data:image/png;base64,${imageData.b64_json}`;
+    } else {
+      throw new Error('No image URL or base64 data in response');
+    }
+  });
+}
+
+async function generateWithOpenAI(config, prompt, options) {
+  const headers = config.apiKey ? { 'Authorization': `Bearer ${config.apiKey.trim()}` } : {};
+  return requestOpenAIImages(
+    joinUrl(config.baseUrl, '/images/generations'),
+    headers,
+    config.model,
+    prompt,
+    options,
+    { model: config.model }
+  );
+}
+
+async function generateWithAzure(config, prompt, options) {
+  const path = `/openai/deployments/${encodeURIComponent(config.deployment)}/images/generations` +
+    `?api-version=${encodeURIComponent(config.apiVersion)}`;
+  return requestOpenAIImages(
+    joinUrl(config.endpoint, path),
+    { 'api-key': config.apiKey.trim() },
+    config.model,
+    prompt,
+    options
+  );
+}
+
+// ===== STABLE DIFFUSION WEBUI =====
+
+function validateSDWebUISettings(config) {
+  return isHttpUrl(config.baseUrl) ? [] : ['The URL should start with http:// or https://.'];
+}
+
+async function generateWithSDWebUI(config, prompt, options) {
+  const { width, height } = parseImageSize(options.size);
+  const headers = config.username
+    ? { 'Authorization': `Basic ${btoa(`${config.username}:${config.password}`)}` }
+    : {};
+  const data = await postJSON(joinUrl(config.baseUrl, '/sdapi/v1/txt2img'), {
+    prompt: prompt,
+    negative_prompt: config.negativePrompt,
+    width: width,
+    height: height,
+    batch_size: options.count,
+    steps: SD_QUALITY_STEPS[options.quality] || SD_QUALITY_STEPS.medium
+  }, headers);
+
+  if (!Array.isArray(data.images)) {
+    throw new Error('Invalid response from Stable Diffusion WebUI');
+  }
+  // Images come back as bare base64; extensions such as ControlNet can append more to the list
+  return data.images.slice(0, options.count).map(image => `data:image/png;base64,${image}`);
+}
+
+// ===== COMFYUI =====
+
+function validateComfyUISettings(config) {
+  const errors = [];
+  if (!isHttpUrl(config.baseUrl)) {
+    errors.push('The URL should start with http:// or https://.');
+  }
+
+  let workflow = null;
+  try {
+    workflow = JSON.parse(config.workflow);
+  } catch (error) {
+    errors.push('Paste the workflow exported with "Save (API Format)".');
+  }
+  if (workflow && (typeof workflow !== 'object' || !config.workflow.includes('{{prompt}}'))) {
+    errors.push('Put {{prompt}} in the workflow where the prompt goes.');
+  }
+  return errors;
+}
+
+// Replace placeholders in every string of the workflow. A string that is only a placeholder
+// becomes the value itself, so numeric inputs such as width get numbers.
+function fillWorkflow(node, values) {
+  if (typeof node === 'string') {
+    const whole = node.match(/^\{\{(\w+)\}\}$/);
+    if (whole && whole[1] in values) {
+      return values[whole[1]];
+    }
+    return node.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => name in values ? String(values[name]) : placeholder);
+  }
+  if (Array.isArray(node)) {
+    return node.map(item => fillWorkflow(item, values));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fillWorkflow(value, values)]));
+  }
+  return node;
+}
+
+// Queue the workflow, wait for it to finish and fetch the images its nodes saved
+async function generateWithComfyUI(config, prompt, options) {
+  const { width, height } = parseImageSize(options.size);
+  const headers = config.token ? { 'Authorization': `Bearer ${config.token.trim()}` } : {};
+  const workflow = fillWorkflow(JSON.parse(config.workflow), {
+    // Quotes and backslashes in the prompt are safe, the workflow is filled in after parsing
+    prompt,
+    width,
+    height,
+    count: options.count,
+    seed: Math.floor(Math.random() * 2 ** 32)
+  });
+
+  const queued = await postJSON(joinUrl(config.baseUrl, '/prompt'), { prompt: workflow }, headers);
+  if (!queued.prompt_id) {
+    throw new Error('ComfyUI did not queue the workflow');
+  }
+
+  const started = Date.now();
+  let entry = null;
+  while (!entry) {
+    if (Date.now() - started > COMFYUI_TIMEOUT) {
+      throw new Error('ComfyUI took too long to generate the images');
+    }
+    await new Promise(resolve => setTimeout(resolve, COMFYUI_POLL_INTERVAL));
+    const history = await readJSONResponse(
+      await fetch(joinUrl(config.baseUrl, `/history/${queued.prompt_id}`), { headers })
+    );
+    entry = history[queued.prompt_id] || null;
+  }
+
+  if (entry.status && entry.status.status_str === 'error') {
+    throw new Error('The ComfyUI workflow failed');
+  }
+
+  // Saved images, or the previews of workflows that don't save any
+  const allImages = Object.values(entry.outputs || {}).flatMap(output => output.images || []);
+  const savedImages = allImages.filter(image => image.type === 'output');
+  const images = savedImages.length > 0 ? savedImages : allImages;
+
+  // The images are fetched here, since viewing them may need the token
+  return await Promise.all(images.slice(0, options.count).map(async (image) => {
+    const params = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type });
+    const response = await fetch(joinUrl(config.baseUrl, `/view?${params}`), { headers });
+    if (!response.ok) {
+      throw new Error('Failed to download generated image');
+    }
+    return blobToDataURL(await response.blob());
+  }));
+}
@@ -0,0 +1,555 @@
+// Shared reaction helpers, loaded by the popup and by the background service worker
+
+// Overlay runtime and animation modules, injected into the page before each reaction.
+// Adding an animation means adding its module here; menus are built from the registry.
+const OVERLAY_SCRIPTS = [
+  'overlay/runtime.js',
+  'overlay/host.js',
+  'overlay/renderer.js',
+  'overlay/origin.js',
+  'overlay/spec.js',
+  'overlay/frames.js',
+  'overlay/sounds.js',
+  'overlay/stickers.js',
+  'overlay/animations/boring.js',
+  'overlay/animations/burst.js',
+  'overlay/animations/drive.js',
+  'overlay/animations/drift.js',
+  'overlay/animations/fade.js',
+  'overlay/animations/reverse.js',
+  'overlay/animations/tornado.js',
+  'overlay/animations/wave.js'
+];
+
+// Load the overlay scripts into an extension page, so the animation registry is available
+// there too
+function loadOverlayScripts() {
+  return Promise.all(OVERLAY_SCRIPTS.map(src => new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = false; // Keep execution order: runtime first, then animations
+    script.onload = resolve;
+    script.onerror = () => reject(new Error('Failed to load ' + src));
+    document.head.appendChild(script);
+  })));
+}
+
+async function getSelectedAnimation() {
+  const data = await chrome.storage.local.get('selectedAnimation');
+  return data.selectedAnimation || 'burst';
+}
+
+// User-defined animations are stored as JSON specs in IndexedDB and registered
+// under this prefix followed by the spec id
+const SPEC_ANIMATION_PREFIX = 'spec:';
+
+/**
+ * Register every stored spec animation in this context's overlay registry,
+ * dropping ones that have been deleted since the last call
+ * @returns {Promise<void>}
+ */
+async function loadSpecAnimations() {
+  const specs = await getAllAnimationSpecs();
+
+  EmojiOverlay.listAnimations()
+    .filter(({ name }) => name.startsWith(SPEC_ANIMATION_PREFIX))
+    .forEach(({ name }) => EmojiOverlay.unregisterAnimation(name));
+
+  specs.forEach(({ id, spec }) => {
+    if (EmojiOverlay.validateAnimationSpec(spec).length === 0) {
+      EmojiOverlay.registerAnimation(SPEC_ANIMATION_PREFIX + id, EmojiOverlay.createSpecAnimation(spec));
+    }
+  });
+}
+
+// Let other contexts know the stored specs changed, so they reload them
+async function notifyAnimationSpecsChanged() {
+  await chrome.storage.local.set({ animationSpecsVersion: Date.now() });
+}
+
+// Tuned animation params: { [animationName]: { [paramName]: number } }
+async function getAnimationSettings() {
+  const data = await chrome.storage.local.get('animationSettings');
+  return data.animationSettings || {};
+}
+
+// When overlays swap moving animations for a fade: 'system' follows the page's
+// prefers-reduced-motion, 'always' and 'never' override it
+const REDUCED_MOTION_MODES = { system: 'Match system setting', always: 'Always', never: 'Never' };
+
+async function getReducedMotionMode() {
+  const data = await chrome.storage.local.get('reducedMotion');
+  return Object.keys(REDUCED_MOTION_MODES).includes(data.reducedMotion) ? data.reducedMotion : 'system';
+}
+
+// Where reactions start when they aren't fired at a point: the keys are the origin modes of
+// overlay/origin.js. Elements picked for the 'element' mode are remembered per site as
+// CSS selectors: { [hostname]: selector }
+const ORIGIN_MODES = {
+  center: 'Center of the page',
+  cursor: 'Mouse pointer',
+  element: 'Picked element',
+  edge: 'Bottom edge'
+};
+
+async function getOriginMode() {
+  const data = await chrome.storage.local.get('reactionOrigin');
+  return Object.keys(ORIGIN_MODES).includes(data.reactionOrigin) ? data.reactionOrigin : 'center';
+}
+
+async function getOriginSelectors() {
+  const data = await chrome.storage.local.get('originSelectors');
+  return data.originSelectors || {};
+}
+
+/**
+ * Remember the element picked on a site, or forget it
+ * @param {string} url - URL of a page on the site
+ * @param {string|null} selector - CSS selector, null to forget the site's element
+ * @returns {Promise<void>}
+ */
+async function saveOriginSelector(url, selector) {
+  const host = getSiteHost(url);
+  if (!host) return;
+
+  const selectors = await getOriginSelectors();
+  if (selector) {
+    selectors[host] = selector;
+  } else {
+    delete selectors[host];
+  }
+  await chrome.storage.local.set({ originSelectors: selectors });
+}
+
+/**
+ * Origin options for a reaction on a page, see play() in overlay/runtime.js
+ * @param {string} url - URL of the page the reaction plays on
+ * @returns {Promise<{originMode: string, originSelector?: string}>}
+ */
+async function getReactionOrigin(url) {
+  const [originMode, selectors] = await Promise.all([getOriginMode(), getOriginSelectors()]);
+  const host = getSiteHost(url);
+  return host && selectors[host] ? { originMode, originSelector: selectors[host] } : { originMode };
+}
+
+// Runs in the page after OVERLAY_SCRIPTS have been injected. The popup closes as soon as
+// the page is clicked, so the pick is reported to the background to store.
+function startElementPicker() {
+  EmojiOverlay.pickElement().then(selector => {
+    if (selector) {
+      chrome.runtime.sendMessage({ type: 'origin-element-picked', selector });
+    }
+  });
+}
+
+async function pickOriginElement(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: OVERLAY_SCRIPTS
+  });
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: startElementPicker
+  });
+}
+
+// Site profiles override the global settings on one site: { [hostname]: profile }
+//   enabled       false turns reactions off on the site
+//   animation     animation used when none is asked for, instead of the selected one
+//   maxParticles  most particles playing at once, see overlay/renderer.js
+//   opacity       0.1-1, how opaque particles are at their most opaque
+// Only values that differ from DEFAULT_SITE_PROFILE are stored.
+const DEFAULT_SITE_PROFILE = { enabled: true, animation: null, maxParticles: null, opacity: 1 };
+const SITE_PROFILE_MIN_OPACITY = 0.1;
+
+async function getSiteProfiles() {
+  const data = await chrome.storage.local.get('siteProfiles');
+  return data.siteProfiles || {};
+}
+
+/**
+ * Profile of the site a page is on
+ * @param {string} url - URL of the page
+ * @returns {Promise<{enabled: boolean, animation: string|null, maxParticles: number|null, opacity: number}>}
+ */
+async function getSiteProfile(url) {
+  const host = getSiteHost(url);
+  const profiles = host ? await getSiteProfiles() : {};
+  return { ...DEFAULT_SITE_PROFILE, ...profiles[host] };
+}
+
+/**
+ * Change the profile of the site a page is on
+ * @param {string} url - URL of a page on the site
+ * @param {Object|null} changes - Profile values to change, null to reset the site to the defaults
+ * @returns {Promise<void>}
+ */
+async function saveSiteProfile(url, changes) {
+  const host = getSiteHost(url);
+  if (!host) return;
+
+  const profiles = await getSiteProfiles();
+  const profile = changes ? { ...profiles[host], ...changes } : {};
+  Object.keys(profile).forEach(key => {
+    if (profile[key] === DEFAULT_SITE_PROFILE[key]) delete profile[key];
+  });
+
+  if (Object.keys(profile).length > 0) {
+    profiles[host] = profile;
+  } else {
+    delete profiles[host];
+  }
+  await chrome.storage.local.set({ siteProfiles: profiles });
+}
+
+// play() options for a site's particle limits
+function getSiteOverlayOptions(profile) {
+  return {
+    ...(profile.maxParticles && { maxParticles: profile.maxParticles }),
+    ...(profile.opacity < 1 && { opacity: Math.max(SITE_PROFILE_MIN_OPACITY, profile.opacity) })
+  };
+}
+
+// Keyboard shortcut slots: [{ emoji: ref|null, animation: name|null }], indexed by
+// the N in the `fire-favorite-N` commands. A null animation uses the selected one.
+const SHORTCUT_SLOT_COUNT = 5;
+
+async function getShortcutSlots() {
+  const data = await chrome.storage.local.get('shortcutSlots');
+  const slots = data.shortcutSlots || [];
+  return Array.from({ length: SHORTCUT_SLOT_COUNT }, (_, i) => slots[i] || { emoji: null, animation: null });
+}
+
+// Hostname for per-site settings, null for pages such as chrome:// URLs
+function getSiteHost(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return /^https?:$/.test(protocol) ? hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Emoji references are the stable, storable identity of a grid item:
+//   { kind: 'unicode', value: '🔥' }
+//   { kind: 'builtin', src: 'emojis/fire.png' }
+//   { kind: 'custom', id: 'custom_1700000000000' }
+
+// String key for an emoji reference, for comparisons and <option> values
+function emojiRefKey(ref) {
+  return `${ref.kind}:${ref.value ?? ref.src ?? ref.id}`;
+}
+
+// Images bundled in emojis/, in the order the grid shows them
+const BUILTIN_EMOJI_SRCS = [
+  'emojis/clap.png',
+  'emojis/cookin.png',
+  'emojis/fire.png',
+  'emojis/heart.png',
+  'emojis/letsgo.png',
+  'emojis/money.png',
+  'emojis/party.png',
+  'emojis/rocket.png',
+  'emojis/thumbsup.png'
+];
+
+// Built-in images are named after their file, e.g. "emojis/clap.png" -> "clap"
+function getBuiltinEmojiName(src) {
+  return src.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Name of an emoji for menus and lists, without reading its image
+ * @param {Object} ref - Emoji reference
+ * @returns {Promise<string|null>} Null if a custom image no longer exists
+ */
+async function getEmojiRefLabel(ref) {
+  if (ref.kind === 'unicode') {
+    return ref.value;
+  }
+  if (ref.kind === 'builtin') {
+    return getBuiltinEmojiName(ref.src);
+  }
+  const image = await getImage(ref.id);
+  return image ? image.name : null;
+}
+
+/**
+ * Resolve an emoji reference into the content descriptor the overlay runtime plays
+ * @param {Object} ref - Emoji reference
+ * @returns {Promise<Object|null>} Content descriptor, or null if a custom image no longer exists
+ */
+async function resolveEmojiRef(ref) {
+  if (!ref) return null;
+
+  if (ref.kind === 'unicode') {
+    return { type: 'unicode', value: ref.value };
+  }
+
+  if (ref.kind === 'builtin') {
+    return { type: 'image', src: chrome.runtime.getURL(ref.src), label: getBuiltinEmojiName(ref.src) };
+  }
+
+  if (ref.kind === 'custom') {
+    const image = await getImage(ref.id);
+    if (!image) return null;
+    if (image.objectURL) URL.revokeObjectURL(image.objectURL);
+    // Object URLs don't work across contexts, so the page gets a data URL
+    return {
+      type: 'image',
+      src: await blobToDataURL(image.blob),
+      label: image.name,
+      ...(image.sprite && { sprite: image.sprite }),
+      playback: image.playback
+    };
+  }
+
+  return null;
+}
+
+// Runs in the page after OVERLAY_SCRIPTS have been injected. `options.playAt` (a
+// Date.now() timestamp) holds the reaction back, so sequence steps injected one by one
+// still start exactly when they should.
+function showOverlay(content, animationType, options) {
+  // Spec animations only live in IndexedDB, so they travel with the reaction
+  if (options.spec) {
+    EmojiOverlay.registerAnimation(animationType, EmojiOverlay.createSpecAnimation(options.spec));
+  }
+
+  const wait = (options.playAt || 0) - Date.now();
+  if (wait > 0) {
+    setTimeout(() => EmojiOverlay.play(content, animationType, options), wait);
+  } else {
+    EmojiOverlay.play(content, animationType, options);
+  }
+}
+
+// Tuned params, the reduced motion mode and the spec of spec animations, which travel
+// with each reaction
+async function getOverlayOptions(animationType, options = {}) {
+  const [animationSettings, reducedMotion] = await Promise.all([getAnimationSettings(), getReducedMotionMode()]);
+  const params = options.params || animationSettings[animationType || 'burst'];
+
+  let spec = options.spec;
+  if (!spec && animationType && animationType.startsWith(SPEC_ANIMATION_PREFIX)) {
+    const record = await getAnimationSpec(animationType.slice(SPEC_ANIMATION_PREFIX.length));
+    spec = record ? record.spec : undefined;
+  }
+
+  return { ...options, params, spec, reducedMotion };
+}
+
+async function injectOverlay(tabId, content, animationType, options = {}) {
+  const overlayOptions = await getOverlayOptions(animationType, options);
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: OVERLAY_SCRIPTS
+  });
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: showOverlay,
+    args: [content, animationType, overlayOptions]
+  });
+}
+
+// Most recently fired emoji references, newest first
+const RECENT_REACTIONS_LIMIT = 8;
+
+async function getRecentReactions() {
+  const data = await chrome.storage.local.get('recentReactions');
+  return data.recentReactions || [];
+}
+
+async function recordReaction(ref) {
+  const key = emojiRefKey(ref);
+  const recent = (await getRecentReactions()).filter(item => emojiRefKey(item) !== key);
+  recent.unshift(ref);
+
+  await chrome.storage.local.set({
+    lastReaction: ref,
+    recentReactions: recent.slice(0, RECENT_REACTIONS_LIMIT)
+  });
+}
+
+// Emoji references starred in the popup, in the order they were starred
+async function getFavoriteEmojis() {
+  const data = await chrome.storage.local.get('favoriteEmojis');
+  return data.favoriteEmojis || [];
+}
+
+/**
+ * Star or unstar an emoji
+ * @param {Object} ref - Emoji reference
+ * @returns {Promise<boolean>} Whether the emoji is a favorite now
+ */
+async function toggleFavoriteEmoji(ref) {
+  const key = emojiRefKey(ref);
+  const favorites = await getFavoriteEmojis();
+  const remaining = favorites.filter(item => emojiRefKey(item) !== key);
+  const isFavorite = remaining.length === favorites.length;
+
+  await chrome.storage.local.set({ favoriteEmojis: isFavorite ? [...favorites, ref] : remaining });
+  return isFavorite;
+}
+
+/**
+ * Drop deleted custom emojis from the favorites, recent reactions and sound assignments
+ * @param {string[]} [ids] - Deleted image ids, defaults to every custom emoji
+ * @returns {Promise<void>}
+ */
+async function forgetCustomEmojis(ids) {
+  const isDeleted = ref => ref.kind === 'custom' && (!ids || ids.includes(ref.id));
+  const [favorites, recent, soundAssignments] = await Promise.all([
+    getFavoriteEmojis(),
+    getRecentReactions(),
+    getSoundAssignments()
+  ]);
+
+  await chrome.storage.local.set({
+    favoriteEmojis: favorites.filter(ref => !isDeleted(ref)),
+    recentReactions: recent.filter(ref => !isDeleted(ref)),
+    soundAssignments: {
+      ...soundAssignments,
+      emojis: soundAssignments.emojis.filter(item => !isDeleted(item.emoji))
+    }
+  });
+}
+
+// The tab a reaction goes to: the given one, or the active tab
+async function getReactionTab(tabId) {
+  return tabId === undefined
+    ? (await chrome.tabs.query({ active: true, lastFocusedWindow: true }))[0]
+    : chrome.tabs.get(tabId);
+}
+
+// Called with { ref, animationType, tabId } after every reaction fired through fireEmoji
+const reactionListeners = [];
+
+function addReactionListener(listener) {
+  reactionListeners.push(listener);
+}
+
+/**
+ * Fire an emoji in a tab and remember it as the last used reaction
+ * The emoji's or animation's sound plays with it unless sounds are muted for the page, and
+ * the site's profile applies to it.
+ * @param {Object} ref - Emoji reference
+ * @param {string} [animationType] - Defaults to the site's animation, then the selected one
+ * @param {Object} [options]
+ * @param {number} [options.tabId] - Defaults to the active tab
+ * @param {{x: number, y: number}} [options.origin] - Viewport point the reaction starts from,
+ *   instead of where the origin setting puts it
+ * @param {boolean} [options.record=true] - Remember the emoji as the last used reaction and
+ *   tell reaction listeners; reactions fired automatically by rules are not
+ * @returns {Promise<boolean>} False if the emoji could not be resolved or shown, or reactions
+ *   are off on the site
+ */
+async function fireEmoji(ref, animationType, { tabId, origin, record = true } = {}) {
+  try {
+    const content = await resolveEmojiRef(ref);
+    if (!content) {
+      console.warn('Emoji no longer exists:', ref);
+      return false;
+    }
+
+    const tab = await getReactionTab(tabId);
+    if (!tab) return false;
+    tabId = tab.id;
+
+    const profile = await getSiteProfile(tab.url);
+    if (!profile.enabled) return false;
+
+    animationType = animationType || profile.animation || await getSelectedAnimation();
+    const sound = await getReactionSound(ref, animationType, tab.url);
+    const placement = origin ? { origin } : await getReactionOrigin(tab.url);
+    await injectOverlay(tabId, content, animationType, { ...placement, ...getSiteOverlayOptions(profile), sound });
+    if (record) {
+      await recordReaction(ref);
+      reactionListeners.forEach(listener => listener({ ref, animationType, tabId }));
+    }
+    return true;
+  } catch (error) {
+    // Pages such as chrome:// URLs and the Web Store can't be scripted
+    console.error('Error showing overlay:', error);
+    return false;
+  }
+}
+
+// ===== SEQUENCES =====
+
+// Reaction sequences play several emojis one after another from a single click:
+//   { id, name, steps: [{ ref, animation, delay }] }
+// `delay` is in ms after the previous step started, so a step can overlap the one before
+// it, and a delay of 0 layers it on top. A null animation uses the selected one.
+
+const SEQUENCE_LEAD_TIME = 150; // ms to inject every step before the first one plays
+
+/**
+ * Fire every step of a sequence in a tab
+ * Steps whose custom emoji was deleted are skipped; the others keep their timing. Steps
+ * without an animation use the site's animation, then the selected one.
+ * @param {{steps: Array<{ref: Object, animation: string|null, delay: number}>}} sequence
+ * @param {Object} [options]
+ * @param {number} [options.tabId] - Defaults to the active tab
+ * @returns {Promise<boolean>} False if the sequence could not be shown, or reactions are off
+ *   on the site
+ */
+async function fireSequence(sequence, { tabId } = {}) {
+  try {
+    const tab = await getReactionTab(tabId);
+    if (!tab) return false;
+    tabId = tab.id;
+
+    const profile = await getSiteProfile(tab.url);
+    if (!profile.enabled) return false;
+
+    // Resolve every step first, so reading images doesn't eat into the timing
+    const selectedAnimation = profile.animation || await getSelectedAnimation();
+    const placement = { ...await getReactionOrigin(tab.url), ...getSiteOverlayOptions(profile) };
+    const steps = [];
+    let offset = 0;
+
+    for (const step of sequence.steps) {
+      offset += Math.max(0, Number(step.delay) || 0);
+
+      const content = await resolveEmojiRef(step.ref);
+      if (!content) {
+        console.warn('Emoji no longer exists:', step.ref);
+        continue;
+      }
+
+      const animationType = step.animation || selectedAnimation;
+      const sound = await getReactionSound(step.ref, animationType, tab.url);
+      steps.push({ content, animationType, at: offset, options: await getOverlayOptions(animationType, { ...placement, sound }) });
+    }
+
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: OVERLAY_SCRIPTS
+    });
+
+    const start = Date.now() + SEQUENCE_LEAD_TIME;
+    for (const { content, animationType, at, options } of steps) {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: showOverlay,
+        args: [content, animationType, { ...options, playAt: start + at }]
+      });
+    }
+    return true;
+  } catch (error) {
+    // Pages such as chrome:// URLs and the Web Store can't be scripted
+    console.error('Error showing sequence:', error);
+    return false;
+  }
+}
@@ -0,0 +1,330 @@
+// Reference relay server for shared reactions. No dependencies, run it with:
+//
+//   node relay/server.js [port]          (or PORT=8787 node relay/server.js)
+//
+// Clients connect over WebSocket and exchange JSON messages:
+//
+//   server -> client  { type: 'welcome', id }
+//   client -> server  { type: 'join', room, name }       switch to a room ('' leaves)
+//   client -> server  { type: 'reaction', emoji, animation }
+//   server -> room    { type: 'reaction', room, emoji, animation, sender: { id, name } }
+//   client -> server  { type: 'image', hash, mime, data }  upload a custom image (base64)
+//   client -> server  { type: 'image-request', hash }
+//   server -> client  { type: 'image', hash, mime, data }
+//   server -> room    { type: 'image-request', hash }       the relay lost an image, re-upload it
+//   server -> client  { type: 'error', message, hash? }    `hash` names an unknown image
+//   client -> server  { type: 'ping' }                     keepalive, answered with 'pong'
+//
+// `emoji` is { kind: 'unicode', value }, { kind: 'builtin', src } or { kind: 'image', hash, mime }.
+// Image emojis may also carry `sprite` and `playback`, which are passed through untouched.
+// Custom images are referenced by the SHA-256 of their bytes; the relay verifies and caches
+// uploads so receivers can fetch images they don't have yet. When a requested image was
+// evicted, the requester gets an error and the rest of its room is asked to upload it again.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // Fits a 10MB custom image as base64
+const MAX_CACHE_SIZE = 100 * 1024 * 1024;
+const RATE_LIMIT = { reactions: 10, windowMs: 10000 }; // Per sender
+const REUPLOAD_REQUEST_INTERVAL = 10000; // ms between asks to re-upload the same image
+
+const rooms = new Map(); // room -> Set of clients
+const imageCache = new Map(); // hash -> { mime, data }, in insertion order for eviction
+let imageCacheSize = 0;
+const reuploadRequests = new Map(); // hash -> when a room was last asked to re-upload it
+let nextClientId = 1;
+
+// ===== WEBSOCKET FRAMING =====
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+// Parse as many complete frames as the buffer holds
+// Returns the frames and the unconsumed remainder
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+
+    if (length > MAX_MESSAGE_SIZE) {
+      throw new Error('Message too large');
+    }
+
+    const masked = (second & 0x80) !== 0;
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length - offset < headerLength + maskLength + length) break;
+
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset += headerLength + maskLength + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// ===== CLIENTS =====
+
+function send(client, message) {
+  if (client.socket.writable) {
+    client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  }
+}
+
+function leaveRoom(client) {
+  const members = rooms.get(client.room);
+  if (members) {
+    members.delete(client);
+    if (members.size === 0) rooms.delete(client.room);
+  }
+  client.room = null;
+}
+
+function isRateLimited(client) {
+  const now = Date.now();
+  client.reactionTimes = client.reactionTimes.filter(time => now - time < RATE_LIMIT.windowMs);
+  if (client.reactionTimes.length >= RATE_LIMIT.reactions) return true;
+  client.reactionTimes.push(now);
+  return false;
+}
+
+function cacheImage(hash, mime, data) {
+  if (imageCache.has(hash)) return;
+
+  imageCache.set(hash, { mime, data });
+  imageCacheSize += data.length;
+
+  // Evict the oldest images once over budget
+  for (const [oldHash, image] of imageCache) {
+    if (imageCacheSize <= MAX_CACHE_SIZE) break;
+    imageCache.delete(oldHash);
+    imageCacheSize -= image.data.length;
+  }
+}
+
+// Ask the requester's room for an image the relay no longer has; whoever uploaded it sends it
+// again, and the requester gets it with its next request
+function requestReupload(client, hash) {
+  if (!client.room || typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) return;
+
+  const now = Date.now();
+  if (now - (reuploadRequests.get(hash) || 0) < REUPLOAD_REQUEST_INTERVAL) return;
+  reuploadRequests.delete(hash); // Re-inserted, so the map stays ordered by time
+  reuploadRequests.set(hash, now);
+  for (const [oldHash, time] of reuploadRequests) {
+    if (now - time < REUPLOAD_REQUEST_INTERVAL) break;
+    reuploadRequests.delete(oldHash);
+  }
+
+  rooms.get(client.room).forEach(member => {
+    if (member !== client) send(member, { type: 'image-request', hash });
+  });
+}
+
+function isValidEmoji(emoji) {
+  if (!emoji || typeof emoji !== 'object') return false;
+  if (emoji.kind === 'unicode') return typeof emoji.value === 'string' && emoji.value.length <= 32;
+  if (emoji.kind === 'builtin') return typeof emoji.src === 'string' && /^emojis\/[\w.-]+$/.test(emoji.src);
+  if (emoji.kind === 'image') return typeof emoji.hash === 'string' && /^[0-9a-f]{64}$/.test(emoji.hash);
+  return false;
+}
+
+function handleMessage(client, message) {
+  switch (message.type) {
+    case 'join':
+      leaveRoom(client);
+      client.name = String(message.name || 'Someone').slice(0, 40);
+      if (message.room) {
+        client.room = String(message.room).slice(0, 200);
+        if (!rooms.has(client.room)) rooms.set(client.room, new Set());
+        rooms.get(client.room).add(client);
+      }
+      break;
+
+    case 'reaction': {
+      if (!client.room) {
+        send(client, { type: 'error', message: 'Join a room before reacting' });
+        return;
+      }
+      if (!isValidEmoji(message.emoji)) {
+        send(client, { type: 'error', message: 'Invalid emoji' });
+        return;
+      }
+      if (isRateLimited(client)) {
+        send(client, { type: 'error', message: 'Rate limited' });
+        return;
+      }
+
+      const reaction = {
+        type: 'reaction',
+        room: client.room,
+        emoji: message.emoji,
+        animation: String(message.animation || '').slice(0, 100),
+        sender: { id: client.id, name: client.name }
+      };
+      rooms.get(client.room).forEach(member => {
+        if (member !== client) send(member, reaction);
+      });
+      break;
+    }
+
+    case 'image': {
+      const data = Buffer.from(String(message.data || ''), 'base64');
+      const hash = crypto.createHash('sha256').update(data).digest('hex');
+      if (hash !== message.hash || !/^image\//.test(message.mime)) {
+        send(client, { type: 'error', message: 'Invalid image' });
+        return;
+      }
+      cacheImage(hash, message.mime, message.data);
+      break;
+    }
+
+    case 'image-request': {
+      const image = imageCache.get(message.hash);
+      if (image) {
+        send(client, { type: 'image', hash: message.hash, mime: image.mime, data: image.data });
+      } else {
+        send(client, { type: 'error', message: 'Unknown image', hash: message.hash });
+        requestReupload(client, message.hash);
+      }
+      break;
+    }
+
+    case 'ping':
+      send(client, { type: 'pong' });
+      break;
+
+    default:
+      send(client, { type: 'error', message: 'Unknown message type' });
+  }
+}
+
+function handleConnection(socket) {
+  const client = { id: String(nextClientId++), socket, room: null, name: 'Someone', reactionTimes: [] };
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentsSize = 0;
+
+  send(client, { type: 'welcome', id: client.id });
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let decoded;
+    try {
+      decoded = decodeFrames(buffer);
+    } catch (error) {
+      socket.destroy();
+      return;
+    }
+    buffer = decoded.rest;
+
+    decoded.frames.forEach(({ fin, opcode, payload }) => {
+      if (socket.destroyed) return;
+      if (opcode === 0x8) {
+        socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xA, payload));
+        return;
+      }
+      if (opcode !== 0x1 && opcode !== 0x0) return;
+
+      // A message split over frames is bounded like a single frame
+      fragmentsSize += payload.length;
+      if (fragmentsSize > MAX_MESSAGE_SIZE) {
+        socket.destroy();
+        return;
+      }
+      fragments.push(payload);
+      if (!fin) return;
+
+      const text = Buffer.concat(fragments).toString('utf8');
+      fragments = [];
+      fragmentsSize = 0;
+
+      try {
+        handleMessage(client, JSON.parse(text));
+      } catch (error) {
+        send(client, { type: 'error', message: 'Malformed message' });
+      }
+    });
+  });
+
+  socket.on('close', () => leaveRoom(client));
+  socket.on('error', () => leaveRoom(client));
+}
+
+// ===== SERVER =====
+
+const server = http.createServer((request, response) => {
+  response.writeHead(200, { 'Content-Type': 'text/plain' });
+  response.end('Emoji Overlay relay\n');
+});
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  handleConnection(socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`Emoji Overlay relay listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,98 @@
+// Automatic reaction rules, shared by the options page that edits them, the content script
+// that watches pages for their triggers (triggers.js) and the background service worker that
+// fires them. Rules live in chrome.storage, which content scripts can read too:
+//   { id, name, enabled, site, trigger: { type, value }, emoji: ref, animation, cooldown }
+//
+// `site` is a hostname that also covers its subdomains, empty for every site. A null
+// animation uses the selected one. `cooldown` is the least number of seconds between two
+// reactions from the rule, across all tabs.
+
+const RULE_TRIGGER_TYPES = {
+  text: { label: 'Text appears', placeholder: 'Merged' },
+  selector: { label: 'Element appears', placeholder: '.build-status.passed' },
+  submit: { label: 'Form is submitted', placeholder: 'Any form, or a selector for the form' },
+  url: { label: 'URL matches', placeholder: 'github.com/*/pull/*' }
+};
+const DEFAULT_RULE_COOLDOWN = 60; // s
+const MAX_RULE_COOLDOWN = 24 * 60 * 60; // s
+
+async function getReactionRules() {
+  const data = await chrome.storage.local.get('reactionRules');
+  return data.reactionRules || [];
+}
+
+async function saveReactionRules(rules) {
+  await chrome.storage.local.set({ reactionRules: rules });
+}
+
+/**
+ * Whether a rule watches the page at a URL
+ * @param {Object} rule
+ * @param {string} url
+ * @returns {boolean}
+ */
+function ruleAppliesToPage(rule, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (!/^(https?|file):$/.test(parsed.protocol)) return false;
+  if (!rule.site) return true;
+
+  const site = rule.site.toLowerCase();
+  return parsed.hostname === site || parsed.hostname.endsWith('.' + site);
+}
+
+/**
+ * Match a URL against a rule's pattern
+ * `*` matches anything, and the pattern has to cover the whole URL. Patterns without a
+ * scheme, such as "github.com/*", are matched against the URL without its scheme.
+ * @param {string} url
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function urlMatchesPattern(url, pattern) {
+  const target = pattern.includes('://') ? url : url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(target);
+}
+
+/**
+ * Check a rule before saving it
+ * @param {Object} rule
+ * @returns {string[]} Problems found, empty if the rule is valid
+ */
+function validateRule(rule) {
+  const errors = [];
+  const { type, value } = rule.trigger || {};
+
+  if (!RULE_TRIGGER_TYPES[type]) {
+    errors.push('Pick what triggers the rule.');
+  } else if (!value && type !== 'submit') {
+    errors.push(`"${RULE_TRIGGER_TYPES[type].label}" needs something to look for.`);
+  }
+
+  if ((type === 'selector' || type === 'submit') && value) {
+    try {
+      document.createDocumentFragment().querySelector(value);
+    } catch (error) {
+      errors.push(`"${value}" is not a valid CSS selector.`);
+    }
+  }
+
+  if (rule.site && !/^[a-z0-9.-]+$/i.test(rule.site)) {
+    errors.push('The site should be a hostname such as github.com.');
+  }
+
+  if (!rule.emoji) {
+    errors.push('Pick an emoji.');
+  }
+
+  if (!Number.isFinite(rule.cooldown) || rule.cooldown < 0 || rule.cooldown > MAX_RULE_COOLDOWN) {
+    errors.push('The cooldown should be between 0 seconds and a day.');
+  }
+
+  return errors;
+}
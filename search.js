@@ -0,0 +1,89 @@
+// Emoji search: the bundled keyword index for Unicode emojis, and relevance ranking
+// shared by Unicode emojis, built-in images and custom images
+
+let emojiKeywordsPromise = null;
+
+/**
+ * Load the keyword index, once per context
+ * @returns {Promise<Object<string, string[]>>} Search terms by emoji; the first term is the short name
+ */
+function loadEmojiKeywords() {
+  if (!emojiKeywordsPromise) {
+    emojiKeywordsPromise = fetch(chrome.runtime.getURL('data/emoji-keywords.json'))
+      .then(response => response.json())
+      .catch(error => {
+        emojiKeywordsPromise = null; // Try again on the next search
+        throw error;
+      });
+  }
+  return emojiKeywordsPromise;
+}
+
+// Lowercase, and treat underscores, dashes and repeated spaces as a single space
+function normalizeSearchText(text) {
+  return text.toLowerCase().replace(/[_\-\s]+/g, ' ').trim();
+}
+
+// How well one query word matches one term
+function scoreSearchWord(word, term) {
+  if (term === word) return 120;
+  const parts = term.split(' ');
+  if (parts.includes(word)) return 70;
+  if (term.startsWith(word)) return 60;
+  if (parts.some(part => part.startsWith(word))) return 40;
+  if (word.length > 1 && term.includes(word)) return 15;
+  return 0;
+}
+
+/**
+ * Score how well a query matches an emoji's search terms
+ *
+ * Every word of the query must match some term. A query equal to the name (the first
+ * term) ranks above everything else, exact keywords and aliases come next, and partial
+ * matches on the name count more than partial matches on keywords.
+ *
+ * @param {string} query - Normalized query
+ * @param {string[]} terms - Normalized name followed by keywords and aliases
+ * @returns {number} Relevance, 0 if the emoji doesn't match
+ */
+function scoreSearchMatch(query, terms) {
+  if (terms.length === 0) return 0;
+
+  const [name] = terms;
+  if (name === query) return 1000;
+
+  let score = 0;
+
+  for (const word of query.split(' ')) {
+    let best = 0;
+    terms.forEach((term, index) => {
+      const wordScore = scoreSearchWord(word, term) * (index === 0 ? 1.5 : 1);
+      best = Math.max(best, wordScore);
+    });
+
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  return score;
+}
+
+/**
+ * Filter and rank search candidates, best match first
+ * Candidates that score the same keep their original order.
+ * @param {string} query - Raw query as typed
+ * @param {Array<{terms: string[]}>} candidates - Anything with search terms
+ * @param {number} [limit=Infinity] - Maximum number of results
+ * @returns {Array<Object>} Matching candidates
+ */
+function searchEmojis(query, candidates, limit = Infinity) {
+  const normalized = normalizeSearchText(query);
+  if (!normalized) return [];
+
+  return candidates
+    .map(candidate => ({ candidate, score: scoreSearchMatch(normalized, candidate.terms.map(normalizeSearchText)) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
@@ -0,0 +1,349 @@
+// Shared reactions: WebSocket client for the relay protocol described in relay/server.js.
+// The connection lives in the background service worker; the popup only edits the settings.
+
+const DEFAULT_SHARING_SETTINGS = {
+  enabled: false,
+  relayUrl: 'ws://localhost:8787',
+  name: '',
+  room: '' // Empty shares with everyone on the same page URL
+};
+const KEEPALIVE_INTERVAL = 20000; // Relay traffic keeps the service worker alive
+const MAX_RECONNECT_DELAY = 30000;
+const RECEIVE_LIMIT = { reactions: 5, windowMs: 5000 }; // Per sender, on top of the relay's limit
+const MAX_CACHED_IMAGES = 20;
+const PENDING_IMAGE_TIMEOUT = 15000; // ms to wait for a requested image before asking again
+const MAX_PENDING_REACTIONS = 5; // Per image, later ones are dropped while it loads
+
+const sharing = {
+  settings: null,
+  socket: null,
+  status: 'disconnected',
+  room: null,
+  uploadedHashes: new Map(), // hash -> id of the custom images the relay already has from us
+  images: new Map(), // hash -> data URL of received custom images
+  pendingReactions: new Map(), // hash -> { messages, timer }, reactions waiting for the image
+  senderTimes: new Map(), // sender id -> recent reaction timestamps
+  reconnectDelay: 1000,
+  reconnectTimer: null,
+  keepaliveTimer: null
+};
+
+async function getSharingSettings() {
+  const data = await chrome.storage.local.get('sharingSettings');
+  return { ...DEFAULT_SHARING_SETTINGS, ...data.sharingSettings };
+}
+
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Room for a tab: the named room from the settings, or one derived from the page URL.
+ * URLs are hashed so the relay never sees which pages people are on.
+ * @param {string} url - The tab's URL
+ * @returns {Promise<string|null>} Null when the page can't be shared
+ */
+async function getRoomForUrl(url) {
+  if (sharing.settings.room) {
+    return `room:${sharing.settings.room}`;
+  }
+
+  if (!url || !/^https?:/.test(url)) return null;
+
+  const { origin, pathname } = new URL(url);
+  return `url:${await sha256Hex(new TextEncoder().encode(origin + pathname))}`;
+}
+
+function sendToRelay(message) {
+  if (sharing.socket && sharing.socket.readyState === WebSocket.OPEN) {
+    sharing.socket.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+}
+
+function joinRoom(room) {
+  sharing.room = room;
+  sendToRelay({ type: 'join', room: room || '', name: sharing.settings.name || 'Someone' });
+}
+
+// Follow the active tab, so URL rooms always match the page in front of the user
+async function syncSharingRoom() {
+  if (sharing.status !== 'connected') return;
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const room = await getRoomForUrl(tab && tab.url);
+  if (room !== sharing.room) {
+    joinRoom(room);
+  }
+}
+
+// ===== CONNECTION =====
+
+// Apply the current settings: connect, reconnect to a new relay, or disconnect
+async function startSharing() {
+  const previous = sharing.settings;
+  sharing.settings = await getSharingSettings();
+
+  if (!sharing.settings.enabled) {
+    stopSharing();
+    return;
+  }
+
+  const relayChanged = !previous || previous.relayUrl !== sharing.settings.relayUrl;
+  if (sharing.socket && !relayChanged) {
+    // Name or room changed: rejoin with the new values
+    sharing.room = null;
+    await syncSharingRoom();
+    return;
+  }
+
+  stopSharing();
+  connectRelay();
+}
+
+function stopSharing() {
+  clearTimeout(sharing.reconnectTimer);
+  clearInterval(sharing.keepaliveTimer);
+
+  if (sharing.socket) {
+    const socket = sharing.socket;
+    sharing.socket = null;
+    socket.close();
+  }
+
+  sharing.status = 'disconnected';
+  sharing.room = null;
+  sharing.uploadedHashes.clear();
+}
+
+function connectRelay() {
+  let socket;
+  try {
+    socket = new WebSocket(sharing.settings.relayUrl);
+  } catch (error) {
+    console.error('Invalid relay URL:', sharing.settings.relayUrl, error);
+    sharing.status = 'error';
+    return;
+  }
+
+  sharing.socket = socket;
+  sharing.status = 'connecting';
+
+  socket.onopen = () => {
+    sharing.status = 'connected';
+    sharing.reconnectDelay = 1000;
+    sharing.keepaliveTimer = setInterval(() => sendToRelay({ type: 'ping' }), KEEPALIVE_INTERVAL);
+    syncSharingRoom();
+  };
+
+  socket.onmessage = (event) => {
+    try {
+      handleRelayMessage(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Error handling relay message:', error);
+    }
+  };
+
+  socket.onclose = () => {
+    if (sharing.socket !== socket) return; // Closed on purpose by stopSharing()
+
+    clearInterval(sharing.keepaliveTimer);
+    sharing.socket = null;
+    sharing.status = 'disconnected';
+    sharing.room = null;
+    sharing.uploadedHashes.clear();
+
+    // Retry with exponential backoff while sharing stays enabled
+    sharing.reconnectTimer = setTimeout(connectRelay, sharing.reconnectDelay);
+    sharing.reconnectDelay = Math.min(sharing.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  };
+}
+
+// ===== SENDING =====
+
+async function uploadRelayImage(blob, hash, mime) {
+  const dataURL = await blobToDataURL(blob);
+  sendToRelay({ type: 'image', hash, mime, data: dataURL.split(',')[1] });
+}
+
+// The relay lost an image we uploaded (its cache is bounded) and someone asked for it
+async function reuploadRelayImage(hash) {
+  const id = sharing.uploadedHashes.get(hash);
+  if (!id) return;
+
+  const image = await getImage(id);
+  if (!image) {
+    sharing.uploadedHashes.delete(hash);
+    return;
+  }
+  if (image.objectURL) URL.revokeObjectURL(image.objectURL);
+  await uploadRelayImage(image.blob, hash, image.blob.type || 'image/png');
+}
+
+// Turn an emoji reference into its relay payload, uploading custom images by hash
+async function getRelayEmoji(ref) {
+  if (ref.kind !== 'custom') {
+    return ref;
+  }
+
+  const image = await getImage(ref.id);
+  if (!image) return null;
+  if (image.objectURL) URL.revokeObjectURL(image.objectURL);
+
+  const hash = await sha256Hex(await image.blob.arrayBuffer());
+  const mime = image.blob.type || 'image/png';
+
+  if (!sharing.uploadedHashes.has(hash)) {
+    await uploadRelayImage(image.blob, hash, mime);
+    sharing.uploadedHashes.set(hash, ref.id);
+  }
+
+  return {
+    kind: 'image',
+    hash,
+    mime,
+    ...(image.sprite && { sprite: image.sprite }),
+    playback: image.playback
+  };
+}
+
+/**
+ * Broadcast a reaction fired locally to everyone in the tab's room
+ * @param {{ref: Object, animationType: string, tabId: number}} reaction
+ */
+async function shareReaction({ ref, animationType, tabId }) {
+  if (sharing.status !== 'connected') return;
+
+  const tab = await chrome.tabs.get(tabId);
+  const room = await getRoomForUrl(tab.url);
+  if (!room) return;
+  if (room !== sharing.room) {
+    joinRoom(room);
+  }
+
+  const emoji = await getRelayEmoji(ref);
+  if (emoji) {
+    sendToRelay({ type: 'reaction', emoji, animation: animationType });
+  }
+}
+
+// ===== RECEIVING =====
+
+function handleRelayMessage(message) {
+  if (message.type === 'reaction') {
+    receiveReaction(message);
+  } else if (message.type === 'image') {
+    receiveImage(message);
+  } else if (message.type === 'image-request') {
+    reuploadRelayImage(message.hash).catch(error => {
+      console.error('Error re-uploading relay image:', error);
+    });
+  } else if (message.type === 'error') {
+    console.warn('Relay error:', message.message);
+    // The relay doesn't have a requested image: drop what waited for it, so the next
+    // reaction with the image asks again
+    if (message.hash) {
+      clearPendingReactions(message.hash);
+    }
+  }
+}
+
+function isSenderRateLimited(senderId) {
+  const now = Date.now();
+  const times = (sharing.senderTimes.get(senderId) || []).filter(time => now - time < RECEIVE_LIMIT.windowMs);
+  const limited = times.length >= RECEIVE_LIMIT.reactions;
+  if (!limited) times.push(now);
+  sharing.senderTimes.set(senderId, times);
+  return limited;
+}
+
+function receiveReaction(message) {
+  if (message.room !== sharing.room) return;
+  if (isSenderRateLimited(message.sender.id)) return;
+
+  const { emoji } = message;
+
+  if (emoji.kind === 'unicode') {
+    displaySharedReaction(message, { type: 'unicode', value: emoji.value });
+  } else if (emoji.kind === 'builtin' && /^emojis\/[\w.-]+$/.test(emoji.src)) {
+    displaySharedReaction(message, {
+      type: 'image',
+      src: chrome.runtime.getURL(emoji.src),
+      label: getBuiltinEmojiName(emoji.src)
+    });
+  } else if (emoji.kind === 'image') {
+    const src = sharing.images.get(emoji.hash);
+    if (src) {
+      displaySharedReaction(message, getSharedImageContent(emoji, src));
+      return;
+    }
+
+    // Fetch the image from the relay and play the reaction once it arrives
+    if (!sharing.pendingReactions.has(emoji.hash)) {
+      sharing.pendingReactions.set(emoji.hash, {
+        messages: [],
+        timer: setTimeout(() => clearPendingReactions(emoji.hash), PENDING_IMAGE_TIMEOUT)
+      });
+      sendToRelay({ type: 'image-request', hash: emoji.hash });
+    }
+    const pending = sharing.pendingReactions.get(emoji.hash);
+    if (pending.messages.length < MAX_PENDING_REACTIONS) {
+      pending.messages.push(message);
+    }
+  }
+}
+
+// Stop waiting for an image and return the reactions that waited for it
+function clearPendingReactions(hash) {
+  const pending = sharing.pendingReactions.get(hash);
+  if (!pending) return [];
+
+  clearTimeout(pending.timer);
+  sharing.pendingReactions.delete(hash);
+  return pending.messages;
+}
+
+function receiveImage({ hash, mime, data }) {
+  if (!/^image\/[\w.+-]+$/.test(mime)) return;
+
+  const src = `data:${mime};base64,${data}`;
+  sharing.images.set(hash, src);
+  if (sharing.images.size > MAX_CACHED_IMAGES) {
+    sharing.images.delete(sharing.images.keys().next().value);
+  }
+
+  clearPendingReactions(hash).forEach(message => displaySharedReaction(message, getSharedImageContent(message.emoji, src)));
+}
+
+// Content for a received custom image; its sprite sheet layout and playback mode come
+// from another user, so they are checked like pack metadata
+function getSharedImageContent(emoji, src) {
+  const sprite = normalizeSpriteSheet(emoji.sprite);
+  return { type: 'image', src, ...(sprite && { sprite }), playback: normalizePlayback(emoji.playback) };
+}
+
+async function displaySharedReaction(message, content) {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || await getRoomForUrl(tab.url) !== message.room) return;
+
+  try {
+    const profile = await getSiteProfile(tab.url);
+    if (!profile.enabled) return;
+
+    // Custom images have no local identity, so only their animation's sound can play
+    const ref = message.emoji.kind === 'image' ? null : message.emoji;
+    const animationType = message.animation || profile.animation || undefined;
+    // Each viewer's origin setting and site profile apply, so a reaction lands on the
+    // element they picked and keeps to their limits
+    await injectOverlay(tab.id, content, animationType, {
+      ...await getReactionOrigin(tab.url),
+      ...getSiteOverlayOptions(profile),
+      caption: message.sender.name,
+      sound: await getReactionSound(ref, animationType, tab.url)
+    });
+  } catch (error) {
+    console.error('Error showing shared reaction:', error);
+  }
+}
@@ -0,0 +1,128 @@
+// Shared sound effect settings, used by the popup and the background service worker to pick
+// the sound a reaction plays. The sounds themselves play in the page, see overlay/sounds.js.
+//
+// Sound references, the storable identity of a sound:
+//   { kind: 'builtin', name: 'applause' }        synthesized by overlay/sounds.js
+//   { kind: 'custom', id: 'sound_1700000000000' } uploaded clip in the sounds store
+//
+// Sound assignments attach a sound to emojis and animations:
+//   { emojis: [{ emoji: ref, sound: soundRef }], animations: { [animationName]: soundRef } }
+// An emoji's sound wins over its animation's sound.
+
+const SOUND_TYPES = ['audio/mpeg', 'audio/ogg', 'audio/wav'];
+const SOUND_EXTENSION_TYPES = { mp3: 'audio/mpeg', ogg: 'audio/ogg', oga: 'audio/ogg', wav: 'audio/wav' };
+const MAX_SOUND_SIZE = 2 * 1024 * 1024; // Clips travel to the page as data URLs with every reaction
+
+const DEFAULT_SOUND_SETTINGS = {
+  volume: 0.8, // 0-1
+  muted: false,
+  mutedSites: [] // Hostnames; subdomains are muted too
+};
+
+// Clapping comes with applause out of the box
+const DEFAULT_SOUND_ASSIGNMENTS = {
+  emojis: [{ emoji: { kind: 'builtin', src: 'emojis/clap.png' }, sound: { kind: 'builtin', name: 'applause' } }],
+  animations: {}
+};
+
+// String key for a sound reference, for comparisons and <option> values
+function soundRefKey(ref) {
+  return `${ref.kind}:${ref.name ?? ref.id}`;
+}
+
+/**
+ * Validate an uploaded sound clip
+ * Browsers disagree on the MIME type of OGG and WAV files, so the extension decides
+ * when the reported type isn't one of SOUND_TYPES.
+ * @param {File} file - The clip to check
+ * @returns {{valid: boolean, message?: string, type?: string}} `type` is the MIME type to store the clip under
+ */
+function validateSoundFile(file) {
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  const type = SOUND_TYPES.includes(file.type) ? file.type : SOUND_EXTENSION_TYPES[extension];
+
+  if (!type) {
+    return { valid: false, message: 'Only MP3, OGG and WAV sounds are supported.' };
+  }
+
+  if (file.size > MAX_SOUND_SIZE) {
+    return { valid: false, message: 'File is too large. Sounds must be smaller than 2MB.' };
+  }
+
+  return { valid: true, type };
+}
+
+async function getSoundSettings() {
+  const data = await chrome.storage.local.get('soundSettings');
+  return { ...DEFAULT_SOUND_SETTINGS, ...data.soundSettings };
+}
+
+async function getSoundAssignments() {
+  const data = await chrome.storage.local.get('soundAssignments');
+  return { ...DEFAULT_SOUND_ASSIGNMENTS, ...data.soundAssignments };
+}
+
+function isSoundSiteMuted(url, mutedSites) {
+  const host = getSiteHost(url);
+  return Boolean(host) && mutedSites.some(site => host === site || host.endsWith('.' + site));
+}
+
+/**
+ * Resolve a sound reference into the descriptor overlay/sounds.js plays
+ * @param {Object} ref - Sound reference
+ * @param {number} [volume=1] - 0-1
+ * @returns {Promise<Object|null>} Sound descriptor, or null if an uploaded clip no longer exists
+ */
+async function resolveSoundRef(ref, volume = 1) {
+  if (!ref) return null;
+
+  if (ref.kind === 'builtin') {
+    return { type: 'builtin', name: ref.name, volume };
+  }
+
+  if (ref.kind === 'custom') {
+    const sound = await getSound(ref.id);
+    // Object URLs don't work across contexts, so the page gets a data URL
+    return sound ? { type: 'clip', src: await blobToDataURL(sound.blob), volume } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Pick the sound a reaction plays, honoring the volume and mute settings
+ * @param {Object|null} ref - Emoji reference, null when the emoji has no local identity
+ * @param {string} animationType - Animation name
+ * @param {string} url - URL of the page the reaction plays on
+ * @returns {Promise<Object|null>} Sound descriptor for showOverlay, or null for silence
+ */
+async function getReactionSound(ref, animationType, url) {
+  const settings = await getSoundSettings();
+  if (settings.muted || settings.volume <= 0 || isSoundSiteMuted(url, settings.mutedSites)) {
+    return null;
+  }
+
+  const assignments = await getSoundAssignments();
+  const key = ref && emojiRefKey(ref);
+  const emojiSound = key && assignments.emojis.find(item => emojiRefKey(item.emoji) === key);
+  const soundRef = emojiSound ? emojiSound.sound : assignments.animations[animationType];
+
+  return resolveSoundRef(soundRef, settings.volume);
+}
+
+/**
+ * Drop assignments that play a deleted sound clip
+ * @param {string} id - Deleted sound id
+ * @returns {Promise<void>}
+ */
+async function forgetCustomSound(id) {
+  const assignments = await getSoundAssignments();
+  const isDeleted = ref => ref.kind === 'custom' && ref.id === id;
+
+  await chrome.storage.local.set({
+    soundAssignments: {
+      emojis: assignments.emojis.filter(item => !isDeleted(item.sound)),
+      animations: Object.fromEntries(Object.entries(assignments.animations).filter(([, ref]) => !isDeleted(ref)))
+    }
+  });
+}
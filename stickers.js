@@ -0,0 +1,202 @@
+// Stickers: emojis pinned to a page instead of played, used by the popup and the background
+// service worker. They are drawn and edited in the page by overlay/stickers.js, and
+// content.js asks for them again whenever a page loads.
+//
+// Sticker records, in the stickers store:
+//   { id, page, emoji: ref, anchor: { selector, x, y }, size, rotation, hidden, timestamp }
+// `page` is the page's URL without its fragment, see getStickerPage(). Anchors are
+// described in overlay/stickers.js; size is in px and rotation in degrees.
+
+const DEFAULT_STICKER_SIZE = 64; // px
+const STICKER_EXPORT_FORMAT = 'emoji-overlay-stickers';
+const STICKER_EXPORT_VERSION = 1;
+
+// Whether clicking an emoji in the popup drops it as a sticker instead of firing it
+async function getStickerMode() {
+  const data = await chrome.storage.local.get('stickerMode');
+  return data.stickerMode === true;
+}
+
+/**
+ * Key stickers are stored under for a page: its URL without the fragment, so in-page
+ * links keep the page's stickers
+ * @param {string} url
+ * @returns {string|null} Null for pages that can't have stickers, such as chrome:// URLs
+ */
+function getStickerPage(url) {
+  try {
+    const parsed = new URL(url);
+    if (!/^(https?|file):$/.test(parsed.protocol)) return null;
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// What the page needs to draw the visible stickers; stickers whose custom emoji was deleted
+// are left out
+async function resolveStickers(stickers) {
+  const resolved = [];
+  for (const sticker of stickers) {
+    if (sticker.hidden) continue;
+    const content = await resolveEmojiRef(sticker.emoji);
+    if (!content) continue;
+    const { id, anchor, size, rotation } = sticker;
+    resolved.push({ id, content, anchor, size, rotation });
+  }
+  return resolved;
+}
+
+// Runs in the page, after OVERLAY_SCRIPTS have been injected unless there is nothing to
+// show. Shows the page's stickers, plus `drop` where a reaction would start, and returns
+// the dropped sticker's anchor. The popup closes as soon as the page is clicked, so edits
+// made in the page are reported to the background to store.
+function showPageStickers(stickers, drop) {
+  if (!globalThis.EmojiOverlay || !EmojiOverlay.showStickers) return null;
+
+  const handlers = {
+    onChange: change => chrome.runtime.sendMessage({ type: 'sticker-changed', change }),
+    onRemove: id => chrome.runtime.sendMessage({ type: 'sticker-removed', id })
+  };
+  EmojiOverlay.showStickers(stickers, handlers);
+  return drop ? EmojiOverlay.dropSticker(drop.sticker, drop.placement, handlers) : null;
+}
+
+/**
+ * Show a page's visible stickers in a tab, replacing the ones shown there
+ * @param {number} tabId
+ * @param {string} url - URL of the page in the tab
+ * @param {Object} [options]
+ * @param {boolean} [options.restore=false] - The page just loaded: pages without stickers
+ *   don't get the overlay scripts injected, which most pages never need
+ * @returns {Promise<void>}
+ */
+async function showStickersInTab(tabId, url, { restore = false } = {}) {
+  const page = getStickerPage(url);
+  if (!page) return;
+
+  const stickers = await resolveStickers(await getStickersForPage(page));
+  if (!restore || stickers.length > 0) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: OVERLAY_SCRIPTS
+    });
+  }
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: showPageStickers,
+    args: [stickers, null]
+  });
+}
+
+/**
+ * Pin an emoji to the page in a tab, where a reaction would start
+ * @param {Object} ref - Emoji reference
+ * @param {Object} [options]
+ * @param {number} [options.tabId] - Defaults to the active tab
+ * @returns {Promise<boolean>} False if the emoji could not be resolved or the page can't have stickers
+ */
+async function dropSticker(ref, { tabId } = {}) {
+  try {
+    const content = await resolveEmojiRef(ref);
+    if (!content) {
+      console.warn('Emoji no longer exists:', ref);
+      return false;
+    }
+
+    const tab = await getReactionTab(tabId);
+    const page = tab && getStickerPage(tab.url);
+    if (!page) return false;
+
+    const sticker = {
+      id: `sticker_${Date.now()}`,
+      page,
+      emoji: ref,
+      size: DEFAULT_STICKER_SIZE,
+      rotation: 0,
+      hidden: false,
+      timestamp: Date.now()
+    };
+    const [stickers, placement] = await Promise.all([
+      getStickersForPage(page).then(resolveStickers),
+      getReactionOrigin(tab.url)
+    ]);
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: OVERLAY_SCRIPTS
+    });
+    const [{ result: anchor }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: showPageStickers,
+      args: [stickers, { sticker: { id: sticker.id, content, size: sticker.size, rotation: 0 }, placement }]
+    });
+    if (!anchor) return false;
+
+    await saveSticker({ ...sticker, anchor });
+    await recordReaction(ref);
+    return true;
+  } catch (error) {
+    // Pages such as chrome:// URLs and the Web Store can't be scripted
+    console.error('Error dropping sticker:', error);
+    return false;
+  }
+}
+
+/**
+ * Store a sticker the user moved, resized or rotated in a page
+ * @param {{id: string, anchor: Object, size: number, rotation: number}} change
+ * @param {string} url - URL of the page the change came from
+ * @returns {Promise<void>}
+ */
+async function saveStickerChange({ id, anchor, size, rotation }, url) {
+  const sticker = await getSticker(id);
+  if (!sticker || sticker.page !== getStickerPage(url)) return;
+
+  await saveSticker({
+    ...sticker,
+    anchor: { selector: anchor.selector || null, x: Number(anchor.x) || 0, y: Number(anchor.y) || 0 },
+    size: Number(size) || sticker.size,
+    rotation: Number(rotation) || 0
+  });
+}
+
+/**
+ * Delete a sticker removed in a page
+ * @param {string} id
+ * @param {string} url - URL of the page it was removed from
+ * @returns {Promise<void>}
+ */
+async function removePageSticker(id, url) {
+  const sticker = await getSticker(id);
+  if (sticker && sticker.page === getStickerPage(url)) {
+    await deleteSticker(id);
+  }
+}
+
+/**
+ * Build a JSON export of a page's stickers, with custom emojis embedded as data URLs
+ * @param {string} page - Page key
+ * @returns {Promise<{blob: Blob, count: number}>}
+ */
+async function exportPageStickers(page) {
+  const stickers = await getStickersForPage(page);
+  const exported = [];
+  for (const sticker of stickers) {
+    const { emoji, anchor, size, rotation, hidden, timestamp } = sticker;
+    exported.push({ emoji, content: await resolveEmojiRef(emoji), anchor, size, rotation, hidden, timestamp });
+  }
+
+  const data = {
+    format: STICKER_EXPORT_FORMAT,
+    version: STICKER_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    page,
+    stickers: exported
+  };
+  return {
+    blob: new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+    count: exported.length
+  };
+}
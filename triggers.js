@@ -0,0 +1,160 @@
+// Watches the page for the triggers of the rules that apply to it (see rules.js) and asks the
+// background to fire their reactions; cooldowns are enforced there, across tabs.
+//
+// Text, element and URL triggers fire when they start to match: when the page loads with a
+// match, and again only after the match went away and came back. Form triggers fire on
+// every submit.
+(() => {
+  const CHECK_DELAY = 500; // ms for a burst of DOM changes to settle before the page is checked
+  const NON_TEXT_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+  let rules = [];
+  let observer = null;
+  let checkTimer = null;
+  const matching = new Set(); // Ids of the rules whose trigger matches right now
+
+  function triggerRule(rule) {
+    chrome.runtime.sendMessage({ type: 'rule-triggered', ruleId: rule.id }).catch(() => {
+      // The extension was reloaded or updated since this page loaded
+    });
+  }
+
+  // Fire rules whose trigger went from not matching to matching
+  function updateMatches(rule, matches) {
+    if (matches && !matching.has(rule.id)) {
+      triggerRule(rule);
+    }
+    if (matches) {
+      matching.add(rule.id);
+    } else {
+      matching.delete(rule.id);
+    }
+  }
+
+  function elementExists(selector) {
+    try {
+      return Boolean(document.querySelector(selector));
+    } catch (error) {
+      return false; // Not a valid selector
+    }
+  }
+
+  function formMatches(form, selector) {
+    try {
+      return !selector || (form instanceof Element && form.matches(selector));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Text of the page without scripts and styles, which often hold the very words rules look
+  // for. Read from the text nodes rather than innerText, which would force a layout.
+  function getPageText() {
+    const root = document.body || document.documentElement;
+    if (!root) return '';
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => NON_TEXT_ELEMENTS.has(node.parentNode.nodeName)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    const parts = [];
+    while (walker.nextNode()) {
+      parts.push(walker.currentNode.data);
+    }
+    return parts.join(' ').toLowerCase();
+  }
+
+  function checkPage() {
+    checkTimer = null;
+
+    let text = null;
+    const getText = () => {
+      if (text === null) text = getPageText();
+      return text;
+    };
+
+    rules.forEach(rule => {
+      const { type, value } = rule.trigger;
+      if (type === 'text') {
+        updateMatches(rule, getText().includes(value.toLowerCase()));
+      } else if (type === 'selector') {
+        updateMatches(rule, elementExists(value));
+      } else if (type === 'url') {
+        updateMatches(rule, urlMatchesPattern(location.href, value));
+      }
+    });
+  }
+
+  function scheduleCheck() {
+    if (!checkTimer) {
+      checkTimer = setTimeout(checkPage, CHECK_DELAY);
+    }
+  }
+
+  // Attributes element rules can depend on: class and id, and those named in [attribute] parts
+  function getWatchedAttributes(selectors) {
+    const names = new Set(['class', 'id']);
+    selectors.forEach(selector => {
+      for (const [, name] of selector.matchAll(/\[\s*([\w-]+)/g)) {
+        names.add(name.toLowerCase());
+      }
+    });
+    return Array.from(names);
+  }
+
+  // The observer only runs on pages with text or element rules, and only watches what they
+  // can see: text changes for text rules, the attributes of their selectors for element rules
+  function watchContent() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+
+    const hasText = rules.some(rule => rule.trigger.type === 'text');
+    const selectors = rules.filter(rule => rule.trigger.type === 'selector').map(rule => rule.trigger.value);
+    if ((!hasText && selectors.length === 0) || !document.documentElement) return;
+
+    const options = { childList: true, subtree: true, characterData: hasText };
+    if (selectors.length > 0) {
+      options.attributeFilter = getWatchedAttributes(selectors);
+    }
+    observer = new MutationObserver(scheduleCheck);
+    observer.observe(document.documentElement, options);
+  }
+
+  async function loadRules() {
+    try {
+      const allRules = await getReactionRules();
+      rules = allRules.filter(rule => rule.enabled && ruleAppliesToPage(rule, location.href));
+    } catch (error) {
+      // The extension was reloaded or updated since this page loaded
+      return;
+    }
+
+    const ids = new Set(rules.map(rule => rule.id));
+    Array.from(matching).filter(id => !ids.has(id)).forEach(id => matching.delete(id));
+
+    watchContent();
+    scheduleCheck();
+  }
+
+  document.addEventListener('submit', (event) => {
+    rules
+      .filter(rule => rule.trigger.type === 'submit' && formMatches(event.target, rule.trigger.value))
+      .forEach(triggerRule);
+  }, true);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.reactionRules) {
+      loadRules();
+    }
+  });
+
+  // Single-page apps change the URL without reloading, which can change the rules that apply
+  if (globalThis.navigation) {
+    navigation.addEventListener('navigatesuccess', loadRules);
+  }
+
+  loadRules();
+})();